@@ -10,6 +10,10 @@
  * thermostat reported. This registry captures those from each decoded mode
  * reading so a Home Assistant command for unit 202 controls 202, not 201.
  *
+ * Humidity control is learned the same way from Set Zone Humidity Mode
+ * broadcasts and kept apart under `humidity`, since a thermostat's humidity
+ * plant can sit on a different ward, zone list and type from its HVAC plant.
+ *
  * Verified command syntax (C-Gate v3.3.2 HELP):
  *   AIRCON SET_ZONE_HVAC_MODE <app> <ward> <zone-list> <mode> <rawlevel>
  *       <setbackenabled> <guardenabled> <useauxlevel> <type> <level> <auxlevel>
@@ -20,11 +24,17 @@
 // HA climate mode string → C-Bus HVAC mode code (reverse of airconDecoder's map).
 const HVAC_CODE_BY_MODE = { off: 0, heat: 1, cool: 2, auto: 3, fan_only: 4 };
 
+// HA humidity mode string → C-Bus humidity mode code (§25.6.7; reverse of
+// airconDecoder's map).
+const HUMIDITY_CODE_BY_MODE = { off: 0, humidify: 1, dehumidify: 2, auto: 3 };
+
 // Fan Only carries no temperature: the thermostat sends rawlevel=1 with the
 // 0x7F00 (32512) "no level" sentinel.
 const FAN_LEVEL_SENTINEL = 32512;
 // Fallback target when we must send a temperature but have never seen one.
 const DEFAULT_SETPOINT_C = 21;
+// Fallback humidity target (%) when none has been seen.
+const DEFAULT_HUMIDITY_SETPOINT = 50;
 
 class AirconControlRegistry {
     constructor() {
@@ -73,7 +83,39 @@ class AirconControlRegistry {
             setbackEnabled: keep(reading.setbackEnabled, prev.setbackEnabled),
             guardEnabled: keep(reading.guardEnabled, prev.guardEnabled),
             auxLevelUsed: keep(reading.auxLevelUsed, prev.auxLevelUsed),
-            auxLevel: keep(reading.auxLevel, prev.auxLevel)
+            auxLevel: keep(reading.auxLevel, prev.auxLevel),
+            humidity: prev.humidity
+        });
+    }
+
+    /**
+     * Capture humidity control state from a decoded `humidity_mode` reading,
+     * with the same rules as recordModeReading: off broadcasts keep the last
+     * active type and target. No-op for other kinds or readings without a
+     * source unit.
+     */
+    recordHumidityModeReading(reading) {
+        if (!reading || reading.kind !== 'humidity_mode' || reading.sourceUnit === null || reading.sourceUnit === undefined) {
+            return;
+        }
+        const key = AirconControlRegistry._key(reading.network, reading.sourceUnit);
+        const entry = this._byUnit.get(key) || { network: reading.network, application: reading.application };
+        const prev = entry.humidity || {};
+        const isOn = Number.isInteger(reading.modeRaw) && reading.modeRaw !== 0;
+        const keep = (value, fallback) => (value !== null && value !== undefined ? value : fallback);
+        this._byUnit.set(key, {
+            ...entry,
+            humidity: {
+                ward: reading.zoneGroup,
+                zones: reading.zones,
+                type: (isOn && reading.type !== null && reading.type !== undefined) ? reading.type : prev.type,
+                modeRaw: keep(reading.modeRaw, prev.modeRaw),
+                setpointRaw: (isOn && Number.isInteger(reading.humiditySetpointRaw)) ? reading.humiditySetpointRaw : prev.setpointRaw,
+                setbackEnabled: keep(reading.setbackEnabled, prev.setbackEnabled),
+                guardEnabled: keep(reading.guardEnabled, prev.guardEnabled),
+                auxLevelUsed: keep(reading.auxLevelUsed, prev.auxLevelUsed),
+                auxLevel: keep(reading.auxLevel, prev.auxLevel)
+            }
         });
     }
 
@@ -105,8 +147,78 @@ class AirconControlRegistry {
         this._byUnit.set(key, { ...prev, auxLevelUsed, auxLevel });
     }
 
+    /**
+     * Optimistically record an HA-originated humidity write (mode and/or
+     * target) until the thermostat's echo broadcast. No-op for units whose
+     * humidity state is unknown.
+     */
+    noteHumidityWrite(network, unit, modeRaw, setpointRaw) {
+        const key = AirconControlRegistry._key(network, unit);
+        const prev = this._byUnit.get(key);
+        if (!prev || !prev.humidity) return;
+        const humidity = { ...prev.humidity };
+        if (Number.isInteger(modeRaw)) humidity.modeRaw = modeRaw;
+        if (Number.isInteger(setpointRaw) && setpointRaw > 0) humidity.setpointRaw = setpointRaw;
+        this._byUnit.set(key, { ...prev, humidity });
+    }
+
+    /**
+     * HVAC control state for a unit, or null until it has broadcast an HVAC
+     * mode (a unit known only from humidity broadcasts has no HVAC target).
+     */
     get(network, unit) {
-        return this._byUnit.get(AirconControlRegistry._key(network, unit)) || null;
+        const state = this._byUnit.get(AirconControlRegistry._key(network, unit));
+        return state && state.ward !== undefined ? state : null;
+    }
+
+    /**
+     * Humidity control state for a unit, or null until it has broadcast a
+     * humidity mode.
+     */
+    getHumidity(network, unit) {
+        const state = this._byUnit.get(AirconControlRegistry._key(network, unit));
+        return (state && state.humidity) || null;
+    }
+
+    /**
+     * Source units on a network whose HVAC or humidity writes target the
+     * given ward.
+     * @returns {string[]}
+     */
+    unitsInWard(network, ward) {
+        const units = [];
+        for (const [key, state] of this._byUnit) {
+            if (String(state.network) !== String(network)) continue;
+            if (String(state.ward) === String(ward) || (state.humidity && String(state.humidity.ward) === String(ward))) {
+                units.push(key.slice(key.indexOf('/') + 1));
+            }
+        }
+        return units;
+    }
+
+    /**
+     * Learned control state for every unit, for persisting across restarts.
+     * Keyed like the internal map so restore() can rebuild it as-is.
+     */
+    toJSON() {
+        return Object.fromEntries(this._byUnit);
+    }
+
+    /**
+     * Seed from a toJSON() snapshot. Units already learned this session win
+     * (a live broadcast beats a saved one), and entries that are not objects
+     * with a network are skipped rather than trusted.
+     * @returns {number} Number of units restored
+     */
+    restore(data) {
+        if (!data || typeof data !== 'object') return 0;
+        let restored = 0;
+        for (const [key, state] of Object.entries(data)) {
+            if (this._byUnit.has(key) || !state || typeof state !== 'object' || state.network === undefined) continue;
+            this._byUnit.set(key, { ...state });
+            restored++;
+        }
+        return restored;
     }
 }
 
@@ -123,10 +235,26 @@ function buildSetZoneHvacMode({ cbusname, network, application, ward, zones, mod
     return `AIRCON SET_ZONE_HVAC_MODE //${cbusname}/${network}/${application} ${ward} ${zones} ${modeRaw} ${rawlevel} ${setback} ${guard} ${useaux} ${hvacType} ${level} ${aux}`;
 }
 
+/**
+ * Build an `AIRCON SET_ZONE_HUMIDITY_MODE` command line (no trailing newline),
+ * mirroring SET_ZONE_HVAC_MODE with the Humidity Mode & Flags byte (§25.6.7),
+ * humidity type (§25.6.8) and a 0-65535 humidity level (§25.5.2).
+ * ⚠️ Spec-derived (§25.8.12) by analogy with the HVAC verb; not yet confirmed
+ * against a live C-Gate HELP listing.
+ */
+function buildSetZoneHumidityMode({ cbusname, network, application, ward, zones, modeRaw, rawlevel, setback = 0, guard = 0, useaux = 0, type, level, aux = 0 }) {
+    const humidityType = (type !== null && type !== undefined) ? type : 0;
+    return `AIRCON SET_ZONE_HUMIDITY_MODE //${cbusname}/${network}/${application} ${ward} ${zones} ${modeRaw} ${rawlevel} ${setback} ${guard} ${useaux} ${humidityType} ${level} ${aux}`;
+}
+
 function buildSetWardOff({ cbusname, network, application, ward }) {
     return `AIRCON SET_WARD_OFF //${cbusname}/${network}/${application} ${ward}`;
 }
 
+function buildSetWardOn({ cbusname, network, application, ward }) {
+    return `AIRCON SET_WARD_ON //${cbusname}/${network}/${application} ${ward}`;
+}
+
 /**
  * Build an `AIRCON REFRESH <ward>` command line (no trailing newline) — asks
  * the services in a zone group to broadcast their full state (spec §25.8.3).
@@ -140,9 +268,13 @@ function buildAirconRefresh({ cbusname, network, application, ward }) {
 module.exports = {
     AirconControlRegistry,
     HVAC_CODE_BY_MODE,
+    HUMIDITY_CODE_BY_MODE,
     FAN_LEVEL_SENTINEL,
     DEFAULT_SETPOINT_C,
+    DEFAULT_HUMIDITY_SETPOINT,
     buildSetZoneHvacMode,
+    buildSetZoneHumidityMode,
     buildSetWardOff,
+    buildSetWardOn,
     buildAirconRefresh
 };
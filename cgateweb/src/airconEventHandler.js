@@ -82,14 +82,19 @@ class AirconEventHandler {
             // target ward+zone-list, not the source unit). See airconControlRegistry.
             if (reading.kind === 'mode') {
                 this.registry.recordModeReading(reading);
+            } else if (reading.kind === 'humidity_mode') {
+                this.registry.recordHumidityModeReading(reading);
             }
             // Event-driven HA discovery: announce the thermostat (keyed by source unit)
-            // the first time we see it. ensureNativeAirconDiscovery is idempotent and
-            // gated on ha_discovery_enabled internally.
+            // and its zone group's on/off switch the first time we see them. Both
+            // are idempotent and gated on ha_discovery_enabled internally.
             const haDiscovery = this.getHaDiscovery();
             if (haDiscovery && reading.sourceUnit) {
                 haDiscovery.ensureNativeAirconDiscovery(reading.network, reading.application, reading.sourceUnit);
             }
+            if (haDiscovery && reading.zoneGroup) {
+                haDiscovery.ensureNativeAirconWardDiscovery(reading.network, reading.application, reading.zoneGroup);
+            }
             if (reading.kind === 'mode' && reading.mode === null) {
                 this.logger.warn(
                     'Unmapped C-Bus HVAC mode code ' + reading.modeRaw +
@@ -14,7 +14,8 @@ const { normalizeAppEventLine } = require('./appEventLine');
  *                               error, expansion, type, typeDescription, errorCode,
  *                               errorDescription, action }
  *   - zone_humidity         → { kind:'humidity', …, humidity, unit:'%', sensorStatus }
- *   - set_zone_humidity_mode → { kind:'humidity_mode', …, mode, modeRaw, humiditySetpoint }
+ *   - set_zone_humidity_mode → { kind:'humidity_mode', …, mode, modeRaw, humiditySetpoint,
+ *                               humiditySetpointRaw }
  *   - zone_humidity_plant_status → { kind:'humidity_action', …, humidifying,
  *                               dehumidifying, fan, error, errorCode, action }
  *
@@ -510,17 +511,29 @@ function decodeZoneHumidityMode({ network, application, params, sourceUnit, verb
 
     const levelIsRaw = parseInt(params[3], 10) === 1;
 
+    // f2–f4 = Setback / Guard / Aux-Level-used flags, decoded as for HVAC
+    // mode so humidity writes can echo them back too.
+    const f2 = parseInt(params[4], 10);
+    const f3 = parseInt(params[5], 10);
+    const f4 = parseInt(params[6], 10);
+    const setbackEnabled = Number.isInteger(f2) ? f2 === 1 : null;
+    const guardEnabled = Number.isInteger(f3) ? f3 === 1 : null;
+    const auxLevelUsed = Number.isInteger(f4) ? f4 === 1 : null;
+
     // f6 = set level: 0–65535 maps to 0–100% (§25.5.2) unless the raw-level
     // flag says it is a plant-capacity fraction instead (§25.5.3).
     const f6Raw = parseInt(params[8], 10);
-    const humiditySetpoint = (!levelIsRaw && Number.isInteger(f6Raw) && f6Raw > 0 && f6Raw <= 65535)
-        ? Math.round(f6Raw / 65535 * 1000) / 10
-        : null;
+    const hasSetpoint = !levelIsRaw && Number.isInteger(f6Raw) && f6Raw > 0 && f6Raw <= 65535;
+    const humiditySetpoint = hasSetpoint ? Math.round(f6Raw / 65535 * 1000) / 10 : null;
+    const humiditySetpointRaw = hasSetpoint ? f6Raw : null;
 
     const typeParsed = parseInt(params[7], 10);
     const type = Number.isInteger(typeParsed) ? typeParsed : null;
 
-    return { kind: 'humidity_mode', network, application, zoneGroup, zones, sourceUnit, mode, modeRaw, levelIsRaw, humiditySetpoint, type, verb };
+    const auxLevelRaw = params.length > 9 ? parseInt(params[9], 10) : NaN;
+    const auxLevel = Number.isInteger(auxLevelRaw) ? auxLevelRaw : null;
+
+    return { kind: 'humidity_mode', network, application, zoneGroup, zones, sourceUnit, mode, modeRaw, levelIsRaw, setbackEnabled, guardEnabled, auxLevelUsed, humiditySetpoint, humiditySetpointRaw, type, auxLevel, verb };
 }
 
 /**
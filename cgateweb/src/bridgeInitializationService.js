@@ -40,6 +40,7 @@ class BridgeInitializationService {
      * @param {Function} deps.getDiscoveredNetworks - () => current discovered networks (live)
      * @param {Function} deps.getHaDiscovery - () => current haDiscovery instance (live)
      * @param {Function} [deps.getSecurityEventHandler] - () => securityEventHandler (live); owns the security status_request dedupe
+     * @param {Function} [deps.getClockMaster] - () => clockMaster (live), or null when the bridge is not the time master
      * @param {Function} deps.applyDiscoveredNetworks - (networks) => set bridge.discoveredNetworks now
      * @param {Function} deps.applyHaDiscovery - (haDiscovery) => set bridge.haDiscovery (+ wire processor) now
      * @param {Function} deps.updateReadiness - (reason) => signal bridge readiness
@@ -58,6 +59,7 @@ class BridgeInitializationService {
         this._getDiscoveredNetworks = deps.getDiscoveredNetworks;
         this._getHaDiscovery = deps.getHaDiscovery;
         this._getSecurityEventHandler = deps.getSecurityEventHandler || null;
+        this._getClockMaster = deps.getClockMaster || null;
         this._applyDiscoveredNetworks = deps.applyDiscoveredNetworks;
         this._applyHaDiscovery = deps.applyHaDiscovery;
         this._updateReadiness = deps.updateReadiness;
@@ -533,13 +535,16 @@ class BridgeInitializationService {
     }
 
     /**
-     * Ask the network clock to rebroadcast date and time after connect.
-     * Read-only: this never sets the C-Bus clock.
+     * Ask the network clock to rebroadcast date and time after connect. The
+     * clock master is only told the networks: it sets the clock on request,
+     * never on connect, and the refresh gives its drift sensor a first value.
      */
     sendClockRefreshRequests() {
-        if (!this.settings.cbus_clock_enabled) return;
+        const clockMaster = this._getClockMaster ? this._getClockMaster() : null;
+        if (!this.settings.cbus_clock_enabled && !clockMaster) return;
         const networks = this._resolveMonitorNetworkIds();
         if (networks.length === 0) return;
+        if (clockMaster) clockMaster.setNetworks(networks);
         for (const network of networks) {
             this.commandQueue.add(
                 buildClockRequestRefresh({
@@ -13,9 +13,13 @@ const {
     MQTT_CMD_TYPE_HVAC_SETPOINT,
     MQTT_CMD_TYPE_HVAC_MODE,
     MQTT_CMD_TYPE_HVAC_FAN_MODE,
+    MQTT_CMD_TYPE_HVAC_HUMIDITY,
+    MQTT_CMD_TYPE_HVAC_HUMIDITY_MODE,
+    MQTT_CMD_TYPE_HVAC_WARD,
     MQTT_CMD_TYPE_TEMPERATURE,
     MQTT_CMD_TYPE_PLAY,
     MQTT_CMD_TYPE_RECORD,
+    MQTT_CMD_TYPE_VALUE,
     MQTT_STATE_ON,
     MQTT_STATE_OFF,
     MQTT_COMMAND_STOP,
@@ -43,9 +47,13 @@ const VALID_COMMAND_TYPES = new Set([
     MQTT_CMD_TYPE_HVAC_SETPOINT,  // HVAC temperature setpoint
     MQTT_CMD_TYPE_HVAC_MODE,      // HVAC operating mode
     MQTT_CMD_TYPE_HVAC_FAN_MODE,  // HVAC fan mode
+    MQTT_CMD_TYPE_HVAC_HUMIDITY,  // HVAC target humidity
+    MQTT_CMD_TYPE_HVAC_HUMIDITY_MODE, // HVAC humidity mode
+    MQTT_CMD_TYPE_HVAC_WARD,      // HVAC zone group (ward) on/off
     MQTT_CMD_TYPE_TEMPERATURE,    // Temperature Broadcast inject
     MQTT_CMD_TYPE_PLAY,           // Scene Module play
-    MQTT_CMD_TYPE_RECORD          // Scene Module record
+    MQTT_CMD_TYPE_RECORD,         // Scene Module record
+    MQTT_CMD_TYPE_VALUE           // Raw level 0-255 (Enable Control variables)
 ]);
 
 /**
@@ -183,9 +191,15 @@ class CBusCommand {
             case MQTT_CMD_TYPE_TRIGGER:
                 this._parseTriggerPayload();
                 break;
+            case MQTT_CMD_TYPE_VALUE:
+                this._parseValuePayload();
+                break;
             case MQTT_CMD_TYPE_HVAC_SETPOINT:
             case MQTT_CMD_TYPE_HVAC_MODE:
             case MQTT_CMD_TYPE_HVAC_FAN_MODE:
+            case MQTT_CMD_TYPE_HVAC_HUMIDITY:
+            case MQTT_CMD_TYPE_HVAC_HUMIDITY_MODE:
+            case MQTT_CMD_TYPE_HVAC_WARD:
             case MQTT_CMD_TYPE_TEMPERATURE:
             case MQTT_CMD_TYPE_PLAY:
             case MQTT_CMD_TYPE_RECORD:
@@ -330,6 +344,21 @@ class CBusCommand {
         }
     }
 
+    /**
+     * Parses a raw level payload for an Enable Control variable (an HA number
+     * or select entity). Unlike ramp and position this is not a percentage:
+     * the variable's value is the C-Bus level itself, 0-255. Anything else
+     * leaves the level null so the router can warn.
+     * @private
+     */
+    _parseValuePayload() {
+        const trimmed = this._payload.trim();
+        if (!/^\d+(\.0+)?$/.test(trimmed)) return;
+        const value = parseInt(trimmed, 10);
+        if (value < CGATE_LEVEL_MIN || value > CGATE_LEVEL_MAX) return;
+        this._level = value;
+    }
+
     isValid() {
         return this._isValid;
     }
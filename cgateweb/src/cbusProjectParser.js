@@ -56,7 +56,7 @@ class CbusProjectParser {
      * @param {string} [filename=''] - Original filename (used for format hint and metadata)
      * @param {Object} [options] - Parsing options
      * @param {string|number} [options.network] - Filter to a specific network address
-     * @returns {Promise<{labels: Object, networks: Array, stats: Object, source: string}>}
+     * @returns {Promise<{labels: Object, valueMaps: Object, networks: Array, stats: Object, source: string}>}
      */
     async parse(inputBuffer, filename = '', options = {}) {
         // C-Bus Toolkit 1.17.x exports a .cbz containing a SQLite project
@@ -91,7 +91,7 @@ class CbusProjectParser {
      * Parse a raw XML string directly.
      * @param {string} xmlString
      * @param {Object} [options]
-     * @returns {Promise<{labels: Object, networks: Array, stats: Object, source: string}>}
+     * @returns {Promise<{labels: Object, valueMaps: Object, networks: Array, stats: Object, source: string}>}
      */
     async parseXML(xmlString, options = {}) {
         const parsed = await this._parseXML(xmlString);
@@ -254,7 +254,8 @@ class CbusProjectParser {
      * Extract group labels from a C-Bus Toolkit SQLite project database.
      * Reconstructs the full network/app/group address by joining
      * _group -> application -> network, each via tagged_entity (which carries
-     * the relative address and tag_name).
+     * the relative address and tag_name). Level labels are not read from the
+     * database, so valueMaps is always empty here.
      * @private
      */
     async _extractSqliteLabels(buffer, options = {}) {
@@ -300,6 +301,7 @@ class CbusProjectParser {
 
             return {
                 labels,
+                valueMaps: {},
                 networks: [...networks.values()],
                 stats: { groupCount, labelCount, networkCount: networks.size },
                 source: ''
@@ -354,9 +356,13 @@ class CbusProjectParser {
      * Walk the parsed XML tree and extract network/app/group labels.
      * Handles both CBZ Toolkit format (Installation > Project > Network > Application > Group)
      * and simpler C-Gate tag XML variants.
+     *
+     * A group's Level children are Toolkit's level labels (a trigger group's
+     * action selector names, say); they become the group's value map.
      */
     _extractLabels(parsed, options = {}) {
         const labels = {};
+        const valueMaps = {};
         const networks = [];
         let groupCount = 0;
         let labelCount = 0;
@@ -384,18 +390,22 @@ class CbusProjectParser {
                     if (groupAddr === CbusProjectParser.CBUS_GROUP_TERMINATOR) continue;
                     groupCount++;
 
+                    const key = `${netAddr}/${appAddr}/${groupAddr}`;
                     const tagName = this._getTagName(group);
                     if (tagName) {
-                        const key = `${netAddr}/${appAddr}/${groupAddr}`;
                         labels[key] = tagName;
                         labelCount++;
                     }
+
+                    const valueMap = this._extractLevelLabels(group);
+                    if (valueMap) valueMaps[key] = valueMap;
                 }
             }
         }
 
         return {
             labels,
+            valueMaps,
             networks,
             stats: { groupCount, labelCount, networkCount: networks.length },
             source: ''
@@ -455,6 +465,22 @@ class CbusProjectParser {
         return this._toArray(appNode.Group || appNode.group);
     }
 
+    /**
+     * A group's named levels as { "level": "name" }, or null if it has none.
+     */
+    _extractLevelLabels(groupNode) {
+        let valueMap = null;
+        for (const level of this._toArray(groupNode.Level || groupNode.level)) {
+            if (!level || typeof level !== 'object') continue;
+            const address = this._getAddress(level);
+            const name = this._getTagName(level);
+            if (address === null || !/^\d{1,3}$/.test(address) || Number(address) > 255 || !name) continue;
+            if (!valueMap) valueMap = {};
+            valueMap[address] = name;
+        }
+        return valueMap;
+    }
+
     /**
      * Extract the address from a node. CBZ XML uses attributes (Address, address, NetworkNumber)
      * while C-Gate tag XML may use elements or attributes.
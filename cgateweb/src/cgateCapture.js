@@ -0,0 +1,213 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { redactCgateLine } = require('./utils');
+
+/**
+ * Full-session C-Gate capture and replay.
+ *
+ * rawEventCapture.js logs selected applications' event lines as they arrive,
+ * which is enough to write a decoder but not to reproduce a field issue: the
+ * command-port responses and the ordering between the two ports are missing.
+ * A capture here records every line on both ports, in order, with the time it
+ * was seen, so the exact session can be fed back through the bridge's own
+ * LineProcessor / CommandResponseProcessor path later.
+ *
+ * The file is JSON Lines, one record per C-Gate line:
+ *   {"ts":1760000000000,"port":"event","dir":"in","line":"lighting on //P/254/56/1"}
+ * `port` is "command" or "event"; `dir` is "in" (from C-Gate) or "out" (sent
+ * by the bridge). Lines pass through redactCgateLine before being written, so
+ * keypad PINs and LOGIN passwords never reach the file.
+ */
+
+const CAPTURE_PORTS = Object.freeze(['command', 'event']);
+const CAPTURE_DIRECTIONS = Object.freeze(['in', 'out']);
+
+/**
+ * Appends captured C-Gate lines to a file, up to a size bound.
+ */
+class CgateCaptureWriter {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Capture file path (appended to if it exists)
+     * @param {number} options.maxBytes - Stop recording once this many bytes have been written
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor({ file, maxBytes, logger }) {
+        this.file = file;
+        this.maxBytes = maxBytes;
+        this.logger = logger;
+        this.bytesWritten = 0;
+        this.recordCount = 0;
+        this._limitReached = false;
+        this._stream = null;
+    }
+
+    /**
+     * Open the capture file. Failure is logged and leaves the writer inert:
+     * a diagnostic capture must never stop the bridge from starting.
+     * @returns {boolean} true when the writer is recording
+     */
+    open() {
+        if (this._stream) return true;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            this._stream = fs.createWriteStream(this.file, { flags: 'a' });
+        } catch (err) {
+            this.logger.warn(`C-Gate capture disabled: could not open ${this.file}: ${err.message}`);
+            return false;
+        }
+        this._stream.on('error', (err) => {
+            this.logger.warn(`C-Gate capture stopped: write to ${this.file} failed: ${err.message}`);
+            this._stream = null;
+        });
+        this.logger.info(`Recording C-Gate command and event traffic to ${this.file}`);
+        return true;
+    }
+
+    /**
+     * Record one line.
+     * @param {'command'|'event'} port
+     * @param {'in'|'out'} dir
+     * @param {string} line - Line without its terminator
+     */
+    record(port, dir, line) {
+        if (!this._stream || this._limitReached) return;
+        const entry = JSON.stringify({ ts: Date.now(), port, dir, line: redactCgateLine(String(line)) }) + '\n';
+        const size = Buffer.byteLength(entry);
+        if (this.bytesWritten + size > this.maxBytes) {
+            this._limitReached = true;
+            this.logger.warn(`C-Gate capture reached ${this.maxBytes} bytes; recording stopped (${this.recordCount} lines in ${this.file})`);
+            return;
+        }
+        this.bytesWritten += size;
+        this.recordCount++;
+        this._stream.write(entry);
+    }
+
+    /**
+     * Flush and close the capture file.
+     * @returns {Promise<void>}
+     */
+    close() {
+        const stream = this._stream;
+        this._stream = null;
+        if (!stream) return Promise.resolve();
+        return new Promise((resolve) => stream.end(resolve));
+    }
+}
+
+/**
+ * Read a capture file back into records. Malformed lines are skipped and
+ * counted rather than failing the whole file, since a capture cut short by a
+ * crash or the size bound can end mid-record.
+ * @param {string} file
+ * @returns {{ records: Array<{ts: number, port: string, dir: string, line: string}>, skipped: number }}
+ */
+function readCaptureFile(file) {
+    const records = [];
+    let skipped = 0;
+    for (const raw of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!raw.trim()) continue;
+        let record;
+        try {
+            record = JSON.parse(raw);
+        } catch {
+            skipped++;
+            continue;
+        }
+        if (!record || typeof record.line !== 'string' || !Number.isFinite(record.ts)
+            || !CAPTURE_PORTS.includes(record.port) || !CAPTURE_DIRECTIONS.includes(record.dir)) {
+            skipped++;
+            continue;
+        }
+        records.push(record);
+    }
+    return { records, skipped };
+}
+
+/**
+ * Plays captured records back with their original spacing, optionally sped up.
+ */
+class CgateCaptureReplayer {
+    /**
+     * @param {Object} options
+     * @param {Array<{ts: number, port: string, dir: string, line: string}>} options.records
+     * @param {number} options.speed - Playback multiplier; 1 is real time, 0 plays back-to-back
+     * @param {(record: {ts: number, port: string, dir: string, line: string}) => void} options.onRecord
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor({ records, speed, onRecord, logger }) {
+        this.records = records;
+        this.speed = speed;
+        this.onRecord = onRecord;
+        this.logger = logger;
+        this._timer = null;
+        this._index = 0;
+        this._stopped = false;
+        this._resolve = null;
+    }
+
+    /**
+     * Start playback.
+     * @returns {Promise<number>} resolves with the number of records played once playback ends or is stopped
+     */
+    start() {
+        return new Promise((resolve) => {
+            this._resolve = resolve;
+            this._next();
+        });
+    }
+
+    /** Stop playback; the start() promise resolves with what was played so far. */
+    stop() {
+        this._stopped = true;
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        this._finish();
+    }
+
+    /** @private */
+    _next() {
+        if (this._stopped) return;
+        if (this._index >= this.records.length) {
+            this._finish();
+            return;
+        }
+        const record = this.records[this._index];
+        const previous = this._index > 0 ? this.records[this._index - 1] : null;
+        const gapMs = previous ? Math.max(0, record.ts - previous.ts) : 0;
+        const delayMs = this.speed > 0 ? gapMs / this.speed : 0;
+
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._index++;
+            try {
+                this.onRecord(record);
+            } catch (err) {
+                this.logger.error(`Replay of captured line failed: ${err.message}`, { line: record.line });
+            }
+            this._next();
+        }, delayMs);
+    }
+
+    /** @private */
+    _finish() {
+        if (!this._resolve) return;
+        const resolve = this._resolve;
+        this._resolve = null;
+        resolve(this._index);
+    }
+}
+
+module.exports = {
+    CgateCaptureWriter,
+    CgateCaptureReplayer,
+    readCaptureFile,
+    CAPTURE_PORTS,
+    CAPTURE_DIRECTIONS
+};
@@ -38,6 +38,8 @@ class CgateConnection extends EventEmitter {
         this.socket = null;
         this.connected = false;
         this.reconnectAttempts = 0;
+        // Lifetime total for /metrics; reconnectAttempts resets on connect.
+        this.reconnectCount = 0;
         this.reconnectTimeout = null;
         this.maxReconnectAttempts = resolveSetting(settings, 'cgateMaxReconnectAttempts');
         this.reconnectInitialDelay = resolveSetting(settings, 'reconnectinitialdelay');
@@ -363,6 +365,7 @@ class CgateConnection extends EventEmitter {
         });
 
         this.reconnectAttempts++;
+        this.reconnectCount++;
         
         if (this.reconnectAttempts <= this.maxReconnectAttempts) {
             this.logger.info(`Scheduling ${this.type} reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms`);
@@ -74,6 +74,7 @@ class CgateConnectionPool extends EventEmitter {
         this.healthyConnections = new Set();
         this._healthyArray = null; // Cached array of healthy connections
         this.retryCounts = new Array(this.poolSize).fill(0);
+        this.reconnectCount = 0; // Lifetime total; retryCounts reset on success
         this.pendingReconnects = new Set(); // Tracks indices with scheduled reconnection
         this._reconnectTimers = new Map(); // index → reconnection timeout handle
         this.connectionInFlight = new Map(); // Tracks in-flight writes per connection
@@ -256,6 +257,7 @@ class CgateConnectionPool extends EventEmitter {
             pendingReconnects: this.pendingReconnects.size,
             writableConnections: this._getHealthyConnectionsSorted().filter(connection => connection.isWritable !== false).length,
             retryCounts: [...this.retryCounts],
+            reconnectCount: this.reconnectCount,
             isStarted: this.isStarted,
             isShuttingDown: this.isShuttingDown
         };
@@ -370,6 +372,7 @@ class CgateConnectionPool extends EventEmitter {
         this.pendingReconnects.add(index);
         
         this.retryCounts[index] = (this.retryCounts[index] || 0) + 1;
+        this.reconnectCount++;
 
         // Exponential backoff -- never permanently give up
         const retryCount = this.retryCounts[index];
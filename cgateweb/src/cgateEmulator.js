@@ -0,0 +1,486 @@
+// @ts-check
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { LineProcessor } = require('./lineProcessor');
+const CbusProjectParser = require('./cbusProjectParser');
+const {
+    CGATE_CMD_ON,
+    CGATE_CMD_OFF,
+    CGATE_CMD_RAMP,
+    CGATE_CMD_TERMINATERAMP,
+    CGATE_CMD_GET,
+    CGATE_CMD_TREEXML,
+    CGATE_CMD_LOGIN,
+    CGATE_RESPONSE_OBJECT_STATUS,
+    CGATE_RESPONSE_TREE_START,
+    CGATE_RESPONSE_TREE_DATA,
+    CGATE_RESPONSE_TREE_END,
+    CGATE_LEVEL_MIN,
+    CGATE_LEVEL_MAX,
+    NEWLINE
+} = require('./constants');
+
+// Unit address the emulator stamps on events it originates for bridge writes,
+// so they are distinguishable from simulated wall-switch presses (#35).
+const EMULATOR_SOURCE_UNIT = 250;
+
+// What a real C-Gate sends when a client connects to the command port.
+const COMMAND_PORT_BANNER = '201 Service ready: Clipsal C-Gate Version: v2.11.4 (build 3251) #cmd-syntax=2.2';
+
+// "//PROJECT/254/56/1", optionally with a wildcard group.
+const OBJECT_PATH_REGEX = /^\/\/([^/\s]+)\/(\d{1,3})(?:\/(\d{1,3})(?:\/(\d{1,3}|\*))?)?$/;
+
+/**
+ * Escape text for an XML element body.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Parse a C-Gate level argument: 0-255 or a percentage like "50%".
+ * @param {string|undefined} raw
+ * @returns {number|null}
+ */
+function parseLevelArgument(raw) {
+    if (raw === undefined) return null;
+    const percent = /^(\d{1,3})%$/.exec(raw);
+    if (percent) {
+        const value = Number(percent[1]);
+        return value <= 100 ? Math.round(value / 100 * CGATE_LEVEL_MAX) : null;
+    }
+    if (!/^\d{1,3}$/.test(raw)) return null;
+    const value = Number(raw);
+    return value >= CGATE_LEVEL_MIN && value <= CGATE_LEVEL_MAX ? value : null;
+}
+
+/**
+ * A stand-in for C-Gate, for running the bridge end to end with no C-Bus
+ * hardware.
+ *
+ * Loads a Toolkit project (anything CbusProjectParser accepts) and serves the
+ * subset of the command interface the bridge uses: LOGIN, EVENT, NOOP,
+ * `tree //PROJECT`, TREEXML, GET level (single group and `*`), GET
+ * InterfaceState/State, and lighting ON/OFF/RAMP/TERMINATERAMP. Responses use
+ * C-Gate's real line shapes (200, 300, 343/347/344, 401), and every level
+ * change is broadcast on the event port - and, when one is configured, the
+ * status-change port - as the matching `lighting ...` event line.
+ *
+ * Ramps complete immediately; the emulator keeps only final levels. Only
+ * labelled groups from the project exist on the emulated bus, because those
+ * are the only groups CbusProjectParser reports.
+ *
+ * Not part of the add-on runtime. Start it with `npm run emulator -- <project>`
+ * and point cbusip at it.
+ */
+class CgateEmulator {
+    /**
+     * @param {Object} options
+     * @param {{ labels: Object<string, string>, networks: Array<{ address: string, name: string|null }> }} options.project - CbusProjectParser result
+     * @param {string} [options.cbusname='CLIPSAL'] - Project name the emulator answers to
+     * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+     * @param {number} [options.commandPort=20023]
+     * @param {number} [options.eventPort=20025]
+     * @param {number|null} [options.statusPort=null] - Status-change port (20024 on real C-Gate); off when null
+     * @param {Object} [options.logger]
+     */
+    constructor({ project, cbusname = 'CLIPSAL', host = '127.0.0.1', commandPort = 20023, eventPort = 20025, statusPort = null, logger }) {
+        this.cbusname = cbusname;
+        this.host = host;
+        this.commandPort = commandPort;
+        this.eventPort = eventPort;
+        this.statusPort = statusPort;
+        this.logger = logger || createLogger({ component: 'CgateEmulator' });
+
+        // "net/app/group" -> { label, level }
+        this._groups = new Map();
+        this._networks = new Set();
+        for (const network of project.networks || []) {
+            this._networks.add(String(network.address));
+        }
+        for (const [address, label] of Object.entries(project.labels || {})) {
+            const [network] = address.split('/');
+            this._networks.add(network);
+            this._groups.set(address, { label, level: CGATE_LEVEL_MIN });
+        }
+
+        this._servers = [];
+        this._eventClients = new Set();
+        this._commandClients = new Set();
+    }
+
+    /**
+     * Build an emulator from a Toolkit project file (.cbz, .xml or .db).
+     * @param {string} projectFile
+     * @param {Object} [options] - Constructor options other than `project`
+     * @returns {Promise<CgateEmulator>}
+     */
+    static async fromProjectFile(projectFile, options = {}) {
+        const buffer = fs.readFileSync(projectFile);
+        const project = await new CbusProjectParser().parse(buffer, path.basename(projectFile));
+        return new CgateEmulator({ ...options, project });
+    }
+
+    /**
+     * Listen on the command, event and (optional) status ports.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const ports = [
+            { name: 'command', port: this.commandPort, onConnection: (socket) => this._onCommandConnection(socket) },
+            { name: 'event', port: this.eventPort, onConnection: (socket) => this._onEventConnection(socket) }
+        ];
+        if (this.statusPort !== null && this.statusPort !== undefined) {
+            ports.push({ name: 'status', port: this.statusPort, onConnection: (socket) => this._onEventConnection(socket) });
+        }
+
+        for (const { name, port, onConnection } of ports) {
+            const server = net.createServer(onConnection);
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, this.host, () => {
+                    server.off('error', reject);
+                    resolve(undefined);
+                });
+            });
+            const address = /** @type {import('net').AddressInfo} */ (server.address());
+            if (name === 'command') this.commandPort = address.port;
+            else if (name === 'event') this.eventPort = address.port;
+            else this.statusPort = address.port;
+            this._servers.push(server);
+            this.logger.info(`C-Gate emulator ${name} port listening on ${this.host}:${address.port}`);
+        }
+        this.logger.info(
+            `Emulating project ${this.cbusname}: ${this._groups.size} group(s) on network(s) [${[...this._networks].join(', ')}]`
+        );
+    }
+
+    /**
+     * Close every client and stop listening.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        for (const socket of [...this._commandClients, ...this._eventClients]) {
+            socket.destroy();
+        }
+        this._commandClients.clear();
+        this._eventClients.clear();
+        await Promise.all(this._servers.map((server) => new Promise((resolve) => server.close(() => resolve(undefined)))));
+        this._servers = [];
+    }
+
+    /**
+     * Change a group level as if a unit on the bus had done it (a wall switch
+     * press, say), and broadcast the event line.
+     * @param {string|number} network
+     * @param {string|number} application
+     * @param {string|number} group
+     * @param {number} level - 0-255
+     * @param {number} [sourceUnit] - Unit address reported as #sourceunit
+     * @returns {boolean} false when the group is not in the project
+     * @throws {RangeError} when level is not 0-255
+     */
+    setLevel(network, application, group, level, sourceUnit = 1) {
+        const address = `${network}/${application}/${group}`;
+        if (!this._groups.has(address)) return false;
+        if (!Number.isInteger(level) || level < CGATE_LEVEL_MIN || level > CGATE_LEVEL_MAX) {
+            throw new RangeError(`level must be an integer from ${CGATE_LEVEL_MIN} to ${CGATE_LEVEL_MAX}`);
+        }
+        this._applyLevel(address, level, sourceUnit);
+        return true;
+    }
+
+    /**
+     * Current emulated level, or undefined for a group not in the project.
+     * @param {string|number} network
+     * @param {string|number} application
+     * @param {string|number} group
+     * @returns {number|undefined}
+     */
+    getLevel(network, application, group) {
+        const entry = this._groups.get(`${network}/${application}/${group}`);
+        return entry ? entry.level : undefined;
+    }
+
+    /**
+     * Send a raw line to every event-port (and status-port) client.
+     * @param {string} line
+     */
+    emitEventLine(line) {
+        for (const socket of this._eventClients) {
+            if (!socket.destroyed) socket.write(line + NEWLINE);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onEventConnection(socket) {
+        this._eventClients.add(socket);
+        socket.on('close', () => this._eventClients.delete(socket));
+        socket.on('error', () => this._eventClients.delete(socket));
+        // Anything a client sends on the event port is ignored, as on C-Gate.
+        socket.on('data', () => {});
+    }
+
+    /**
+     * @private
+     */
+    _onCommandConnection(socket) {
+        this._commandClients.add(socket);
+        const lineProcessor = new LineProcessor();
+        socket.on('close', () => this._commandClients.delete(socket));
+        socket.on('error', () => this._commandClients.delete(socket));
+        socket.on('data', (data) => {
+            lineProcessor.processData(data, (line) => {
+                for (const response of this.handleCommand(line)) {
+                    if (!socket.destroyed) socket.write(response + NEWLINE);
+                }
+            });
+        });
+        socket.write(COMMAND_PORT_BANNER + NEWLINE);
+    }
+
+    /**
+     * Answer one command-port line. Exposed for tests and for driving the
+     * emulator without a socket.
+     * @param {string} line
+     * @returns {string[]} response lines, without newlines
+     */
+    handleCommand(line) {
+        const trimmed = line.trim();
+        // Comments (the bridge's keep-alive) get no response.
+        if (!trimmed || trimmed.startsWith('#')) return [];
+
+        const [verb, ...args] = trimmed.split(/\s+/);
+        switch (verb.toUpperCase()) {
+            case CGATE_CMD_LOGIN:
+            case 'EVENT':
+            case 'NOOP':
+                return ['200 OK.'];
+            case 'TREE':
+                return this._handleTree(args[0]);
+            case CGATE_CMD_TREEXML:
+                return this._handleTreeXml(args[0]);
+            case CGATE_CMD_GET:
+                return this._handleGet(args[0], args[1]);
+            case CGATE_CMD_ON:
+                return this._handleLevelWrite(args[0], CGATE_LEVEL_MAX);
+            case CGATE_CMD_OFF:
+                return this._handleLevelWrite(args[0], CGATE_LEVEL_MIN);
+            case CGATE_CMD_RAMP: {
+                const level = parseLevelArgument(args[1]);
+                if (level === null) return [`406 Parameter out of range: ${args[1] || '(missing)'}`];
+                return this._handleLevelWrite(args[0], level);
+            }
+            case CGATE_CMD_TERMINATERAMP:
+                return this._resolveGroup(args[0]).error || ['200 OK.'];
+            default:
+                return [`400 Syntax Error: unknown command "${verb}"`];
+        }
+    }
+
+    /**
+     * `tree //PROJECT`: one 200 line per network, as bridge network
+     * auto-discovery expects.
+     * @private
+     */
+    _handleTree(objectPath) {
+        if (objectPath !== `//${this.cbusname}`) {
+            return [`401 Bad object or device ID: ${objectPath || ''} (Object not found)`];
+        }
+        const networks = [...this._networks];
+        if (networks.length === 0) return ['200 OK.'];
+        return networks.map((network, i) => `200${i === networks.length - 1 ? ' ' : '-'}//${this.cbusname}/${network}`);
+    }
+
+    /**
+     * TREEXML //PROJECT/254 (or TREEXML 254): the network as a 343/347/344
+     * block, one synthesised unit per application.
+     * @private
+     */
+    _handleTreeXml(target) {
+        const match = /^(?:\/\/([^/\s]+)\/)?(\d{1,3})$/.exec(target || '');
+        if (!match || (match[1] && match[1] !== this.cbusname) || !this._networks.has(match[2])) {
+            return [`401 Bad object or device ID: ${target || ''} (Object not found)`];
+        }
+        const xmlLines = this._buildTreeXml(match[2]);
+        return [
+            `${CGATE_RESPONSE_TREE_START}-Begin XML snapshot`,
+            ...xmlLines.map((xmlLine) => `${CGATE_RESPONSE_TREE_DATA}-${xmlLine}`),
+            `${CGATE_RESPONSE_TREE_END} End XML snapshot`
+        ];
+    }
+
+    /**
+     * @param {string} network
+     * @returns {string[]}
+     * @private
+     */
+    _buildTreeXml(network) {
+        /** @type {Map<string, Array<[string, { label: string, level: number }]>>} */
+        const byApplication = new Map();
+        for (const [address, entry] of this._groups) {
+            const [net, app, group] = address.split('/');
+            if (net !== network) continue;
+            if (!byApplication.has(app)) byApplication.set(app, []);
+            byApplication.get(app).push([group, entry]);
+        }
+
+        const lines = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<Network>',
+            '  <Interface>',
+            '    <InterfaceType>cni</InterfaceType>',
+            '    <InterfaceAddress>emulator</InterfaceAddress>',
+            '    <Network>',
+            `      <NetworkNumber>${network}</NetworkNumber>`,
+            '      <State>ok</State>'
+        ];
+        let unitAddress = 1;
+        for (const [app, groups] of [...byApplication].sort((a, b) => Number(a[0]) - Number(b[0]))) {
+            groups.sort((a, b) => Number(a[0]) - Number(b[0]));
+            lines.push('      <Unit>');
+            lines.push(`        <UnitAddress>${unitAddress++}</UnitAddress>`);
+            lines.push('        <Application>');
+            lines.push(`          <ApplicationAddress>${app}</ApplicationAddress>`);
+            for (const [group, entry] of groups) {
+                lines.push('          <Group>');
+                lines.push(`            <GroupAddress>${group}</GroupAddress>`);
+                lines.push(`            <Label>${escapeXml(entry.label)}</Label>`);
+                lines.push(`            <Level>${entry.level}</Level>`);
+                lines.push('          </Group>');
+            }
+            lines.push('        </Application>');
+            lines.push('      </Unit>');
+        }
+        lines.push('    </Network>', '  </Interface>', '</Network>');
+        return lines;
+    }
+
+    /**
+     * GET for a group level, a `*` level getall, or network InterfaceState/State.
+     * @private
+     */
+    _handleGet(objectPath, param) {
+        const match = OBJECT_PATH_REGEX.exec(objectPath || '');
+        if (!match || match[1] !== this.cbusname || !this._networks.has(match[2])) {
+            return [`401 Bad object or device ID: ${objectPath || ''} (Object not found)`];
+        }
+        const [, , network, app, group] = match;
+
+        if (app === undefined) {
+            if (param === 'InterfaceState') return [`${CGATE_RESPONSE_OBJECT_STATUS} //${this.cbusname}/${network}: InterfaceState=running`];
+            if (param === 'State') return [`${CGATE_RESPONSE_OBJECT_STATUS} //${this.cbusname}/${network}: State=ok`];
+            return [`406 Parameter out of range: ${param || '(missing)'}`];
+        }
+        if (String(param).toLowerCase() !== 'level' || group === undefined) {
+            return [`406 Parameter out of range: ${param || '(missing)'}`];
+        }
+
+        const addresses = group === '*'
+            ? [...this._groups.keys()]
+                .filter((address) => address.startsWith(`${network}/${app}/`))
+                .sort((a, b) => Number(a.split('/')[2]) - Number(b.split('/')[2]))
+            : [`${network}/${app}/${group}`].filter((address) => this._groups.has(address));
+        if (addresses.length === 0) {
+            return [`401 Bad object or device ID: ${objectPath} (Object not found)`];
+        }
+        return addresses.map((address, i) => {
+            const separator = i === addresses.length - 1 ? ' ' : '-';
+            return `${CGATE_RESPONSE_OBJECT_STATUS}${separator}//${this.cbusname}/${address}: level=${this._groups.get(address).level}`;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _handleLevelWrite(objectPath, level) {
+        const resolved = this._resolveGroup(objectPath);
+        if (resolved.error) return resolved.error;
+        this._applyLevel(resolved.address, level, EMULATOR_SOURCE_UNIT);
+        return [`200 OK: ${objectPath}`];
+    }
+
+    /**
+     * @param {string} objectPath
+     * @returns {{ address?: string, error?: string[] }}
+     * @private
+     */
+    _resolveGroup(objectPath) {
+        const match = OBJECT_PATH_REGEX.exec(objectPath || '');
+        if (!match || match[1] !== this.cbusname || match[4] === undefined || match[4] === '*') {
+            return { error: [`401 Bad object or device ID: ${objectPath || ''} (Object not found)`] };
+        }
+        const address = `${match[2]}/${match[3]}/${match[4]}`;
+        if (!this._groups.has(address)) {
+            return { error: [`401 Bad object or device ID: ${objectPath} (Object not found)`] };
+        }
+        return { address };
+    }
+
+    /**
+     * Store the level and broadcast the event line C-Gate would emit for it.
+     * @private
+     */
+    _applyLevel(address, level, sourceUnit) {
+        this._groups.get(address).level = level;
+        const objectPath = `//${this.cbusname}/${address}`;
+        const body = level === CGATE_LEVEL_MAX ? `on ${objectPath}`
+            : level === CGATE_LEVEL_MIN ? `off ${objectPath}`
+                : `ramp ${objectPath} ${level}`;
+        this.emitEventLine(`lighting ${body}  #sourceunit=${sourceUnit} OID=emulator`);
+    }
+}
+
+/**
+ * Command-line entry: `node src/cgateEmulator.js <project> [--name PROJECT]
+ * [--host 127.0.0.1] [--command-port 20023] [--event-port 20025] [--status-port 20024]`.
+ * @param {string[]} argv
+ */
+async function main(argv) {
+    const args = { name: 'CLIPSAL', host: '127.0.0.1', 'command-port': '20023', 'event-port': '20025', 'status-port': null };
+    let projectFile = null;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--') && Object.prototype.hasOwnProperty.call(args, arg.slice(2))) {
+            args[arg.slice(2)] = argv[++i];
+        } else if (!projectFile) {
+            projectFile = arg;
+        }
+    }
+    if (!projectFile) {
+        process.stderr.write('Usage: npm run emulator -- <project.cbz|.xml|.db> [--name PROJECT] [--host 127.0.0.1] '
+            + '[--command-port 20023] [--event-port 20025] [--status-port 20024]\n');
+        process.exitCode = 1;
+        return;
+    }
+
+    const emulator = await CgateEmulator.fromProjectFile(projectFile, {
+        cbusname: args.name,
+        host: args.host,
+        commandPort: Number(args['command-port']),
+        eventPort: Number(args['event-port']),
+        statusPort: args['status-port'] === null ? null : Number(args['status-port'])
+    });
+    await emulator.start();
+    const shutdown = () => { emulator.stop().then(() => process.exit(0)); };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((err) => {
+        process.stderr.write(`C-Gate emulator failed to start: ${err.message}\n`);
+        process.exit(1);
+    });
+}
+
+module.exports = CgateEmulator;
@@ -22,6 +22,7 @@ const WebServer = require('./webServer');
 const HaBridgeDiagnostics = require('./haBridgeDiagnostics');
 const StaleDeviceDetector = require('./staleDeviceDetector');
 const { NetworkInterfaceMonitor } = require('./networkInterfaceMonitor');
+const { buildNetworkTopology } = require('./networkTopology');
 const { AirconControlRegistry } = require('./airconControlRegistry');
 const CniNotificationManager = require('./cniNotificationManager');
 const SerialDeviceRecovery = require('./serialDeviceRecovery');
@@ -32,6 +33,15 @@ const { LineProcessor } = require('./lineProcessor');
 const { MQTT_RETAINED_STATE_OPTIONS, CGATE_EVENT_NETWORK_SYNC_REGEX } = require('./constants');
 const { redactCgateLine } = require('./utils');
 const { parseRawCaptureTarget } = require('./rawEventCapture');
+const { CgateCaptureWriter, CgateCaptureReplayer, readCaptureFile } = require('./cgateCapture');
+const DeviceStatePersistence = require('./deviceStatePersistence');
+const DiscoveryTopicPersistence = require('./discoveryTopicPersistence');
+const RulesEngine = require('./rules/rulesEngine');
+const Scheduler = require('./scheduler');
+const SoftSceneManager = require('./softSceneManager');
+const ClockMaster = require('./clockMaster');
+const { CommandAuditLog } = require('./commandAuditLog');
+const { resolveLocation } = require('./haLocation');
 const { resolveSetting } = require('./config/schema');
 
 // Publish options for the raw event capture topic: never retained, prebuilt
@@ -126,10 +136,12 @@ class CgateWebBridge {
             // Constructed later in the build sequence (like commandResponseProcessor),
             // so read it live. Owns the security status_request dedupe.
             getSecurityEventHandler: () => this.securityEventHandler,
+            getClockMaster: () => this.clockMaster,
             applyDiscoveredNetworks: (networks) => { this.discoveredNetworks = networks; },
             applyHaDiscovery: (haDiscovery) => {
                 this.haDiscovery = haDiscovery;
                 this.commandResponseProcessor.haDiscovery = haDiscovery;
+                if (this.discoveryTopicPersistence) this.discoveryTopicPersistence.attach(haDiscovery);
             },
             updateReadiness: (reason) => this._updateBridgeReadiness(reason)
         });
@@ -181,6 +193,28 @@ class CgateWebBridge {
         // Tracks per-thermostat ward/zone/type state for native HVAC write control.
         this.airconControlRegistry = new AirconControlRegistry();
 
+        // Audit trail of routed commands (command_audit_file), read over
+        // /api/audit.
+        this.commandAuditLog = this.settings.command_audit_file
+            ? new CommandAuditLog({
+                file: this.settings.command_audit_file,
+                maxBytes: resolveSetting(this.settings, 'commandAuditMaxBytes'),
+                maxFiles: resolveSetting(this.settings, 'commandAuditMaxFiles'),
+                resultTimeoutMs: resolveSetting(this.settings, 'commandAuditResultTimeoutMs'),
+                logger: this.logger
+            })
+            : null;
+
+        // Full-session C-Gate traffic recording (cgate_capture_file); opened
+        // in start(), closed in stop(). Not used in replay mode.
+        this.cgateCapture = this.settings.cgate_capture_file
+            ? new CgateCaptureWriter({
+                file: this.settings.cgate_capture_file,
+                maxBytes: resolveSetting(this.settings, 'cgateCaptureMaxBytes'),
+                logger: this.logger
+            })
+            : null;
+
         // MQTT command router
         this.mqttCommandRouter = new MqttCommandRouter({
             cbusname: this.settings.cbusname,
@@ -190,9 +224,61 @@ class CgateWebBridge {
             deviceStateManager: this.deviceStateManager,
             mqttClient: { publish: (topic, payload, opts) => this.mqttManager.publish(topic, payload, opts) },
             settings: this.settings,
-            airconControlRegistry: this.airconControlRegistry
+            airconControlRegistry: this.airconControlRegistry,
+            commandAuditLog: this.commandAuditLog
         });
 
+        // Local automation rules (rules_file). Actions go through the command
+        // router like MQTT writes; loaded in start().
+        this._location = null;
+        this.rulesEngine = this.settings.rules_file
+            ? new RulesEngine({
+                file: this.settings.rules_file,
+                deviceStateManager: this.deviceStateManager,
+                routeCommand: (topic, payload, origin) => this.mqttCommandRouter.routeMessage(topic, payload, origin),
+                getLocation: () => this._location,
+                echoWindowMs: resolveSetting(this.settings, 'rulesEchoWindowMs'),
+                logger: this.logger
+            })
+            : null;
+
+        // Timed group commands (schedules_file), edited over /api/schedules.
+        this.scheduler = this.settings.schedules_file
+            ? new Scheduler({
+                file: this.settings.schedules_file,
+                routeCommand: (topic, payload, origin) => this.mqttCommandRouter.routeMessage(topic, payload, origin),
+                getLocation: () => this._location,
+                mqttClient: { publish: (topic, payload, opts) => this.mqttManager.publish(topic, payload, opts) },
+                settings: this.settings,
+                logger: this.logger
+            })
+            : null;
+
+        // Software scenes (scenes_file): levels captured from the device state
+        // and restored through the command router.
+        this.softSceneManager = this.settings.scenes_file
+            ? new SoftSceneManager({
+                file: this.settings.scenes_file,
+                deviceStateManager: this.deviceStateManager,
+                routeCommand: (topic, payload, origin) => this.mqttCommandRouter.routeMessage(topic, payload, origin),
+                mqttClient: { publish: (topic, payload, opts) => this.mqttManager.publish(topic, payload, opts) },
+                settings: this.settings,
+                logger: this.logger
+            })
+            : null;
+
+        // Network time master (cbus_clock_master_enabled): sets the C-Bus clock
+        // from the host when the Sync clock button or sync topic asks it to.
+        // The initialization service tells it the networks on each connect.
+        this.clockMaster = this.settings.cbus_clock_master_enabled
+            ? new ClockMaster({
+                commandQueue: this.cgateCommandQueue,
+                getHaDiscovery: this._getHaDiscovery,
+                settings: this.settings,
+                logger: this.logger
+            })
+            : null;
+
         // Per-connection line processors to prevent data interleaving across pool connections.
         // Each TCP connection gets its own processor so partial reads on one connection
         // don't corrupt lines being assembled on another.
@@ -227,7 +313,10 @@ class CgateWebBridge {
             labelLoader: this.labelLoader,
             logger: this.logger,
             coverRampTracker: this.mqttCommandRouter.coverRampTracker,
-            onEventLog: this._onEventLog
+            onEventLog: this._onEventLog,
+            onReading: this.rulesEngine
+                ? (network, application, group, reading) => this.rulesEngine.handleReading(network, application, group, reading)
+                : null
         });
 
         // Decodes native-aircon (app 172) event lines, records control state, and
@@ -273,6 +362,30 @@ class CgateWebBridge {
             getHaDiscovery: this._getHaDiscovery
         });
 
+        // Saves levels, last-seen times, panel and aircon state across
+        // restarts (device_state_file); restored in start().
+        this.deviceStatePersistence = this.settings.device_state_file
+            ? new DeviceStatePersistence({
+                file: this.settings.device_state_file,
+                intervalMs: resolveSetting(this.settings, 'deviceStateSaveIntervalMs'),
+                deviceStateManager: this.deviceStateManager,
+                airconControlRegistry: this.airconControlRegistry,
+                securityEventHandler: this.securityEventHandler,
+                logger: this.logger
+            })
+            : null;
+
+        // Records the discovery config topics published, so leftovers from
+        // before a restart can be found (ha_discovery_topics_file). Attached to
+        // HaDiscovery when the initialization service creates it.
+        this.discoveryTopicPersistence = this.settings.ha_discovery_topics_file && this.settings.ha_discovery_enabled
+            ? new DiscoveryTopicPersistence({
+                file: this.settings.ha_discovery_topics_file,
+                intervalMs: resolveSetting(this.settings, 'discoveryTopicsSaveIntervalMs'),
+                logger: this.logger
+            })
+            : null;
+
         // Republishes state after a Home Assistant or MQTT broker restart
         // (issue #44). Neither event restarts the bridge, so nothing else would.
         this.stateResyncCoordinator = new StateResyncCoordinator({
@@ -314,6 +427,9 @@ class CgateWebBridge {
             onObjectStatus: (event) => this.deviceStateManager.updateLevelFromEvent(event),
             onNetworkState: (networkId, reading) => this._handleNetworkInterfaceReading(networkId, reading),
             onNetworkSyncComplete: (networkId) => this._handleNetworkSyncComplete(networkId),
+            onCommandResult: this.commandAuditLog
+                ? (code, statusData) => this.commandAuditLog.handleResponse(code, statusData)
+                : undefined,
             maxPendingTreeMessages: resolveSetting(this.settings, 'commandResponseMaxPendingTreeMessages'),
             logger: this.logger
         });
@@ -342,9 +458,19 @@ class CgateWebBridge {
             maxDashboardDevices: resolveSetting(this.settings, 'webDashboardMaxDevices'),
             maxSseConnections: resolveSetting(this.settings, 'web_max_sse_connections'),
             _sseKeepaliveMs: resolveSetting(this.settings, 'webSseKeepaliveMs'),
+            maxWebSocketConnections: resolveSetting(this.settings, 'web_max_websocket_connections'),
+            webSocketPingIntervalMs: resolveSetting(this.settings, 'webWebSocketPingIntervalMs'),
+            webSocketMaxMessageBytes: resolveSetting(this.settings, 'webWebSocketMaxMessageBytes'),
+            webSocketMaxBufferedBytes: resolveSetting(this.settings, 'webWebSocketMaxBufferedBytes'),
             triggerAppId: resolveSetting(this.settings, 'ha_discovery_trigger_app_id'),
             getStatus: () => this._getBridgeStatus(),
+            getTopology: () => this._getNetworkTopology(),
             deviceStateManager: this.deviceStateManager,
+            routeCommand: (topic, payload, origin) => this.mqttCommandRouter.routeMessage(topic, payload, origin),
+            scheduler: this.scheduler,
+            softSceneManager: this.softSceneManager,
+            commandAuditLog: this.commandAuditLog,
+            getHaDiscovery: this._getHaDiscovery,
             eventStream: this.eventStream
         }));
         this.haBridgeDiagnostics = new HaBridgeDiagnostics(
@@ -478,6 +604,8 @@ class CgateWebBridge {
             this.stateResyncCoordinator.requestResync('mqtt-reconnect');
             this.haBridgeDiagnostics.republishDiscovery();
             this.staleDeviceDetector.republishDiscovery();
+            if (this.scheduler) this.scheduler.republishDiscovery();
+            if (this.softSceneManager) this.softSceneManager.republishDiscovery();
         });
 
         // Data processing handlers - pass connection for per-connection line processing
@@ -493,6 +621,23 @@ class CgateWebBridge {
         this.mqttCommandRouter.on('treeRequest', (networkId) => {
             if (this.haDiscovery) this.haDiscovery.queueTreeRequest(networkId);
         });
+        this.mqttCommandRouter.on('scheduleEnable', (scheduleId, enabled) => {
+            if (this.scheduler) this.scheduler.setEnabled(scheduleId, enabled);
+        });
+        this.mqttCommandRouter.on('softSceneCommand', (sceneId, action, payload) => {
+            if (this.softSceneManager) {
+                this.softSceneManager.handleCommand(sceneId, action, payload);
+            } else {
+                this.logger.warn(`Scene command ignored; software scenes are off (set scenes_file): ${sceneId}/${action}`);
+            }
+        });
+        this.mqttCommandRouter.on('clockSync', (network) => {
+            if (this.clockMaster) {
+                this.clockMaster.syncNow([network]);
+            } else {
+                this.logger.warn(`Clock sync ignored for network ${network}; the clock master is off (set cbus_clock_master_enabled)`);
+            }
+        });
     }
 
     /**
@@ -510,6 +655,29 @@ class CgateWebBridge {
         this._setLifecycleState('booting', 'startup');
         this._updateBridgeReadiness('startup');
 
+        if (this.settings.cgate_replay_file) {
+            return this._startReplay();
+        }
+        if (this.cgateCapture) this.cgateCapture.open();
+        if (this.deviceStatePersistence) {
+            const restored = this.deviceStatePersistence.restore();
+            if (restored && restored.levels > 0) {
+                this.mqttManager.once('connect', () => this._publishRestoredLevels());
+            }
+            this.deviceStatePersistence.start();
+        }
+        if (this.rulesEngine) this.rulesEngine.load();
+        if (this.scheduler) {
+            this.scheduler.load();
+            this.scheduler.start();
+        }
+        if (this.rulesEngine || this.scheduler) this._resolveLocation();
+        if (this.softSceneManager) {
+            this.softSceneManager.load();
+            this.softSceneManager.start();
+        }
+        if (this.clockMaster) this.clockMaster.start();
+
         // Start all connections via connection manager
         await this.connectionManager.start();
         this.haBridgeDiagnostics.start();
@@ -529,6 +697,111 @@ class CgateWebBridge {
         return this;
     }
 
+    /**
+     * Learn the location used for sunrise/sunset in rules and schedules: the
+     * latitude and longitude settings, or in the add-on the Home Assistant home
+     * location. Off the await chain; until it resolves, sun-based conditions
+     * are unmet and sun-based schedules do not run.
+     * @private
+     * @returns {Promise<void>}
+     */
+    _resolveLocation() {
+        return resolveLocation({
+            settings: this.settings,
+            token: process.env.SUPERVISOR_TOKEN,
+            timeoutMs: resolveSetting(this.settings, 'ingressDiscoveryTimeoutMs')
+        })
+            .then((location) => {
+                this._location = location;
+                if (location) {
+                    this.logger.info(`Location for sunrise/sunset: ${location.latitude}, ${location.longitude}`);
+                }
+            })
+            .catch((err) => {
+                this.logger.warn(`Could not read the Home Assistant location for sunrise/sunset: ${err.message}`);
+            });
+    }
+
+    /**
+     * Publish levels restored from device_state_file so Home Assistant has a
+     * state before GETALL completes. Only needed without retainreads: with it
+     * the broker already holds the last published state. Addresses C-Gate has
+     * reported since startup are skipped, as are trigger groups, whose level
+     * is an action selector and would fire automations if replayed.
+     * @private
+     */
+    _publishRestoredLevels() {
+        if (this.settings.retainreads) return;
+        let published = 0;
+        for (const [address, level] of this.deviceStateManager.getAllLevels()) {
+            const [network, application, group] = address.split('/');
+            if (this.deviceStateManager.isVerified(network, application, group)) continue;
+            if (application === this.settings.ha_discovery_trigger_app_id) continue;
+            const event = new CBusEvent(`//${this.settings.cbusname}/${address}: level=${level}`, { statusDataOnly: true });
+            if (!event.isValid() || event.getReading()) continue;
+            this.eventPublisher.publishEvent(event, '(Restored)');
+            published++;
+        }
+        if (published > 0) this.logger.info(`Published ${published} restored levels pending confirmation from C-Gate`);
+    }
+
+    /**
+     * Replay mode (cgate_replay_file): connect MQTT only and feed a capture
+     * written by cgate_capture_file back through the same LineProcessor /
+     * CommandResponseProcessor / event-line path live C-Gate traffic takes, so
+     * a field issue reproduces from the file rather than from a description.
+     *
+     * Only inbound lines are replayed; outbound lines are in the capture for
+     * reading alongside. The command pool is never started, so nothing the
+     * replay triggers is sent anywhere, and writes from MQTT, the web API and
+     * the WebSocket are refused in the router rather than failing to send.
+     * @private
+     * @returns {Promise<CgateWebBridge>}
+     */
+    async _startReplay() {
+        const file = this.settings.cgate_replay_file;
+        let records = [];
+        let skipped = 0;
+        try {
+            ({ records, skipped } = readCaptureFile(file));
+        } catch (err) {
+            // The bridge still comes up (web UI, MQTT) so the mistake is visible
+            // there; there is just nothing to play.
+            this.logger.error(`Replay mode: could not read ${file}: ${err.message}`);
+        }
+        const speed = Math.max(0, resolveSetting(this.settings, 'cgate_replay_speed'));
+        this.logger.warn(`Replay mode: not connecting to C-Gate; replaying ${records.length} captured lines from ${file}` +
+            (skipped ? ` (${skipped} malformed lines skipped)` : ''));
+        this.mqttCommandRouter.disableWrites('Replay mode');
+
+        this.webServer.start().catch((err) => {
+            this.logger.warn(`Web server failed to start: ${err.message}`);
+        });
+
+        // Decoded output goes to MQTT, so hold playback until the broker is up.
+        this.mqttManager.once('connect', () => {
+            const replayConnection = { poolIndex: 'replay' };
+            this._captureReplayer = new CgateCaptureReplayer({
+                records: records.filter((record) => record.dir === 'in'),
+                speed,
+                logger: this.logger,
+                onRecord: (record) => {
+                    const data = Buffer.from(`${record.line}\n`);
+                    if (record.port === 'event') {
+                        this._handleEventData(data);
+                    } else {
+                        this._handleCommandData(data, replayConnection);
+                    }
+                }
+            });
+            this._captureReplayer.start().then((played) => {
+                this.logger.info(`Replay finished: ${played} lines played from ${file}`);
+            });
+        });
+        this.mqttManager.connect();
+        return this;
+    }
+
     /**
      * Discovers the Home Assistant ingress entry path from the Supervisor API
      * and applies it to the web server (GitHub #33).
@@ -594,6 +867,13 @@ class CgateWebBridge {
         this.mqttManager.removeAllListeners();
 
         this.initializationService.stop();
+        if (this._captureReplayer) this._captureReplayer.stop();
+        if (this.rulesEngine) this.rulesEngine.stop();
+        if (this.scheduler) this.scheduler.stop();
+        if (this.clockMaster) this.clockMaster.stop();
+        if (this.commandAuditLog) this.commandAuditLog.stop();
+        // Before deviceStateManager.shutdown(), which clears what it saves.
+        if (this.deviceStatePersistence) this.deviceStatePersistence.stop();
         this.stateResyncCoordinator.dispose();
         this.haBridgeDiagnostics.stop();
         this.staleDeviceDetector.stop();
@@ -619,6 +899,8 @@ class CgateWebBridge {
 
         // Disconnect all connections via connection manager
         await this.connectionManager.stop();
+
+        if (this.cgateCapture) await this.cgateCapture.close();
     }
 
     _handleAllConnected() {
@@ -649,6 +931,7 @@ class CgateWebBridge {
             this.commandLineProcessors.set(key, processor);
         }
         processor.processData(data, (line) => {
+            if (this.cgateCapture) this.cgateCapture.record('command', 'in', line);
             try {
                 this.commandResponseProcessor.processLine(line);
             } catch (e) {
@@ -661,6 +944,7 @@ class CgateWebBridge {
 
     _handleEventData(data) {
         this.eventLineProcessor.processData(data, (line) => {
+            if (this.cgateCapture) this.cgateCapture.record('event', 'in', line);
             // Mirrors the try/catch on the command path. Without it a throw
             // from any decoder reaches process.on('uncaughtException') in
             // index.js, which stops the bridge and exits - LineProcessor
@@ -725,10 +1009,17 @@ class CgateWebBridge {
     _handleClockLine(line) {
         if (!clockDecoder.isClockLine(line)) return false;
 
-        if (!this.settings.cbus_clock_enabled) return LINE_UNPARSED;
+        // The clock master decodes too: drift needs the broadcasts.
+        if (!this.settings.cbus_clock_enabled && !this.clockMaster) return LINE_UNPARSED;
 
-        const reading = clockDecoder.decodeLine(line);
-        if (!reading) return LINE_UNPARSED;
+        const decoded = clockDecoder.decodeLine(line);
+        if (!decoded) return LINE_UNPARSED;
+
+        // As the time master the host clock is by definition the right one,
+        // so each time broadcast also carries how far the network is off it.
+        const reading = this.clockMaster && decoded.variant === 'time'
+            ? { ...decoded, driftSeconds: this.clockMaster.driftSeconds(decoded.value) }
+            : decoded;
 
         // No group address exists for Clock (net/app only), so 'clock' stands in
         // as the group segment, giving cbus/read/{net}/223/clock/{date|time}.
@@ -816,6 +1107,7 @@ class CgateWebBridge {
             if (event.isValid()) {
                 this.eventPublisher.publishEvent(event, '(Evt)');
                 this.deviceStateManager.updateLevelFromEvent(event);
+                if (this.rulesEngine) this.rulesEngine.handleEvent(event);
                 // Temperature Broadcast (app 25) sensors announce themselves on
                 // the bus — publish their HA sensor config the first time each
                 // group is seen. Idempotent; gated on ha_discovery_enabled inside.
@@ -897,6 +1189,8 @@ class CgateWebBridge {
     // Event publishing now delegated to EventPublisher
 
     async _sendCgateCommand(command) {
+        if (this.cgateCapture) this.cgateCapture.record('command', 'out', String(command || '').trimEnd());
+        if (this.commandAuditLog) this.commandAuditLog.markSent(command);
         try {
             await this.commandConnectionPool.execute(command);
         } catch (error) {
@@ -908,6 +1202,7 @@ class CgateWebBridge {
             this.logger.error('Failed to send C-Gate command:', { command: safeCommand, error });
             const trimmed = safeCommand.replace(/\s+/g, ' ').trim().slice(0, 120);
             const detail = error && error.message ? error.message : String(error);
+            if (this.commandAuditLog) this.commandAuditLog.markSendFailed(command, detail);
             this.mqttManager.publish(
                 'hello/cgateweb/warnings',
                 `C-Gate command send failed: ${trimmed} (${detail})`,
@@ -996,10 +1291,13 @@ class CgateWebBridge {
                     healthyConnections: healthyCommandConnections,
                     totalConnections: commandStats ? commandStats.totalConnections : 0,
                     pendingReconnects: commandStats ? commandStats.pendingReconnects : 0,
+                    reconnectCount: commandStats ? commandStats.reconnectCount : 0,
                     isShuttingDown: commandStats ? commandStats.isShuttingDown : false
                 },
+                mqttReconnectCount: this.mqttManager.reconnectCount || 0,
                 event: eventConnected,
-                eventReconnectAttempts: this.eventConnection?.reconnectAttempts || 0
+                eventReconnectAttempts: this.eventConnection?.reconnectAttempts || 0,
+                eventReconnectCount: this.eventConnection?.reconnectCount || 0
             },
             metrics: {
                 commandQueue: {
@@ -1009,12 +1307,22 @@ class CgateWebBridge {
             },
             discovery: this.haDiscovery ? {
                 count: this.haDiscovery.discoveryCount,
-                labelStats: this.haDiscovery.labelStats
+                labelStats: this.haDiscovery.labelStats,
+                treeDurations: [...this.haDiscovery.treeDiscoveryDurations.entries()]
+                    .map(([network, { durationMs, completedAt }]) => ({ network, durationMs, completedAt }))
             } : null,
             cbusNetworks: this.networkInterfaceMonitor.getSnapshot()
         };
     }
 
+    _getNetworkTopology() {
+        return buildNetworkTopology({
+            trees: this.haDiscovery ? this.haDiscovery.getUnitInventory() : [],
+            interfaceStates: this.networkInterfaceMonitor.getSnapshot(),
+            getInterfaceHistory: networkId => this.networkInterfaceMonitor.getHistory(networkId)
+        });
+    }
+
     _updateBridgeReadiness(reason = 'state-change') {
         const commandStats = this.commandConnectionPool ? this.commandConnectionPool.getStats() : null;
         return this.bridgeReadiness.update({
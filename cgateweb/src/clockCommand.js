@@ -18,4 +18,41 @@ function buildClockRequestRefresh({ cbusname, network, application = DEFAULT_CBU
     return `clock request_refresh //${cbusname}/${network}/${application}`;
 }
 
-module.exports = { buildClockRequestRefresh };
+/**
+ * Build the `clock date` and `clock time` commands (C-Gate CLOCK DATE and
+ * CLOCK TIME) that broadcast a date and time to the network, in the same
+ * `YYYY-MM-DD` / `HH:MM:SS` forms the clock broadcasts carry.
+ *
+ * ⚠️ Only the command names are documented; the argument forms mirror the
+ * captured broadcasts (see clockDecoder.js) and are not yet confirmed against
+ * a live C-Gate. The trailing field those broadcasts carry is left to C-Gate.
+ *
+ * @param {Object} opts
+ * @param {string} opts.cbusname - C-Gate project name.
+ * @param {string|number} opts.network - C-Bus network id.
+ * @param {string|number} [opts.application] - Clock application id (default 223).
+ * @param {Date} opts.at - The moment to broadcast, in the host's local time.
+ * @returns {string[]} The date command, then the time command.
+ */
+function buildClockSetCommands({ cbusname, network, application = DEFAULT_CBUS_APP_CLOCK, at }) {
+    const { date, time } = formatLocalClock(at);
+    const address = `//${cbusname}/${network}/${application}`;
+    return [`clock date ${address} ${date}`, `clock time ${address} ${time}`];
+}
+
+/**
+ * Split a Date into the host-local `YYYY-MM-DD` and `HH:MM:SS` strings the
+ * clock application uses.
+ *
+ * @param {Date} at
+ * @returns {{ date: string, time: string }}
+ */
+function formatLocalClock(at) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+        date: `${at.getFullYear()}-${pad(at.getMonth() + 1)}-${pad(at.getDate())}`,
+        time: `${pad(at.getHours())}:${pad(at.getMinutes())}:${pad(at.getSeconds())}`
+    };
+}
+
+module.exports = { buildClockRequestRefresh, buildClockSetCommands, formatLocalClock };
@@ -0,0 +1,135 @@
+// @ts-check
+'use strict';
+
+const { buildClockSetCommands } = require('./clockCommand');
+const { NEWLINE, DEFAULT_CBUS_APP_CLOCK } = require('./constants');
+
+// How often the master re-announces its HA entities, which discovery may only
+// be ready to publish some time after connect.
+const ANNOUNCE_INTERVAL_MS = 60 * 1000;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Lets the bridge set the C-Bus network clock (cbus_clock_master_enabled):
+ * broadcasts the host's local date and time to the Clock and Timekeeping
+ * application when asked to, from the Sync clock button or
+ * cbus/write/{net}/223/clock/sync, and reports how far the network clock has
+ * drifted from the host's.
+ *
+ * Nothing is set automatically, on connect, on a timer or at a
+ * daylight-saving change: the `clock date` / `clock time` argument forms are
+ * not yet confirmed against C-Gate (see clockCommand.js), so each set is a
+ * deliberate, watched action until they are.
+ *
+ * The broadcast is in the host's local time with no offset, as the clock
+ * application carries none, so the host timezone must be the site's.
+ *
+ * Drift is the decoded network time minus host time (see driftSeconds), which
+ * shows whether another clock master on the bus is fighting this one.
+ */
+class ClockMaster {
+    /**
+     * @param {Object} options
+     * @param {Object} options.commandQueue - C-Gate command queue ({ add })
+     * @param {() => (Object|null)} options.getHaDiscovery - () => current haDiscovery instance (live)
+     * @param {Object} options.settings - Bridge settings (cbusname)
+     * @param {Object} options.logger - Logger instance
+     * @param {() => number} [options.now] - Clock override (testing)
+     */
+    constructor({ commandQueue, getHaDiscovery, settings, logger, now = Date.now }) {
+        this.commandQueue = commandQueue;
+        this.getHaDiscovery = getHaDiscovery;
+        this.settings = settings;
+        this.logger = logger;
+        this._now = now;
+        /** @type {string[]} Networks seen on the last connect. */
+        this._networks = [];
+        this._timerId = null;
+    }
+
+    /**
+     * Start re-announcing the Sync clock button and drift sensor for the
+     * networks of the last connect. Sends nothing to the bus.
+     */
+    start() {
+        this.stop();
+        this._timerId = setInterval(() => this._announce(this._networks), ANNOUNCE_INTERVAL_MS);
+        this._timerId.unref();
+    }
+
+    stop() {
+        if (this._timerId) {
+            clearInterval(this._timerId);
+            this._timerId = null;
+        }
+    }
+
+    /**
+     * Record the networks C-Gate is connected to, which the initialization
+     * service reports on each connect, and announce their entities. Does not
+     * set the clock.
+     * @param {Array<string|number>} networks
+     */
+    setNetworks(networks) {
+        this._networks = networks.map(String);
+        this._announce(this._networks);
+    }
+
+    /**
+     * Broadcast the host date and time to one or more networks now. Only
+     * called on request (the Sync clock button or the sync topic).
+     *
+     * @param {Array<string|number>} networks
+     */
+    syncNow(networks) {
+        const targets = networks.map(String);
+        if (targets.length === 0) return;
+
+        const at = new Date(this._now());
+        for (const network of targets) {
+            for (const command of buildClockSetCommands({ cbusname: this.settings.cbusname, network, at })) {
+                this.commandQueue.add(command + NEWLINE);
+            }
+        }
+        this.logger.info(`Set C-Bus clock on networks ${targets.join(', ')}`);
+        this._announce(targets);
+    }
+
+    /**
+     * Seconds the network clock is ahead of the host (negative when behind),
+     * from a decoded `HH:MM:SS` broadcast. Only the time of day is compared,
+     * so the result is folded into ±12 hours; a wrong date shows on the date
+     * sensor instead.
+     *
+     * @param {string} networkTime - `HH:MM:SS` as clockDecoder reports it.
+     * @returns {number|null} null if the value is not a time.
+     */
+    driftSeconds(networkTime) {
+        const match = /^(\d{2}):(\d{2}):(\d{2})$/.exec(networkTime);
+        if (!match) return null;
+        const network = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+        const host = new Date(this._now());
+        const hostSeconds = host.getHours() * 3600 + host.getMinutes() * 60 + host.getSeconds();
+        let drift = (network - hostSeconds) % SECONDS_PER_DAY;
+        if (drift > SECONDS_PER_DAY / 2) drift -= SECONDS_PER_DAY;
+        if (drift <= -SECONDS_PER_DAY / 2) drift += SECONDS_PER_DAY;
+        return drift;
+    }
+
+    /**
+     * Announce the Sync clock button and drift sensor. HA discovery is set up
+     * after connect, so this repeats on every sync and on the announce timer;
+     * the discovery side publishes each network once.
+     * @private
+     */
+    _announce(networks) {
+        const haDiscovery = this.getHaDiscovery();
+        if (!haDiscovery) return;
+        for (const network of networks) {
+            haDiscovery.ensureClockMasterDiscovery(network, DEFAULT_CBUS_APP_CLOCK);
+        }
+    }
+}
+
+module.exports = ClockMaster;
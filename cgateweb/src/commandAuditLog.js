@@ -0,0 +1,340 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { redactCgateLine, redactMqttPayload } = require('./utils');
+
+/**
+ * Audit trail of every C-Gate command MqttCommandRouter queues, with where it
+ * came from, so "why did that light turn on?" has an answer. A change that is
+ * not in the log did not come through the bridge: it came from the bus itself
+ * (a switch, a Scene Module, a logic unit).
+ *
+ * Entries are JSON Lines:
+ *   {"time":"2026-10-19T07:30:00.000Z","origin":"schedule","client":"Porch",
+ *    "topic":"cbus/write/254/56/10/switch","payload":"ON",
+ *    "command":"on //HOME/254/56/10","result":"200"}
+ *
+ * An entry is written once its outcome is known: the C-Gate response code,
+ * "send failed", or — when no response naming the command's object path
+ * arrives within resultTimeoutMs — "sent". C-Gate does not tag responses, so
+ * only those that quote the object path (200 OK: //HOME/254/56/10, 401 Bad
+ * object ...) can be attributed; bare "200 OK." replies cannot.
+ *
+ * Payloads pass through redactMqttPayload and commands through
+ * redactCgateLine before they are stored, so alarm PINs never reach the file.
+ * The file is rotated to file.1 … file.N at maxBytes.
+ */
+
+// "//PROJECT/254", "//PROJECT/254/208" or "//PROJECT/254/56/10"
+const CGATE_OBJECT_PATH = /\/\/[^\s/]+\/\d+(?:\/\d+){0,2}\b/;
+
+const RESULT_SENT = 'sent';
+const RESULT_SEND_FAILED = 'send failed';
+const RESULT_QUEUED = 'queued';
+
+const CSV_COLUMNS = Object.freeze(['time', 'origin', 'client', 'topic', 'payload', 'command', 'result', 'detail']);
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} time - ISO timestamp the command was queued
+ * @property {string} origin - mqtt, web, websocket, rule, schedule or scene
+ * @property {string|null} client - Rule/schedule/scene name, or the web client
+ * @property {string|null} topic - MQTT-style write topic the command was routed from
+ * @property {string|null} payload
+ * @property {string} command - C-Gate command, without its line terminator
+ * @property {string} result - C-Gate response code, or queued/sent/send failed
+ * @property {string|null} [detail] - Response text or send error
+ */
+
+class CommandAuditLog {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - JSON Lines file; rotated copies get .1 … .N
+     * @param {number} options.maxBytes - Rotate once the file reaches this size
+     * @param {number} options.maxFiles - Rotated copies to keep
+     * @param {number} options.resultTimeoutMs - How long to wait for a response naming the command
+     * @param {Object} options.logger - Logger instance
+     * @param {() => number} [options.now] - Clock override (testing)
+     */
+    constructor({ file, maxBytes, maxFiles, resultTimeoutMs, logger, now = Date.now }) {
+        this.file = file;
+        this.maxBytes = maxBytes;
+        this.maxFiles = Math.max(0, Math.floor(maxFiles));
+        this.resultTimeoutMs = resultTimeoutMs;
+        this.logger = logger;
+        this._now = now;
+        /** @type {Array<{entry: AuditEntry, raw: string, objectPath: string|null, queuedAt: number}>} */
+        this._pending = [];
+        this._sweepTimer = null;
+        this._writeFailed = false;
+    }
+
+    /**
+     * Record a command as it is queued.
+     * @param {Object} record
+     * @param {string} record.command - Raw C-Gate command as queued (with terminator)
+     * @param {string|null} [record.topic]
+     * @param {string|null} [record.payload]
+     * @param {string} [record.origin]
+     * @param {string|null} [record.client]
+     * @returns {AuditEntry}
+     */
+    record({ command, topic = null, payload = null, origin = 'mqtt', client = null }) {
+        const raw = String(command);
+        const queuedAt = this._now();
+        /** @type {AuditEntry} */
+        const entry = {
+            time: new Date(queuedAt).toISOString(),
+            origin,
+            client: client === null || client === undefined ? null : String(client),
+            topic,
+            payload: payload === null || payload === undefined ? null : redactMqttPayload(String(payload)),
+            command: redactCgateLine(raw.trimEnd()),
+            result: RESULT_QUEUED
+        };
+        const pathMatch = CGATE_OBJECT_PATH.exec(raw);
+        this._pending.push({ entry, raw, objectPath: pathMatch ? pathMatch[0].toLowerCase() : null, queuedAt });
+        this._armSweep();
+        return entry;
+    }
+
+    /**
+     * The command queue is handing a command to the connection pool. Matches
+     * the oldest queued entry with the same command text.
+     * @param {string} command
+     */
+    markSent(command) {
+        const pending = this._pending.find((p) => p.entry.result === RESULT_QUEUED && p.raw === command);
+        if (pending) pending.entry.result = RESULT_SENT;
+    }
+
+    /**
+     * The pool could not send a command marked sent.
+     * @param {string} command
+     * @param {string} reason
+     */
+    markSendFailed(command, reason) {
+        const index = this._pending.findIndex((p) => p.entry.result === RESULT_SENT && p.raw === command);
+        if (index === -1) return;
+        const [pending] = this._pending.splice(index, 1);
+        pending.entry.result = RESULT_SEND_FAILED;
+        pending.entry.detail = reason;
+        this._write(pending.entry);
+    }
+
+    /**
+     * A C-Gate command-port response (2xx, 4xx or 5xx). Attributed to the
+     * oldest sent entry whose object path it quotes; anything else is ignored.
+     * @param {string} code - Three-digit response code
+     * @param {string} statusData - Response text after the code
+     */
+    handleResponse(code, statusData) {
+        const match = CGATE_OBJECT_PATH.exec(statusData || '');
+        if (!match) return;
+        const objectPath = match[0].toLowerCase();
+        const index = this._pending.findIndex((p) => p.entry.result === RESULT_SENT && p.objectPath === objectPath);
+        if (index === -1) return;
+        const [pending] = this._pending.splice(index, 1);
+        pending.entry.result = code;
+        if (!code.startsWith('2')) pending.entry.detail = redactCgateLine(statusData);
+        this._write(pending.entry);
+    }
+
+    /**
+     * Matching entries, newest first, from the current and rotated files and
+     * those still waiting for a result. The files are streamed line by line,
+     * so a query neither blocks the event loop nor holds whole files in
+     * memory; only the matches are kept. Each file is opened, and its length
+     * noted, before the first read, so an entry written or a rotation made
+     * while the query runs is neither listed twice nor lost from it.
+     * @param {Object} [filter]
+     * @param {string} [filter.origin] - Exact origin
+     * @param {string} [filter.result] - "error" (4xx/5xx/send failed), "ok" (2xx) or an exact result
+     * @param {string} [filter.text] - Case-insensitive match on client, topic, payload and command
+     * @param {number} [filter.limit] - Maximum entries returned
+     * @returns {Promise<Array<AuditEntry>>}
+     */
+    async query({ origin, result, text, limit } = {}) {
+        const needle = text ? text.toLowerCase() : null;
+        const matches = (/** @type {AuditEntry} */ entry) => {
+            if (origin && entry.origin !== origin) return false;
+            if (result && !matchesResult(entry.result, result)) return false;
+            if (needle && ![entry.client, entry.topic, entry.payload, entry.command]
+                .some((field) => field && field.toLowerCase().includes(needle))) return false;
+            return true;
+        };
+
+        // Entries are written when their result is known, not when queued, so
+        // file order is only roughly time order; sort on the queue time.
+        const out = this._pending.map((p) => ({ ...p.entry })).filter(matches);
+        const snapshots = this._files().map(openSnapshot).filter((snapshot) => snapshot !== null);
+        for (const snapshot of snapshots) {
+            for await (const entry of readEntries(snapshot)) {
+                if (matches(entry)) out.push(entry);
+            }
+        }
+        out.sort((a, b) => (a.time < b.time ? 1 : a.time > b.time ? -1 : 0));
+        return Number.isFinite(limit) && limit > 0 ? out.slice(0, limit) : out;
+    }
+
+    /**
+     * Write out entries still waiting for a response and stop the timer.
+     */
+    stop() {
+        if (this._sweepTimer) {
+            clearTimeout(this._sweepTimer);
+            this._sweepTimer = null;
+        }
+        for (const pending of this._pending.splice(0)) this._write(pending.entry);
+    }
+
+    /** @private */
+    _armSweep() {
+        if (this._sweepTimer || this._pending.length === 0) return;
+        const delay = Math.max(0, this._pending[0].queuedAt + this.resultTimeoutMs - this._now());
+        this._sweepTimer = setTimeout(() => {
+            this._sweepTimer = null;
+            this._sweep();
+        }, delay);
+        this._sweepTimer.unref();
+    }
+
+    /**
+     * Write out entries whose response did not arrive in time, keeping the
+     * result they reached (sent, or still queued behind a long queue).
+     * @private
+     */
+    _sweep() {
+        const cutoff = this._now() - this.resultTimeoutMs;
+        while (this._pending.length > 0 && this._pending[0].queuedAt <= cutoff) {
+            this._write(/** @type {{entry: AuditEntry}} */ (this._pending.shift()).entry);
+        }
+        this._armSweep();
+    }
+
+    /** @private */
+    _write(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            this._rotateIfNeeded(Buffer.byteLength(line));
+            fs.appendFileSync(this.file, line);
+            this._writeFailed = false;
+        } catch (err) {
+            // Once per failure streak: a full or read-only disk would
+            // otherwise log on every command.
+            if (!this._writeFailed) this.logger.warn(`Could not write command audit log ${this.file}: ${err.message}`);
+            this._writeFailed = true;
+        }
+    }
+
+    /** @private */
+    _rotateIfNeeded(incomingBytes) {
+        let size;
+        try {
+            size = fs.statSync(this.file).size;
+        } catch {
+            return;
+        }
+        if (size + incomingBytes <= this.maxBytes) return;
+        if (this.maxFiles === 0) {
+            fs.unlinkSync(this.file);
+            return;
+        }
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const from = `${this.file}.${i}`;
+            if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${i + 1}`);
+        }
+        fs.renameSync(this.file, `${this.file}.1`);
+    }
+
+    /** @private */
+    _files() {
+        const files = [this.file];
+        for (let i = 1; i <= this.maxFiles; i++) files.push(`${this.file}.${i}`);
+        return files;
+    }
+}
+
+/**
+ * @param {string} entryResult
+ * @param {string} filter
+ * @returns {boolean}
+ */
+function matchesResult(entryResult, filter) {
+    if (filter === 'error') return entryResult === RESULT_SEND_FAILED || /^[45]\d\d$/.test(entryResult);
+    if (filter === 'ok') return /^2\d\d$/.test(entryResult);
+    return entryResult === filter;
+}
+
+/**
+ * Open one audit file and note its current length. Null when the file is
+ * missing, unreadable or empty.
+ * @param {string} file
+ * @returns {{fd: number, size: number}|null}
+ */
+function openSnapshot(file) {
+    let fd;
+    try {
+        fd = fs.openSync(file, 'r');
+        const { size } = fs.fstatSync(fd);
+        if (size > 0) return { fd, size };
+    } catch {
+        // missing or unreadable: nothing to list
+    }
+    if (fd !== undefined) fs.closeSync(fd);
+    return null;
+}
+
+/**
+ * Stream the entries of an opened audit file up to its noted length, then
+ * close it. Malformed lines (a write cut short by a crash) are skipped.
+ * @param {{fd: number, size: number}} snapshot
+ * @returns {AsyncGenerator<AuditEntry>}
+ */
+async function* readEntries({ fd, size }) {
+    const input = fs.createReadStream('', { fd, start: 0, end: size - 1, encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                continue;
+            }
+            yield entry;
+        }
+    } catch {
+        // a read error ends this file's entries
+    } finally {
+        input.destroy();
+    }
+}
+
+/**
+ * Render entries as CSV (RFC 4180 quoting). Cells that a spreadsheet would
+ * evaluate as a formula are prefixed with a quote, since topics and payloads
+ * come from MQTT clients.
+ * @param {Array<AuditEntry>} entries
+ * @returns {string}
+ */
+function toCsv(entries) {
+    const cell = (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const entry of entries) rows.push(CSV_COLUMNS.map((column) => cell(entry[column])).join(','));
+    return rows.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    CommandAuditLog,
+    toCsv
+};
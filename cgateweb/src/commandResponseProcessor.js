@@ -41,10 +41,11 @@ class CommandResponseProcessor {
      * @param {Function} [options.onCommandError] - Callback for C-Gate command error responses
      * @param {Function} [options.onNetworkState] - Callback for network-level interface/state readings: (networkId, reading) => void
      * @param {Function} [options.onNetworkSyncComplete] - Callback for C-Gate 762 network-sync-complete events: (networkId) => void
+     * @param {Function} [options.onCommandResult] - Callback for every 2xx/4xx/5xx command reply: (code, statusData) => void
      * @param {number} [options.maxPendingTreeMessages] - Cap on TREEXML fragments buffered before HA Discovery is ready
      * @param {Object} [options.logger] - Logger instance (optional)
      */
-    constructor({ eventPublisher, haDiscovery, onObjectStatus, onCommandError, onNetworkState, onNetworkSyncComplete, maxPendingTreeMessages, logger }) {
+    constructor({ eventPublisher, haDiscovery, onObjectStatus, onCommandError, onNetworkState, onNetworkSyncComplete, onCommandResult, maxPendingTreeMessages, logger }) {
         this.eventPublisher = eventPublisher;
         this._haDiscovery = haDiscovery || null;
         this._pendingTreeMessages = [];
@@ -63,6 +64,9 @@ class CommandResponseProcessor {
         // so the bridge can refresh entity levels with the tree now fully
         // populated. Signature: (networkId).
         this.onNetworkSyncComplete = onNetworkSyncComplete || null;
+        // Called with each success/error reply so the command audit log can
+        // attribute it to the command that quoted the same object path.
+        this.onCommandResult = onCommandResult || null;
         // network/app pairs already reported as having no groups, so the
         // explanation is logged once rather than on every poll (#51).
         this._emptyApplicationsSeen = new Set();
@@ -216,6 +220,9 @@ class CommandResponseProcessor {
                 this._processNetworkSyncComplete(statusData);
                 break;
             default:
+                if (this.onCommandResult && /^[245]/.test(responseCode)) {
+                    this.onCommandResult(responseCode, statusData);
+                }
                 if (responseCode.startsWith('4') || responseCode.startsWith('5')) {
                     this._processCommandErrorResponse(responseCode, statusData);
                 } else if (responseCode === '200' || responseCode === '201') {
@@ -3,7 +3,7 @@ const fs = require('fs');
 const { Logger } = require('../logger');
 const EnvironmentDetector = require('./EnvironmentDetector');
 const { listKnownConfigKeys, listSettingAliases, getSchemaEntry, resolveSetting } = require('./schema');
-const { DEFAULT_ADDON_LABEL_FILE, LEGACY_ADDON_LABEL_FILE, DEFAULT_ADDON_DATA_LABEL_FILE } = require('../constants');
+const { DEFAULT_ADDON_LABEL_FILE, LEGACY_ADDON_LABEL_FILE, DEFAULT_ADDON_DATA_LABEL_FILE, DEFAULT_ADDON_DEVICE_STATE_FILE, DEFAULT_ADDON_RULES_FILE, DEFAULT_ADDON_SCHEDULES_FILE, DEFAULT_ADDON_SCENES_FILE, DEFAULT_ADDON_COMMAND_AUDIT_FILE, DEFAULT_ADDON_DISCOVERY_TOPICS_FILE } = require('../constants');
 const { isPortInRange, isValidCgateProjectName, isValidCgateUsername, isValidCgatePassword, normalizeOptionalSecret } = require('./validationRules');
 const { applyAddonOptionMap } = require('./addonOptionMap');
 const { supervisorJson } = require('../supervisorHttp');
@@ -263,6 +263,19 @@ class ConfigLoader {
             }
         }
 
+        // /data persists across add-on restarts and updates, so device state,
+        // schedules, scenes, the command audit log and the discovery topic
+        // record are always saved there; not user options.
+        config.device_state_file = DEFAULT_ADDON_DEVICE_STATE_FILE;
+        config.ha_discovery_topics_file = DEFAULT_ADDON_DISCOVERY_TOPICS_FILE;
+        config.schedules_file = DEFAULT_ADDON_SCHEDULES_FILE;
+        config.scenes_file = DEFAULT_ADDON_SCENES_FILE;
+        config.command_audit_file = DEFAULT_ADDON_COMMAND_AUDIT_FILE;
+        if (fs.existsSync(DEFAULT_ADDON_RULES_FILE)) {
+            config.rules_file = DEFAULT_ADDON_RULES_FILE;
+            this.logger.info(`Found local rules file: ${DEFAULT_ADDON_RULES_FILE}`);
+        }
+
         // In addon mode the HA ingress proxy connects from outside the container's
         // loopback interface, so the web server must bind to all interfaces.
         config.web_bind_host = '0.0.0.0';
@@ -26,6 +26,7 @@ const ADDON_OPTION_MAP = [
     { src: 'ha_discovery_pir_app_id', dst: 'ha_discovery_pir_app_id', kind: 'stringifyTruthy', when: 'haDiscovery' },
     { src: 'ha_discovery_unlisted_groups', dst: 'ha_discovery_unlisted_groups', kind: 'boolDefined', when: 'haDiscovery' },
     { src: 'ha_discovery_trigger_app_id', dst: 'ha_discovery_trigger_app_id', kind: 'stringifyTruthy', when: 'haDiscovery' },
+    { src: 'ha_discovery_trigger_action_events', dst: 'ha_discovery_trigger_action_events', kind: 'boolDefined', when: 'haDiscovery' },
     { src: 'ha_discovery_hvac_app_id', dst: 'ha_discovery_hvac_app_id', kind: 'stringifyTruthy', when: 'haDiscovery' },
     // Not gated on 'haDiscovery' (same reason as cbus_security_app_id below):
     // aircon readings publish to MQTT independently of Home Assistant
@@ -48,18 +49,23 @@ const ADDON_OPTION_MAP = [
     // survive with Home Assistant discovery off.
     { src: 'cbus_security_disarm_enabled', dst: 'cbus_security_disarm_enabled', kind: 'boolDefined' },
     { src: 'cbus_security_bypass_enabled', dst: 'cbus_security_bypass_enabled', kind: 'boolDefined' },
+    { src: 'cbus_security_isolate_keys', dst: 'cbus_security_isolate_keys', kind: 'copyTruthy' },
+    { src: 'cbus_security_deisolate_keys', dst: 'cbus_security_deisolate_keys', kind: 'copyTruthy' },
     // Deliberately NOT gated on 'haDiscovery' (same reason as
     // cbus_aircon_app_id/cbus_security_app_id): both the read and write paths
     // work over plain MQTT, so an MQTT-only install that opts in must not
     // lose Measurement support with discovery off.
     { src: 'cbus_measurement_app_id', dst: 'cbus_measurement_app_id', kind: 'stringifyTruthy' },
     { src: 'cbus_clock_enabled', dst: 'cbus_clock_enabled', kind: 'boolDefined' },
+    { src: 'cbus_clock_master_enabled', dst: 'cbus_clock_master_enabled', kind: 'boolDefined' },
     { src: 'cbus_scene_module_enabled', dst: 'cbus_scene_module_enabled', kind: 'boolDefined' },
     { src: 'ha_hvac_temperature_unit', dst: 'ha_hvac_temperature_unit', kind: 'copyTruthy', when: 'haDiscovery' },
     { src: 'ha_discovery_auto_type', dst: 'ha_discovery_auto_type', kind: 'boolDefined', when: 'haDiscovery' },
     { src: 'ha_discovery_auto_type_name_heuristics', dst: 'ha_discovery_auto_type_name_heuristics', kind: 'boolDefined', when: 'haDiscovery' },
     { src: 'ha_discovery_type_from_label_prefix', dst: 'ha_discovery_type_from_label_prefix', kind: 'boolDefined', when: 'haDiscovery' },
     { src: 'ha_discovery_type_from_unit', dst: 'ha_discovery_type_from_unit', kind: 'boolDefined', when: 'haDiscovery' },
+    { src: 'ha_discovery_device_mode', dst: 'ha_discovery_device_mode', kind: 'copyTruthy', when: 'haDiscovery' },
+    { src: 'ha_discovery_orphan_cleanup', dst: 'ha_discovery_orphan_cleanup', kind: 'copyTruthy', when: 'haDiscovery' },
     { src: 'cbus_aircon_control_enabled', dst: 'cbus_aircon_control_enabled', kind: 'boolDefined', when: 'haDiscovery' },
 
     { src: 'ha_bridge_diagnostics_enabled', dst: 'ha_bridge_diagnostics_enabled', kind: 'boolDefined' },
@@ -628,6 +628,15 @@ const SETTINGS_SCHEMA = {
         exposure: 'both',
         description: 'Publish a Home Assistant scene entity per trigger group alongside the event and button entities.'
     },
+    ha_discovery_trigger_action_events: {
+        key: 'ha_discovery_trigger_action_events',
+        type: 'boolean',
+        default: false,
+        unit: 'none',
+        exposure: 'both',
+        description: 'Give each trigger group\'s event entity one event type per action selector (named from the label file\'s value_maps, else action_<n>).',
+        reason: 'Opt-in, because it replaces the single "trigger" event type that existing automations match on.'
+    },
     ha_discovery_auto_type: {
         key: 'ha_discovery_auto_type',
         type: 'boolean',
@@ -673,6 +682,26 @@ const SETTINGS_SCHEMA = {
         description: 'Resolve a group\'s discovery type from the C-Bus unit that drives it (issues #38, #37): dimmer channels become dimmable lights, relay channels on/off lights, and groups driven only by an input unit (bus coupler, key input) become binary sensors.',
         reason: 'Opt-in, because enabling it can change which entity a group already published as. Precedence: manual type_overrides win first, then the cover-name keyword heuristics, then this unit-type classification. Cover names outrank unit type because a relay can equally drive a light, a motorised blind or an irrigation valve - a name that positively identifies a cover is better evidence than the hardware type. Unrecognised unit types are left alone.'
     },
+    ha_discovery_device_mode: {
+        key: 'ha_discovery_device_mode',
+        type: 'enum',
+        default: 'off',
+        values: ['off', 'application', 'unit'],
+        unit: 'none',
+        exposure: 'both',
+        description: 'Publish tree-discovered entities as Home Assistant device-based discovery: one retained config per device with a cmps map, instead of one per entity. application groups each network/application (split by area); unit groups each physical unit from TREEXML, falling back to the application for groups no unit drives. Entities keep their unique_ids, and existing per-entity configs are migrated.',
+        reason: 'Opt-in because it regroups entities under new Home Assistant devices, so anything keyed on the old per-group devices (device triggers, device areas) changes. Off keeps the one-device-per-group layout large sites were built on. Event-driven entities (security zones, aircon, measurement and the like) stay per-entity: they are few, and they have no tree run to bundle them.'
+    },
+    ha_discovery_orphan_cleanup: {
+        key: 'ha_discovery_orphan_cleanup',
+        type: 'enum',
+        default: 'report',
+        values: ['report', 'auto'],
+        unit: 'none',
+        exposure: 'both',
+        description: 'What to do with discovery configs published before a restart that discovery no longer publishes (excluded groups, type changes, removed networks), found by comparing against ha_discovery_topics_file once each network\'s tree has settled. report lists them on the web UI Status tab for removal; auto clears them straight away.',
+        reason: 'report by default because clearing a config deletes the Home Assistant entity, and a project that failed to load looks the same as one whose groups were all removed. auto suits sites that trust their project file and want no leftovers.'
+    },
     ha_discovery_hvac_app_id: {
         key: 'ha_discovery_hvac_app_id',
         type: 'string',
@@ -758,6 +787,24 @@ const SETTINGS_SCHEMA = {
         description: 'Allow forcing an arm past an open zone (the panel\'s \'#\' key), via the alarm card\'s custom-bypass action or the bypass button. Opt-in on top of cbus_security_control_enabled.',
         reason: 'Its own switch rather than riding on control, because "arm the alarm" and "arm the alarm even though a door is open" are different promises - the second leaves the owner believing a zone is covered when it is not. Deliberately NOT folded into cbus_security_disarm_enabled either: someone who wants bypass should not have to enable PIN-over-MQTT disarm, which is the more dangerous of the two, just to get it.'
     },
+    cbus_security_isolate_keys: {
+        key: 'cbus_security_isolate_keys',
+        type: 'string',
+        default: '',
+        unit: 'none',
+        exposure: 'both',
+        description: 'Keypad sequence that isolates one zone on your panel, typed through `security emulate_keypad`, with {zone} (or {zone2} for two digits) where the zone number goes, e.g. `*1{zone2}#`. Empty leaves zone isolation off. Also needs cbus_security_control_enabled and cbus_security_bypass_enabled.',
+        reason: 'A key sequence rather than a command because the Security application has no isolate message - panels isolate from their own keypad, each with its own sequence, so it has to come from the installer\'s manual. Gated on bypass because an isolated zone is a bypassed zone: the alarm reports armed while that door is not covered.'
+    },
+    cbus_security_deisolate_keys: {
+        key: 'cbus_security_deisolate_keys',
+        type: 'string',
+        default: '',
+        unit: 'none',
+        exposure: 'both',
+        description: 'Keypad sequence that de-isolates one zone, with the same placeholders as cbus_security_isolate_keys. Empty means turning an Isolated switch off is refused; the zone stays isolated until the panel is disarmed.',
+        reason: 'Separate because panels use a different sequence to restore a zone, and required because re-sending the isolate sequence toggles: for a zone that is not isolated it would isolate it, getting around the bypass gate. Not gated on bypass itself: putting a zone back under the alarm only needs control.'
+    },
     securityDisarmMaxAttempts: {
         key: 'securityDisarmMaxAttempts',
         type: 'number',
@@ -805,6 +852,15 @@ const SETTINGS_SCHEMA = {
         exposure: 'both',
         description: 'Decode C-Bus Clock and Timekeeping (app 223/$DF) broadcasts and publish the network date and time to cbus/read/{net}/223/clock/date and /time, plus two diagnostic sensors when discovery is on. On connect, also asks C-Gate for a clock refresh. Read-only: this never sets the network clock.'
     },
+    cbus_clock_master_enabled: {
+        key: 'cbus_clock_master_enabled',
+        type: 'boolean',
+        default: false,
+        unit: 'none',
+        exposure: 'both',
+        description: 'Let the bridge set the C-Bus clock (app 223) from the host\'s local date and time when cbus/write/{net}/223/clock/sync is published, and with discovery on add a Sync clock button for it and a Clock drift sensor. Also decodes the clock broadcasts and publishes drift to cbus/read/{net}/223/clock/drift. Never sets the clock by itself: the set command\'s argument forms are not yet confirmed against C-Gate.',
+        reason: 'Separate from cbus_clock_enabled because it writes to the bus: a site with its own time master (a touchscreen or an NTP-synced panel) would have two masters fighting.'
+    },
     cbus_scene_module_enabled: {
         key: 'cbus_scene_module_enabled',
         type: 'boolean',
@@ -1049,6 +1105,42 @@ const SETTINGS_SCHEMA = {
         description: 'SSE comment keepalive interval so proxies don\'t idle-close the stream.',
         reason: TUNING_ONLY_REASON
     },
+    web_max_websocket_connections: {
+        key: 'web_max_websocket_connections',
+        type: 'number',
+        default: 32,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Cap concurrent clients on the /api/ws WebSocket (DoS guard on exposed ports).',
+        reason: 'A denial-of-service floor rather than a preference, so it is runtime-only rather than an add-on option, like web_max_sse_connections.'
+    },
+    webWebSocketPingIntervalMs: {
+        key: 'webWebSocketPingIntervalMs',
+        type: 'number',
+        default: 30000,
+        unit: 'ms',
+        exposure: 'standalone',
+        description: 'WebSocket ping interval; a client silent for two intervals is disconnected.',
+        reason: TUNING_ONLY_REASON
+    },
+    webWebSocketMaxMessageBytes: {
+        key: 'webWebSocketMaxMessageBytes',
+        type: 'number',
+        default: 65536,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Largest WebSocket message accepted from a client, after reassembling fragments.',
+        reason: TUNING_ONLY_REASON
+    },
+    webWebSocketMaxBufferedBytes: {
+        key: 'webWebSocketMaxBufferedBytes',
+        type: 'number',
+        default: 1024 * 1024,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Unsent bytes allowed to queue for one WebSocket client; a client that falls further behind than this is disconnected.',
+        reason: TUNING_ONLY_REASON
+    },
     eventLogMaxEntries: {
         key: 'eventLogMaxEntries',
         type: 'number',
@@ -1321,6 +1413,113 @@ const SETTINGS_SCHEMA = {
         reason: TUNING_ONLY_REASON
     },
 
+    // --- Local automation ---------------------------------------------------
+    rules_file: {
+        key: 'rules_file',
+        type: 'string',
+        default: null,
+        nullable: true,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'YAML or JSON file of local automation rules (trigger, conditions, actions) run inside the bridge. null = no rules.',
+        reason: 'The add-on picks up /homeassistant/cgateweb-rules.yaml when it exists, so the file itself is the switch and there is no path to choose.'
+    },
+    rulesEchoWindowMs: {
+        key: 'rulesEchoWindowMs',
+        type: 'number',
+        default: 2000,
+        unit: 'ms',
+        exposure: 'standalone',
+        description: 'Events on a group a rule wrote within this window do not trigger rules, so a rule cannot loop on its own C-Gate echo.',
+        reason: TUNING_ONLY_REASON
+    },
+    schedules_file: {
+        key: 'schedules_file',
+        type: 'string',
+        default: null,
+        nullable: true,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'JSON file holding the bridge-side schedules edited in the web UI. null = scheduler off.',
+        reason: 'The add-on always keeps schedules in /data/schedules.json, which persists across updates.'
+    },
+    schedulerTickMs: {
+        key: 'schedulerTickMs',
+        type: 'number',
+        default: 15000,
+        unit: 'ms',
+        exposure: 'standalone',
+        description: 'How often the scheduler checks for due schedules. A schedule runs at most this long after its time.',
+        reason: TUNING_ONLY_REASON
+    },
+    scenes_file: {
+        key: 'scenes_file',
+        type: 'string',
+        default: null,
+        nullable: true,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'JSON file holding bridge-managed scenes (captured group levels restored on request). null = software scenes off.',
+        reason: 'The add-on always keeps scenes in /data/scenes.json, which persists across updates.'
+    },
+    command_audit_file: {
+        key: 'command_audit_file',
+        type: 'string',
+        default: null,
+        nullable: true,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'JSON Lines file recording every command the bridge sends to C-Gate, with its origin and result. Rotated at commandAuditMaxBytes. null = audit log off.',
+        reason: 'The add-on always keeps the audit log in /data/command-audit.jsonl, which persists across updates.'
+    },
+    commandAuditMaxBytes: {
+        key: 'commandAuditMaxBytes',
+        type: 'number',
+        default: 1024 * 1024,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Size (bytes) at which the command audit file is rotated to .1.',
+        reason: TUNING_ONLY_REASON
+    },
+    commandAuditMaxFiles: {
+        key: 'commandAuditMaxFiles',
+        type: 'number',
+        default: 3,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Rotated command audit files kept (.1 … .N). 0 = discard the file when it is full.',
+        reason: TUNING_ONLY_REASON
+    },
+    commandAuditResultTimeoutMs: {
+        key: 'commandAuditResultTimeoutMs',
+        type: 'number',
+        default: 10000,
+        unit: 'ms',
+        exposure: 'standalone',
+        description: 'How long an audit entry waits for a C-Gate response naming its object before it is written as "sent".',
+        reason: TUNING_ONLY_REASON
+    },
+    latitude: {
+        key: 'latitude',
+        type: 'number',
+        default: null,
+        nullable: true,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Latitude for sunrise/sunset in rules and schedules (degrees, north positive). Both latitude and longitude must be set.',
+        reason: 'The add-on reads the home location from Home Assistant instead.'
+    },
+    longitude: {
+        key: 'longitude',
+        type: 'number',
+        default: null,
+        nullable: true,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Longitude for sunrise/sunset in rules and schedules (degrees, east positive).',
+        reason: 'The add-on reads the home location from Home Assistant instead.'
+    },
+
     // --- Memory bounds and protocol capture ----------------------------------
     webMaxBodySizeBytes: {
         key: 'webMaxBodySizeBytes',
@@ -1367,6 +1566,44 @@ const SETTINGS_SCHEMA = {
         description: 'Upper bound on DeviceStateManager\'s per-address level + last-seen maps.',
         reason: 'Each entry is ~30 bytes; default 5000 covers any realistic install while bounding worst-case growth from device churn over long uptime.'
     },
+    device_state_file: {
+        key: 'device_state_file',
+        type: 'string',
+        default: null,
+        nullable: true,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'JSON file that group levels, last-seen times, security panel state and learned aircon control state are saved to, and restored from at startup (restored levels count as unverified until C-Gate reports them). null = no persistence.',
+        reason: 'The add-on always sets /data/device-state.json, which survives add-on restarts and updates, so there is nothing for an add-on user to choose.'
+    },
+    deviceStateSaveIntervalMs: {
+        key: 'deviceStateSaveIntervalMs',
+        type: 'number',
+        default: 5 * 60 * 1000,
+        unit: 'ms',
+        exposure: 'standalone',
+        description: 'How often device_state_file is rewritten while running. It is also written on shutdown.',
+        reason: TUNING_ONLY_REASON
+    },
+    ha_discovery_topics_file: {
+        key: 'ha_discovery_topics_file',
+        type: 'string',
+        default: null,
+        nullable: true,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'JSON file recording every discovery config topic published, so configs left over from before a restart can be found and cleared (ha_discovery_orphan_cleanup), and device-based discovery can migrate only topics that exist. null = the record lives in memory only.',
+        reason: 'The add-on always sets /data/discovery-topics.json, next to the device state file, so there is nothing for an add-on user to choose.'
+    },
+    discoveryTopicsSaveIntervalMs: {
+        key: 'discoveryTopicsSaveIntervalMs',
+        type: 'number',
+        default: 60 * 1000,
+        unit: 'ms',
+        exposure: 'standalone',
+        description: 'How often ha_discovery_topics_file is rewritten while running, when the topic set has changed. It is also written on shutdown.',
+        reason: TUNING_ONLY_REASON
+    },
     cbusRawEventLogApps: {
         key: 'cbusRawEventLogApps',
         type: 'array',
@@ -1375,6 +1612,44 @@ const SETTINGS_SCHEMA = {
         exposure: 'standalone',
         description: 'Apps whose raw C-Gate event lines should be logged verbatim (and published to cbus/read/{net}/{app}/{group}/raw) for protocol capture. Empty = off.',
         reason: 'Used to capture ground-truth samples for specialised applications (e.g. 25 Temperature, 228 Measurement, 172 Air Conditioning) before writing decoders. See docs/superpowers/specs/2026-06-02-native-cbus-hvac-support-design.md'
+    },
+    cgate_capture_file: {
+        key: 'cgate_capture_file',
+        type: 'string',
+        default: null,
+        nullable: true,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Record every command-port and event-port line (both directions, timestamped, PINs redacted) to this JSON Lines file for later replay. null = off.',
+        reason: 'A diagnostic switch turned on for one reproduction and then off again, not a setting an add-on user should be browsing past in the options UI.'
+    },
+    cgateCaptureMaxBytes: {
+        key: 'cgateCaptureMaxBytes',
+        type: 'number',
+        default: 50 * 1024 * 1024,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Stop writing cgate_capture_file once it has grown by this many bytes in one run.',
+        reason: TUNING_ONLY_REASON
+    },
+    cgate_replay_file: {
+        key: 'cgate_replay_file',
+        type: 'string',
+        default: null,
+        nullable: true,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Replay a capture written by cgate_capture_file instead of connecting to C-Gate: inbound lines are fed through the normal line-processing path and decoded output goes to MQTT as usual. null = off.',
+        reason: 'Reproduces field issues from a capture on a developer machine; never wanted on a live install, where it would stop the bridge talking to C-Gate.'
+    },
+    cgate_replay_speed: {
+        key: 'cgate_replay_speed',
+        type: 'number',
+        default: 1,
+        unit: 'none',
+        exposure: 'standalone',
+        description: 'Replay speed multiplier for cgate_replay_file: 1 = original timing, 10 = ten times faster, 0 = as fast as possible.',
+        reason: 'Only meaningful alongside cgate_replay_file.'
     }
 };
 
@@ -80,6 +80,7 @@ const MQTT_TOPIC_SUFFIX_HVAC_CURRENT_HUMIDITY = 'current_humidity';   // Current
 const MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_SETPOINT = 'humidity_setpoint'; // Target relative humidity %
 const MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_MODE = 'humidity_mode';     // off/humidify/dehumidify/auto (spec §25.6.7)
 const MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_ACTION = 'humidity_action'; // humidifying/dehumidifying/fan/idle (spec §25.6.10)
+const MQTT_TOPIC_SUFFIX_HVAC_WARD = 'ward';                       // Zone group (ward) ON/OFF, keyed by ward number
 const MQTT_TOPIC_SUFFIX_HVAC_FAN_SPEED_PCT = 'fan_speed_pct';     // Fan speed % from the Raw Level (spec §25.12.8)
 const MQTT_TOPIC_SUFFIX_HVAC_COMFORT_LEVEL = 'comfort_level';     // Evaporative comfort level (spec §25.12.7, default mapping)
 const MQTT_TOPIC_SUFFIX_HVAC_DAMPER = 'damper';                   // ON when the damper is open (spec §25.6.6 bit 3)
@@ -90,10 +91,14 @@ const MQTT_TOPIC_SUFFIX_HVAC_PLANT_TYPE_DESCRIPTION = 'plant_type_description';
 const MQTT_TOPIC_SUFFIX_SOURCE_UNIT = 'source_unit';              // C-Bus unit that last changed the group (#sourceunit)
 const MQTT_TOPIC_SUFFIX_ATTRIBUTES = 'attributes';                // JSON attributes (e.g. raw security zone state)
 const MQTT_TOPIC_SUFFIX_LOOP_FAULT = 'loop_fault';                // Security zone open/short loop fault (ON/OFF)
+const MQTT_TOPIC_SUFFIX_SECURITY_ISOLATE = 'isolate';              // Security zone isolate ON/OFF command
 const MQTT_TOPIC_SUFFIX_PASSWORD_ENTRY = 'password_entry';        // Security panel password-entry code (1-4)
 // Measurement application (app 228/$E4) topic suffixes.
 const MQTT_TOPIC_SUFFIX_VALUE = 'value';                          // Decoded measurement value (raw x 10^multiplier)
 const MQTT_TOPIC_SUFFIX_UNIT = 'unit';                             // Unit string for the value (e.g. 'W', '°C'), '' if unitless/custom
+// Clock (app 223) drift while the bridge is the time master, under
+// cbus/read/{net}/223/clock/.
+const MQTT_TOPIC_SUFFIX_CLOCK_DRIFT = 'drift';                      // Network minus host time, seconds
 // Settable temperature range for native C-Bus HVAC thermostats (e.g. 5070TH).
 // HA's climate card and our write clamp both use this so users can't request a
 // value the thermostat will silently reject.
@@ -129,9 +134,13 @@ const MQTT_CMD_TYPE_TRIGGER = 'trigger';          // Fire a C-Bus trigger group
 const MQTT_CMD_TYPE_HVAC_SETPOINT = 'setpoint';  // Set HVAC target temperature
 const MQTT_CMD_TYPE_HVAC_MODE = 'hvacmode';      // Set HVAC operating mode
 const MQTT_CMD_TYPE_HVAC_FAN_MODE = 'fanmode';   // Set HVAC fan mode (automatic/continuous)
+const MQTT_CMD_TYPE_HVAC_HUMIDITY = 'humidity';  // Set target relative humidity %
+const MQTT_CMD_TYPE_HVAC_HUMIDITY_MODE = 'humiditymode'; // Set humidity mode (off/humidify/dehumidify/auto)
+const MQTT_CMD_TYPE_HVAC_WARD = 'ward';          // Switch a zone group (ward) ON/OFF
 const MQTT_CMD_TYPE_TEMPERATURE = 'temperature';  // Inject Temperature Broadcast (°C)
 const MQTT_CMD_TYPE_PLAY = 'play';                // Scene Module PLAY
 const MQTT_CMD_TYPE_RECORD = 'record';            // Scene Module RECORD
+const MQTT_CMD_TYPE_VALUE = 'value';              // Raw group level 0-255 (Enable Control variables); also the read topic suffix
 
 // === Home Assistant Discovery ===
 const HA_COMPONENT_LIGHT = 'light';
@@ -160,9 +169,13 @@ const HA_MODEL_RELAY = 'Enable Control Group (Relay)';
 const HA_MODEL_PIR = 'PIR Motion Sensor';
 const HA_MODEL_TRIGGER = 'Trigger Group';
 const HA_MODEL_HVAC = 'HVAC Zone (Air Conditioning)';
+const HA_MODEL_VARIABLE = 'Enable Control Group (Variable)';
 const HA_COMPONENT_EVENT = 'event';
 const HA_COMPONENT_SCENE = 'scene';
 const HA_COMPONENT_ALARM_PANEL = 'alarm_control_panel';
+const HA_COMPONENT_NUMBER = 'number';
+const HA_COMPONENT_SELECT = 'select';
+const HA_DEVICE_DISCOVERY_TOPIC = 'device';  // <prefix>/device/<id>/config: device-based discovery (one config, many components)
 
 // HA Discovery health states surfaced as the per-network "Discovery" sensor.
 const DISCOVERY_STATE_DISCOVERING = 'discovering';
@@ -194,6 +207,21 @@ function entityIdFields(component, objectId) {
 const DEFAULT_ADDON_LABEL_FILE = '/homeassistant/cgateweb-labels.json';
 const LEGACY_ADDON_LABEL_FILE = '/config/cgateweb-labels.json';
 const DEFAULT_ADDON_DATA_LABEL_FILE = '/data/labels.json';
+// Device state snapshot (levels, last-seen, panel and aircon state). /data is
+// the add-on's private persistent volume, so it survives restarts and updates.
+const DEFAULT_ADDON_DEVICE_STATE_FILE = '/data/device-state.json';
+// Local rules, next to the label file so they can be edited with the File
+// editor add-on. Only used when it exists; there is no rules_file option.
+const DEFAULT_ADDON_RULES_FILE = '/homeassistant/cgateweb-rules.yaml';
+// Schedules are edited in the web UI rather than by hand, so they live in
+// /data with the device state.
+const DEFAULT_ADDON_SCHEDULES_FILE = '/data/schedules.json';
+// Bridge-managed scenes, captured and edited over MQTT and the web API.
+const DEFAULT_ADDON_SCENES_FILE = '/data/scenes.json';
+// Audit log of commands sent to C-Gate; rotated, so it stays small.
+const DEFAULT_ADDON_COMMAND_AUDIT_FILE = '/data/command-audit.jsonl';
+// Discovery config topics published, so leftovers can be found after a restart.
+const DEFAULT_ADDON_DISCOVERY_TOPICS_FILE = '/data/discovery-topics.json';
 
 // === System ===
 const NEWLINE = '\n';
@@ -211,12 +239,24 @@ const SECURITY_ARM_TOPIC_REGEX = /^cbus\/write\/(\d{1,3})\/(\d{1,3})\/panel\/arm
 // Security panel zone-bypass button topic (the virtual '#' keypad key used to
 // bypass open zones during arming, issue #42).
 const SECURITY_BYPASS_TOPIC_REGEX = /^cbus\/write\/(\d{1,3})\/(\d{1,3})\/panel\/bypass$/;
+// Security zone isolate/de-isolate (ON/OFF). A zone is not a group, so this
+// is routed directly rather than as a CBusCommand type.
+const SECURITY_ISOLATE_TOPIC_REGEX = /^cbus\/write\/(\d{1,3})\/(\d{1,3})\/(\d{1,3})\/isolate$/;
 // Measurement application (app 228/$E4) data-injection command topic. The
 // address is 4 segments (network/application/device/channel), so — like the
 // security arm topic — this can't parse as a CBusCommand and is routed
 // directly. Payload is "value,multiplier,units" (confirmed working format
 // via live end-to-end testing against real C-Gate).
 const MEASUREMENT_DATA_TOPIC_REGEX = /^cbus\/write\/(\d{1,3})\/(\d{1,3})\/(\d{1,3})\/(\d{1,3})\/data$/;
+// Enable/disable switch for a bridge-side schedule (the HA switch's command
+// topic). Schedule ids are generated from the name as lowercase slugs.
+const SCHEDULE_ENABLE_TOPIC_REGEX = /^cbus\/write\/bridge\/schedule\/([a-z0-9_]{1,64})\/enabled$/;
+// Bridge-managed (software) scene commands; the id is chosen by whoever
+// captures the scene.
+const SOFT_SCENE_TOPIC_REGEX = /^cbus\/write\/bridge\/scene\/([a-z0-9_]{1,64})\/(activate|capture|delete)$/;
+// Clock master "sync now" (the HA button's command topic). The clock has no
+// group address, so like the security panel topics this is routed directly.
+const CLOCK_SYNC_TOPIC_REGEX = /^cbus\/write\/(\d{1,3})\/(\d{1,3})\/clock\/sync$/;
 // Event-port line announcing a network finished syncing ("762 //PROJECT/254
 // Network sync ok"). The leading C-Gate timestamp is optional so the pattern
 // also matches lines already stripped of it. Captures the network id.
@@ -280,6 +320,7 @@ module.exports = {
     MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_SETPOINT,
     MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_MODE,
     MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_ACTION,
+    MQTT_TOPIC_SUFFIX_HVAC_WARD,
     MQTT_TOPIC_SUFFIX_HVAC_FAN_SPEED_PCT,
     MQTT_TOPIC_SUFFIX_HVAC_COMFORT_LEVEL,
     MQTT_TOPIC_SUFFIX_HVAC_DAMPER,
@@ -290,9 +331,11 @@ module.exports = {
     MQTT_TOPIC_SUFFIX_SOURCE_UNIT,
     MQTT_TOPIC_SUFFIX_ATTRIBUTES,
     MQTT_TOPIC_SUFFIX_LOOP_FAULT,
+    MQTT_TOPIC_SUFFIX_SECURITY_ISOLATE,
     MQTT_TOPIC_SUFFIX_PASSWORD_ENTRY,
     MQTT_TOPIC_SUFFIX_VALUE,
     MQTT_TOPIC_SUFFIX_UNIT,
+    MQTT_TOPIC_SUFFIX_CLOCK_DRIFT,
     HVAC_MIN_TEMP_C,
     HVAC_MAX_TEMP_C,
     MQTT_TOPIC_STATUS,
@@ -317,9 +360,13 @@ module.exports = {
     MQTT_CMD_TYPE_HVAC_SETPOINT,
     MQTT_CMD_TYPE_HVAC_MODE,
     MQTT_CMD_TYPE_HVAC_FAN_MODE,
+    MQTT_CMD_TYPE_HVAC_HUMIDITY,
+    MQTT_CMD_TYPE_HVAC_HUMIDITY_MODE,
+    MQTT_CMD_TYPE_HVAC_WARD,
     MQTT_CMD_TYPE_TEMPERATURE,
     MQTT_CMD_TYPE_PLAY,
     MQTT_CMD_TYPE_RECORD,
+    MQTT_CMD_TYPE_VALUE,
     
     // Home Assistant Discovery
     HA_COMPONENT_LIGHT,
@@ -342,9 +389,13 @@ module.exports = {
     HA_MODEL_PIR,
     HA_MODEL_TRIGGER,
     HA_MODEL_HVAC,
+    HA_MODEL_VARIABLE,
     HA_COMPONENT_EVENT,
     HA_COMPONENT_SCENE,
     HA_COMPONENT_ALARM_PANEL,
+    HA_COMPONENT_NUMBER,
+    HA_COMPONENT_SELECT,
+    HA_DEVICE_DISCOVERY_TOPIC,
     DISCOVERY_STATE_DISCOVERING,
     DISCOVERY_STATE_OK,
     DISCOVERY_STATE_PAUSED,
@@ -357,6 +408,12 @@ module.exports = {
     DEFAULT_ADDON_LABEL_FILE,
     LEGACY_ADDON_LABEL_FILE,
     DEFAULT_ADDON_DATA_LABEL_FILE,
+    DEFAULT_ADDON_DEVICE_STATE_FILE,
+    DEFAULT_ADDON_RULES_FILE,
+    DEFAULT_ADDON_SCHEDULES_FILE,
+    DEFAULT_ADDON_SCENES_FILE,
+    DEFAULT_ADDON_COMMAND_AUDIT_FILE,
+    DEFAULT_ADDON_DISCOVERY_TOPICS_FILE,
 
     // System
     NEWLINE,
@@ -364,6 +421,10 @@ module.exports = {
     COMMAND_TOPIC_REGEX,
     SECURITY_ARM_TOPIC_REGEX,
     SECURITY_BYPASS_TOPIC_REGEX,
+    SECURITY_ISOLATE_TOPIC_REGEX,
     MEASUREMENT_DATA_TOPIC_REGEX,
+    SCHEDULE_ENABLE_TOPIC_REGEX,
+    SOFT_SCENE_TOPIC_REGEX,
+    CLOCK_SYNC_TOPIC_REGEX,
     CGATE_EVENT_NETWORK_SYNC_REGEX
 };
\ No newline at end of file
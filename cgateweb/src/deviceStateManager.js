@@ -64,6 +64,10 @@ class DeviceStateManager {
 
         // Bound on _deviceLevels / _lastSeen growth.
         this._maxEntries = Math.max(100, resolveSetting(this.settings, 'deviceStateMaxEntries'));
+
+        // Addresses whose level came from a persisted snapshot rather than
+        // C-Gate this session; cleared per address by the first real update.
+        this._unverified = new Set();
     }
 
     /**
@@ -126,9 +130,11 @@ class DeviceStateManager {
             if (!this._deviceLevels.has(simpleAddr) && this._deviceLevels.size >= this._maxEntries) {
                 const oldestKey = evictOldestFifo(this._deviceLevels);
                 this._lastSeen.delete(oldestKey);
+                this._unverified.delete(oldestKey);
             }
             // Store latest known level so callers can retrieve it synchronously
             this._deviceLevels.set(simpleAddr, levelValue);
+            this._unverified.delete(simpleAddr);
             // Record when this device was last seen (for stale device detection)
             this._lastSeen.set(simpleAddr, Date.now());
             // Emit internal level event for relative ramp operations (increase/decrease)
@@ -167,6 +173,73 @@ class DeviceStateManager {
         return new Map(this._deviceLevels);
     }
 
+    /**
+     * Whether the level for an address has been confirmed by C-Gate since
+     * startup. False for levels restored from a snapshot and not yet
+     * re-reported; true for unknown addresses (there is nothing to doubt).
+     *
+     * @param {string|number} network
+     * @param {string|number} application
+     * @param {string|number} group
+     * @returns {boolean}
+     */
+    isVerified(network, application, group) {
+        return !this._unverified.has(`${network}/${application}/${group}`);
+    }
+
+    /**
+     * Returns the number of restored levels not yet confirmed by C-Gate.
+     *
+     * @returns {number}
+     */
+    getUnverifiedCount() {
+        return this._unverified.size;
+    }
+
+    /**
+     * Returns a plain-object snapshot of levels and last-seen times, for
+     * persisting across restarts.
+     *
+     * @returns {{levels: Object<string, number>, lastSeen: Object<string, number>}}
+     */
+    toSnapshot() {
+        return {
+            levels: Object.fromEntries(this._deviceLevels),
+            lastSeen: Object.fromEntries(this._lastSeen)
+        };
+    }
+
+    /**
+     * Seeds levels and last-seen times from a snapshot written by toSnapshot.
+     *
+     * Restored levels are marked unverified until C-Gate reports the address
+     * again. Addresses already updated this session are left alone, entries
+     * that are not a valid address/level are skipped, and the entry bound
+     * still applies.
+     *
+     * @param {{levels?: Object<string, number>, lastSeen?: Object<string, number>}} snapshot
+     * @returns {number} Number of levels restored
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') return 0;
+        const levels = snapshot.levels && typeof snapshot.levels === 'object' ? snapshot.levels : {};
+        const lastSeen = snapshot.lastSeen && typeof snapshot.lastSeen === 'object' ? snapshot.lastSeen : {};
+        let restored = 0;
+        for (const [address, level] of Object.entries(levels)) {
+            if (this._deviceLevels.size >= this._maxEntries) break;
+            if (this._deviceLevels.has(address) || !/^\d+\/\d+\/\d+$/.test(address)) continue;
+            if (!Number.isInteger(level) || level < CGATE_LEVEL_MIN || level > CGATE_LEVEL_MAX) continue;
+            const seen = lastSeen[address];
+            this._deviceLevels.set(address, level);
+            // Restored last-seen times keep stale-device detection meaningful
+            // across the restart instead of every device starting fresh.
+            this._lastSeen.set(address, Number.isFinite(seen) ? seen : 0);
+            this._unverified.add(address);
+            restored++;
+        }
+        return restored;
+    }
+
     /**
      * Sets up a relative level operation handler.
      * 
@@ -270,6 +343,7 @@ class DeviceStateManager {
         this.clearAllOperations();
         this._deviceLevels.clear();
         this._lastSeen.clear();
+        this._unverified.clear();
         this.internalEventEmitter.removeAllListeners();
         this.logger.debug('Device state manager shut down');
     }
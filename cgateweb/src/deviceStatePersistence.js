@@ -0,0 +1,123 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Bumped only for incompatible layout changes; a file with another version is
+// ignored on load rather than half-applied.
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Saves what the bridge has learned about the bus to a JSON file and loads it
+ * back on the next start.
+ *
+ * Without it a restart forgets every level and last-seen time, so stale
+ * detection starts over and the dashboard is empty until GETALL finishes.
+ * The snapshot covers DeviceStateManager levels and last-seen times, the
+ * security panel conditions and the aircon control registry. Restored levels
+ * are marked unverified in DeviceStateManager until C-Gate reports them again.
+ *
+ * Saves run on an interval and once more on shutdown. Writes go to a temp file
+ * and are renamed into place, so a crash mid-write leaves the previous
+ * snapshot intact.
+ */
+class DeviceStatePersistence {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Snapshot file path
+     * @param {number} options.intervalMs - Time between periodic saves
+     * @param {import('./deviceStateManager')} options.deviceStateManager
+     * @param {import('./airconControlRegistry').AirconControlRegistry|null} [options.airconControlRegistry]
+     * @param {import('./securityEventHandler')|null} [options.securityEventHandler]
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor({ file, intervalMs, deviceStateManager, airconControlRegistry = null, securityEventHandler = null, logger }) {
+        this.file = file;
+        this.intervalMs = intervalMs;
+        this.deviceStateManager = deviceStateManager;
+        this.airconControlRegistry = airconControlRegistry;
+        this.securityEventHandler = securityEventHandler;
+        this.logger = logger;
+        this._timer = null;
+    }
+
+    /**
+     * Load the snapshot file, if any, into the live components. A missing file
+     * is normal (first run); an unreadable or foreign one is a warning, never
+     * fatal.
+     * @returns {{levels: number, aircon: number, security: boolean}|null} what was restored, or null if nothing was
+     */
+    restore() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.warn(`Could not read device state file (${err.message}); starting fresh`);
+            }
+            return null;
+        }
+        if (!data || data.version !== SNAPSHOT_VERSION) {
+            this.logger.warn(`Ignoring device state file ${this.file}: unsupported format`);
+            return null;
+        }
+
+        const result = {
+            levels: this.deviceStateManager.restoreSnapshot(data.devices),
+            aircon: this.airconControlRegistry ? this.airconControlRegistry.restore(data.aircon) : 0,
+            security: this.securityEventHandler ? this.securityEventHandler.restorePanelStateSnapshot(data.security) : false
+        };
+        const savedAt = Number.isFinite(data.savedAt) ? new Date(data.savedAt).toISOString() : 'unknown time';
+        this.logger.info(`Restored device state saved at ${savedAt}: ${result.levels} levels (unverified until C-Gate reports them), ` +
+            `${result.aircon} aircon units${result.security ? ', security panel state' : ''}`);
+        return result;
+    }
+
+    /**
+     * Start periodic saves.
+     */
+    start() {
+        if (this._timer) return;
+        this._timer = setInterval(() => this.save(), this.intervalMs);
+        this._timer.unref();
+    }
+
+    /**
+     * Stop periodic saves and write a final snapshot. Call before the
+     * components are shut down, since shutdown clears their state.
+     */
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        this.save();
+    }
+
+    /**
+     * Write the current snapshot. Best-effort: a failure is a warning.
+     * @returns {boolean} true if the file was written
+     */
+    save() {
+        const snapshot = {
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            devices: this.deviceStateManager.toSnapshot(),
+            aircon: this.airconControlRegistry ? this.airconControlRegistry.toJSON() : {},
+            security: this.securityEventHandler ? this.securityEventHandler.getPanelStateSnapshot() : null
+        };
+        const tmpFile = `${this.file}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(tmpFile, JSON.stringify(snapshot));
+            fs.renameSync(tmpFile, this.file);
+            return true;
+        } catch (err) {
+            this.logger.warn(`Could not write device state file (${err.message})`);
+            return false;
+        }
+    }
+}
+
+module.exports = DeviceStatePersistence;
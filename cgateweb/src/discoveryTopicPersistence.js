@@ -0,0 +1,128 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Bumped only for incompatible layout changes; a file with another version is
+// ignored on load, which makes the next start behave like a first run.
+const RECORD_VERSION = 1;
+
+/**
+ * Saves the set of discovery config topics HaDiscovery has published to a
+ * JSON file and hands it back to the next HaDiscovery instance.
+ *
+ * HaDiscovery tracks what it published only for the life of the process, so a
+ * config published before a restart and not published again (group excluded,
+ * type changed, network removed) stays retained on the broker with nothing
+ * left to retract it. With the previous record loaded, HaDiscovery can find
+ * those leftovers once each network's tree has settled.
+ *
+ * HaDiscovery is created when C-Gate first connects, after the bridge starts,
+ * so the instance is attached rather than passed in. Saves run on an interval
+ * and on detach, and are skipped when the record has not changed. Writes go to
+ * a temp file and are renamed into place, as for the device state file.
+ */
+class DiscoveryTopicPersistence {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Record file path
+     * @param {number} options.intervalMs - Time between periodic saves
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor({ file, intervalMs, logger }) {
+        this.file = file;
+        this.intervalMs = intervalMs;
+        this.logger = logger;
+        /** @type {import('./haDiscovery')|null} */
+        this._haDiscovery = null;
+        this._timer = null;
+        this._lastWritten = null;
+    }
+
+    /**
+     * Attach the live HaDiscovery instance (or null to detach). The outgoing
+     * instance's record is saved first; the incoming one is given the record
+     * from the file.
+     * @param {import('./haDiscovery')|null} haDiscovery
+     */
+    attach(haDiscovery) {
+        if (haDiscovery === this._haDiscovery) return;
+        if (this._haDiscovery) this.save();
+        this._haDiscovery = haDiscovery;
+        if (!haDiscovery) {
+            this._stopTimer();
+            return;
+        }
+        const record = this._read();
+        if (record) {
+            const count = haDiscovery.restoreTopicRecord(record);
+            this.logger.info(`Loaded ${count} discovery config topic(s) published before the last restart`);
+        }
+        if (!this._timer) {
+            this._timer = setInterval(() => this.save(), this.intervalMs);
+            this._timer.unref();
+        }
+    }
+
+    /**
+     * Stop periodic saves and write the attached instance's record.
+     */
+    stop() {
+        this.attach(null);
+    }
+
+    /**
+     * Write the attached instance's record if it changed since the last write.
+     * Best-effort: a failure is a warning.
+     * @returns {boolean} true if the file was written
+     */
+    save() {
+        if (!this._haDiscovery) return false;
+        const topics = JSON.stringify(this._haDiscovery.getTopicRecord());
+        if (topics === this._lastWritten) return false;
+        const tmpFile = `${this.file}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(tmpFile, `{"version":${RECORD_VERSION},"savedAt":${Date.now()},"topics":${topics}}`);
+            fs.renameSync(tmpFile, this.file);
+            this._lastWritten = topics;
+            return true;
+        } catch (err) {
+            this.logger.warn(`Could not write discovery topics file (${err.message})`);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {{tree: string[], event: string[], devices?: Object<string, Object<string, string>>}|null} the saved record, or null when there is none to use
+     * @private
+     */
+    _read() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.warn(`Could not read discovery topics file (${err.message}); leftover configs from before this start will not be found`);
+            }
+            return null;
+        }
+        if (!data || data.version !== RECORD_VERSION || !data.topics) {
+            this.logger.warn(`Ignoring discovery topics file ${this.file}: unsupported format`);
+            return null;
+        }
+        this._lastWritten = JSON.stringify(data.topics);
+        return data.topics;
+    }
+
+    /** @private */
+    _stopTimer() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+}
+
+module.exports = DiscoveryTopicPersistence;
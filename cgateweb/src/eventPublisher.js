@@ -24,6 +24,7 @@ const {
     MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_SETPOINT,
     MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_MODE,
     MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_ACTION,
+    MQTT_TOPIC_SUFFIX_HVAC_WARD,
     MQTT_TOPIC_SUFFIX_HVAC_FAN_SPEED_PCT,
     MQTT_TOPIC_SUFFIX_HVAC_COMFORT_LEVEL,
     MQTT_TOPIC_SUFFIX_HVAC_DAMPER,
@@ -37,11 +38,14 @@ const {
     MQTT_TOPIC_SUFFIX_PASSWORD_ENTRY,
     MQTT_TOPIC_SUFFIX_VALUE,
     MQTT_TOPIC_SUFFIX_UNIT,
+    MQTT_TOPIC_SUFFIX_CLOCK_DRIFT,
     MQTT_STATE_ON,
     MQTT_STATE_OFF,
+    MQTT_CMD_TYPE_VALUE,
     CGATE_CMD_ON,
     CGATE_LEVEL_MAX
 } = require('./constants');
+const { triggerEventType } = require('./valueMaps');
 
 // Security zone JSON-attributes payloads. Only four zone states exist, so the
 // payload string for each is built once instead of JSON-stringifying per zone
@@ -175,6 +179,14 @@ const READING_KIND_HANDLERS = {
             reading.value,
             ep.mqttOptions
         );
+        // Set by the bridge on time broadcasts while it is the clock master.
+        if (reading.driftSeconds !== null && reading.driftSeconds !== undefined) {
+            ep._publishIfNeeded(
+                `${base}/${MQTT_TOPIC_SUFFIX_CLOCK_DRIFT}`,
+                String(reading.driftSeconds),
+                ep.mqttOptions
+            );
+        }
     },
 
     state(ep, base, reading) {
@@ -183,6 +195,15 @@ const READING_KIND_HANDLERS = {
             reading.on ? 'ON' : 'OFF',
             ep.mqttOptions
         );
+        // Set Ward On/Off also drives the ward's own switch, keyed by the
+        // zone group rather than the unit that sent it.
+        if (reading.zoneGroup) {
+            ep._publishIfNeeded(
+                `${MQTT_TOPIC_PREFIX_READ}/${reading.network}/${reading.application}/${reading.zoneGroup}/${MQTT_TOPIC_SUFFIX_HVAC_WARD}`,
+                reading.on ? 'ON' : 'OFF',
+                ep.mqttOptions
+            );
+        }
     },
 
     action(ep, base, reading) {
@@ -390,9 +411,7 @@ const READING_KIND_HANDLERS = {
  */
 const EVENT_KIND_HANDLERS = {
     trigger(ep, ctx) {
-        const eventPayload = ctx.rawLevel !== null
-            ? JSON.stringify({ event_type: 'trigger', level: ctx.rawLevel })
-            : JSON.stringify({ event_type: 'trigger' });
+        const eventPayload = JSON.stringify(ep._triggerEventPayload(ctx));
 
         if (ep.logger.isLevelEnabled && ep.logger.isLevelEnabled('debug')) {
             ep.logger.debug(
@@ -434,7 +453,7 @@ const EVENT_KIND_HANDLERS = {
         );
     },
 
-    // Lighting, cover, and PIR: state always; level/position unless PIR.
+    // Lighting, cover, and PIR: state always; level/position/value unless PIR.
     status(ep, ctx) {
         if (ep.logger.isLevelEnabled && ep.logger.isLevelEnabled('debug')) {
             ep.logger.debug(
@@ -464,6 +483,16 @@ const EVENT_KIND_HANDLERS = {
                     ep.mqttOptions
                 );
             }
+
+            // Enable Control variables (number/select overrides) carry the raw
+            // 0-255 level; a percentage would not round-trip.
+            if (ctx.isVariable) {
+                ep._publishIfNeeded(
+                    `${MQTT_TOPIC_PREFIX_READ}/${ctx.network}/${ctx.application}/${ctx.group}/${MQTT_CMD_TYPE_VALUE}`,
+                    String(ctx.rawLevel !== null ? ctx.rawLevel : (ctx.actionIsOn ? CGATE_LEVEL_MAX : 0)),
+                    ep.mqttOptions
+                );
+            }
         }
     }
 };
@@ -480,6 +509,7 @@ class EventPublisher {
      * @param {Object}   [options.logger] - Optional logger instance
      * @param {Object}   [options.coverRampTracker] - Optional CoverRampTracker to cancel on real events
      * @param {Function} [options.onEventLog] - Optional callback receiving event-log entries for live streaming (SSE)
+     * @param {Function} [options.onReading] - Optional callback receiving every decoded reading: (network, application, group, reading)
      */
     constructor(options) {
         this.settings = options.settings;
@@ -491,6 +521,7 @@ class EventPublisher {
         this.labelLoader = options.labelLoader || null;
         this.coverRampTracker = options.coverRampTracker || null;
         this.onEventLog = options.onEventLog || null;
+        this.onReading = options.onReading || null;
         this.eventPublishDedupWindowMs = resolveClampedSetting(this.settings, 'eventPublishDedupWindowMs', { min: 0 });
         this.eventPublishDedupMaxEntries = resolveClampedSetting(this.settings, 'eventPublishDedupMaxEntries', { min: 100 });
         this.topicCacheMaxEntries = resolveClampedSetting(this.settings, 'topicCacheMaxEntries', { min: 100 });
@@ -508,6 +539,9 @@ class EventPublisher {
             topicCacheHit: 0,
             topicCacheMiss: 0
         };
+        // "network/application" -> { network, application, count }. Bounded by
+        // the 256 application addresses per network.
+        this._eventCounts = new Map();
         
         this.logger = options.logger || createLogger({ 
             component: 'event-publisher', 
@@ -548,6 +582,7 @@ class EventPublisher {
             this.publishReading(network, application, group, reading);
             return;
         }
+        this._countEvent(network, application);
 
         const topics = this._getTopicsForAddress(network, application, group);
 
@@ -567,6 +602,8 @@ class EventPublisher {
         const isCoverApp = application === this.settings.ha_discovery_cover_app_id;
         const isCoverOverride = this._isTypeOverride(network, application, group, 'cover');
         const isCover = isCoverApp || isCoverOverride;
+        const isVariable = this._isTypeOverride(network, application, group, 'number')
+            || this._isTypeOverride(network, application, group, 'select');
 
         // Cancel any active interpolated ramp for this cover address so the real
         // C-Gate event value takes over immediately without further estimated updates.
@@ -629,6 +666,7 @@ class EventPublisher {
             topics,
             isPirSensor,
             isCover,
+            isVariable,
             state,
             levelPercent
         });
@@ -644,6 +682,7 @@ class EventPublisher {
      *               → cbus/read/{net}/{app}/{group}/setpoint (if setpoint non-null)
      *               → cbus/read/{net}/{app}/{group}/fan_mode + fan_speed (if aux level decoded)
      *   state       → cbus/read/{net}/{app}/{group}/state  ('ON'|'OFF')
+     *               → cbus/read/{net}/{app}/{zoneGroup}/ward ('ON'|'OFF')
      *   action      → cbus/read/{net}/{app}/{group}/action + problem
      *               → cbus/read/{net}/{app}/{group}/error + error_description (if error code decoded)
      *               → cbus/read/{net}/{app}/{group}/damper|busy|expansion (§25.6.6 bits, if decoded)
@@ -659,15 +698,25 @@ class EventPublisher {
      *   clock          → cbus/read/{net}/{app}/clock/date ('YYYY-MM-DD') or
      *                    cbus/read/{net}/{app}/clock/time ('HH:MM:SS'), whichever
      *                    the broadcast carried — the two arrive separately
+     *                  → cbus/read/{net}/{app}/clock/drift (seconds, network minus
+     *                    host) on time broadcasts while the bridge is clock master
      */
     publishReading(network, application, group, reading) {
         if (!reading) return;
+        this._countEvent(network, application);
 
         const base = `${MQTT_TOPIC_PREFIX_READ}/${network}/${application}/${group}`;
         const handler = READING_KIND_HANDLERS[reading.kind];
         if (handler) {
             handler(this, base, reading);
         }
+        if (this.onReading) {
+            try {
+                this.onReading(network, application, group, reading);
+            } catch (e) {
+                this.logger.debug('Reading listener threw', { error: e });
+            }
+        }
     }
 
     /**
@@ -751,6 +800,25 @@ class EventPublisher {
         );
     }
 
+    /**
+     * The HA event payload for a trigger group event. By default every event
+     * is event_type 'trigger' with the raw level. With
+     * ha_discovery_trigger_action_events each action selector is its own
+     * event type, named from the group's value_maps entry (see valueMaps).
+     * @private
+     */
+    _triggerEventPayload(ctx) {
+        if (this.settings.ha_discovery_trigger_action_events !== true) {
+            return ctx.rawLevel !== null
+                ? { event_type: 'trigger', level: ctx.rawLevel }
+                : { event_type: 'trigger' };
+        }
+        const level = ctx.rawLevel !== null ? ctx.rawLevel : (ctx.actionIsOn ? CGATE_LEVEL_MAX : 0);
+        const valueMaps = this.labelLoader && this.labelLoader.getValueMaps ? this.labelLoader.getValueMaps() : null;
+        const valueMap = valueMaps && valueMaps.get(`${ctx.network}/${ctx.application}/${ctx.group}`);
+        return { event_type: triggerEventType(valueMap, level), level };
+    }
+
     /**
      * Checks whether the event's group has a type override matching the given type.
      * Falls back to false when no labelLoader is configured.
@@ -863,6 +931,24 @@ class EventPublisher {
         }
     }
 
+    /**
+     * Count one published event for its application. Decoded readings are
+     * counted in publishReading, everything else in publishEvent, so each bus
+     * event counts once.
+     * @param {string|number} network
+     * @param {string|number} application
+     * @private
+     */
+    _countEvent(network, application) {
+        const key = `${network}/${application}`;
+        const entry = this._eventCounts.get(key);
+        if (entry) {
+            entry.count += 1;
+        } else {
+            this._eventCounts.set(key, { network: String(network), application: String(application), count: 1 });
+        }
+    }
+
     shutdown() {
         if (this._coalesceTimer) {
             clearImmediate(this._coalesceTimer);
@@ -880,7 +966,8 @@ class EventPublisher {
             dedupCacheSize: this._recentPublishes.size,
             topicCacheSize: this._topicCache.size,
             coalesceEnabled: this.eventPublishCoalesce,
-            coalesceBufferSize: this._coalesceBuffer.size
+            coalesceBufferSize: this._coalesceBuffer.size,
+            eventsByApplication: [...this._eventCounts.values()].map((entry) => ({ ...entry }))
         };
     }
 }
@@ -1,6 +1,6 @@
 // @ts-check
 const { createLogger } = require('./logger');
-const { findNetworkData, collectUnitGroups, collectUnitTypeData, networkHasUnsyncedUnits } = require('./haDiscoveryTree');
+const { findNetworkData, findNetworkInterface, collectUnitGroups, collectUnitTypeData, collectGroupUnits, collectUnitInventory, networkHasUnsyncedUnits } = require('./haDiscoveryTree');
 const { parseSecurityZoneLabelKey, securityZoneLabelKey } = require('./securityZoneLabels');
 const { resolveSetting } = require('./config/schema');
 const {
@@ -14,6 +14,9 @@ const {
 // wrapper that records payloads for replay after a broker restart.
 const CONFIG_TOPIC_SUFFIX = `/${HA_DISCOVERY_SUFFIX}`;
 
+// Network id in a per-network discovery topic (`.../cgateweb_{network}_...`).
+const TOPIC_NETWORK_REGEX = /\/cgateweb_(\d+)_/;
+
 /**
  * Methods mixed into HaDiscovery.prototype from haDiscoveryTreeSession.js and
  * haDiscoveryPublishers.js at module load (see the Object.assign calls at the
@@ -27,6 +30,8 @@ const CONFIG_TOPIC_SUFFIX = `/${HA_DISCOVERY_SUFFIX}`;
  * @property {(networkId: string|number, appAddress: string|number, groups: Array<Object>) => void} _processEnableControlGroups
  * @property {(network: string|number, appId: string|number, zone: string|number) => boolean} ensureSecurityZoneDiscovery
  * @property {(network: string|number, appId: string|number, group: string|number) => boolean} ensureUnlistedGroupDiscovery
+ * @property {() => void} _publishDeviceBundles
+ * @property {(networkId: string) => void} _rollBackDeviceConfigs
  */
 class HaDiscovery {
     /**
@@ -52,7 +57,13 @@ class HaDiscovery {
             if (typeof topic === 'string' && topic.endsWith(CONFIG_TOPIC_SUFFIX)) {
                 // An empty payload is a retraction — forget it, don't replay it.
                 if (payload) this._publishedConfigPayloads.set(topic, payload);
-                else this._publishedConfigPayloads.delete(topic);
+                else {
+                    this._publishedConfigPayloads.delete(topic);
+                    this._deviceComponents.delete(topic);
+                }
+                // Published or cleared this session, so no longer a leftover.
+                if (this._previousTopics) this._previousTopics.delete(topic);
+                this._orphanTopics.delete(topic);
             }
             return publishFn(topic, payload, options);
         };
@@ -83,6 +94,11 @@ class HaDiscovery {
         this._treeParseEpoch = new Map();
         // Networks whose TreeXML is currently in parseString (session already cleared).
         this._parsingNetworks = new Set();
+        // networkId -> ms the in-flight TREEXML was sent, and networkId ->
+        // { durationMs, completedAt } of the last request that ended in
+        // published discovery. Read by GET /metrics.
+        this._treeRequestedAt = new Map();
+        this.treeDiscoveryDurations = new Map();
         this._maxTreeRetryAttempts = resolveSetting(settings || {}, 'haDiscoveryMaxTreeRetryAttempts');
         this._treeRetryInitialDelayMs = resolveSetting(settings || {}, 'haDiscoveryTreeRetryInitialDelayMs');
         this._treeRetryMaxDelayMs = resolveSetting(settings || {}, 'haDiscoveryTreeRetryMaxDelayMs');
@@ -117,6 +133,10 @@ class HaDiscovery {
         // "network/app/sourceUnit" keys already published this session.
         this._nativeAirconSeen = new Set();
 
+        // Their zone groups (wards) get an on/off switch the same way, keyed
+        // "network/app/ward/<ward>".
+        this._nativeAirconWardSeen = new Set();
+
         // Temperature Broadcast (app 25) groups are likewise discovered
         // event-driven the first time a sensor broadcasts. Tracks
         // "network/app/group" keys already published this session.
@@ -156,6 +176,206 @@ class HaDiscovery {
         // connectivity sensors vanish whenever a tree refresh runs after they
         // were announced. Tracked here so the cleanup can skip them.
         this._eventDrivenDiscoveryTopics = new Set();
+
+        // Device-based discovery (ha_discovery_device_mode): the component ids
+        // last published in each device config, this session or before the
+        // last restart, so a component that drops out can be removed and one
+        // that moves can be released by its old device first; and the
+        // per-entity topics already migrated into a device this session. Run-scoped bundles live on _deviceBundles.
+        this._deviceComponents = new Map();
+        this._migratedLegacyTopics = new Set();
+        this._deviceBundles = null;
+        this._groupUnits = null;
+
+        // Discovery config topics published before the last restart
+        // (ha_discovery_topics_file), topic -> true when event-driven, less
+        // any published or cleared since. null when there was no record, which
+        // is treated as "anything may exist". Tree topics left here once a
+        // network's tree has settled are leftovers and move to _orphanTopics,
+        // where ha_discovery_orphan_cleanup=report keeps them for review.
+        /** @type {Map<string, boolean>|null} */
+        this._previousTopics = null;
+        /** @type {Map<string, {network: string, reason: string, eventDriven: boolean}>} */
+        this._orphanTopics = new Map();
+
+        // Units and interface from each network's latest TREEXML, for
+        // GET /api/units and the topology view. Replaced on every tree run,
+        // dropped when the network is removed.
+        /** @type {Map<string, {units: ReturnType<typeof collectUnitInventory>, interface: ReturnType<typeof findNetworkInterface>, updatedAt: number}>} */
+        this._unitInventory = new Map();
+    }
+
+    /**
+     * The physical units of every network whose tree has been read, with the
+     * groups each drives and those groups' labels, and the interface C-Gate
+     * reaches the network through.
+     * @returns {Array<{network: string, updatedAt: number, interface: {type: string, address: string}|null, units: Array<Object>}>}
+     */
+    getUnitInventory() {
+        return [...this._unitInventory]
+            .sort(([a], [b]) => Number(a) - Number(b))
+            .map(([network, { units, interface: iface, updatedAt }]) => ({
+                network,
+                updatedAt,
+                interface: iface,
+                units: units.map(unit => ({
+                    ...unit,
+                    groups: unit.groups.map(({ app, group }) => ({
+                        app,
+                        group,
+                        label: this.labelMap.get(`${network}/${app}/${group}`) || null
+                    }))
+                }))
+            }));
+    }
+
+    /**
+     * Take over the topic record saved before the last restart. Topics already
+     * published this session are current and dropped from it. The components
+     * recorded for device configs not published yet are taken over too.
+     * @param {{tree?: string[], event?: string[], devices?: Object<string, Object<string, string>>}} record
+     * @returns {number} topics carried over
+     */
+    restoreTopicRecord(record) {
+        const previous = new Map();
+        for (const topic of Array.isArray(record.tree) ? record.tree : []) {
+            if (typeof topic === 'string') previous.set(topic, false);
+        }
+        for (const topic of Array.isArray(record.event) ? record.event : []) {
+            if (typeof topic === 'string') previous.set(topic, true);
+        }
+        for (const topic of this._publishedTopics) previous.delete(topic);
+        this._previousTopics = previous;
+        const devices = record.devices && typeof record.devices === 'object' ? record.devices : {};
+        for (const [topic, components] of Object.entries(devices)) {
+            if (!previous.has(topic) || this._deviceComponents.has(topic) || !components || typeof components !== 'object') continue;
+            this._deviceComponents.set(topic, new Map(
+                Object.entries(components).filter(([, platform]) => typeof platform === 'string')
+            ));
+        }
+        return previous.size;
+    }
+
+    /**
+     * The topic record to save: everything published this session plus the
+     * earlier topics not yet settled, including leftovers still awaiting
+     * review, so a restart before they are dealt with does not lose them.
+     * Device configs also list their components, component id -> platform.
+     * Sorted so an unchanged set serialises identically.
+     * @returns {{tree: string[], event: string[], devices: Object<string, Object<string, string>>}}
+     */
+    getTopicRecord() {
+        const tree = new Set();
+        const event = new Set();
+        const add = (topic, eventDriven) => (eventDriven ? event : tree).add(topic);
+        for (const topic of this._publishedTopics) add(topic, this._eventDrivenDiscoveryTopics.has(topic));
+        if (this._previousTopics) {
+            for (const [topic, eventDriven] of this._previousTopics) add(topic, eventDriven);
+        }
+        for (const [topic, orphan] of this._orphanTopics) add(topic, orphan.eventDriven);
+        const devices = {};
+        for (const topic of [...this._deviceComponents.keys()].sort()) {
+            devices[topic] = Object.fromEntries([...this._deviceComponents.get(topic)].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+        }
+        return { tree: [...tree].sort(), event: [...event].sort(), devices };
+    }
+
+    /**
+     * Leftover discovery configs found so far, for the web UI's dry-run
+     * report. `awaiting` lists networks whose earlier topics have not been
+     * compared yet because their tree has not settled.
+     * @returns {{mode: string, orphans: Array<{topic: string, network: string, reason: string}>, awaiting: string[]}}
+     */
+    getOrphanReport() {
+        const awaiting = new Set();
+        if (this._previousTopics) {
+            for (const [topic, eventDriven] of this._previousTopics) {
+                const match = eventDriven ? null : TOPIC_NETWORK_REGEX.exec(topic);
+                if (match) awaiting.add(match[1]);
+            }
+        }
+        return {
+            mode: resolveSetting(this.settings, 'ha_discovery_orphan_cleanup'),
+            orphans: [...this._orphanTopics].map(([topic, { network, reason }]) => ({ topic, network, reason })),
+            awaiting: [...awaiting].sort()
+        };
+    }
+
+    /**
+     * Clear leftover discovery configs, removing their Home Assistant
+     * entities. Only topics on the current leftover list are touched.
+     * @param {string[]|null} [topics] - Subset to clear; all when omitted
+     * @returns {number} configs cleared
+     */
+    retractOrphanTopics(topics = null) {
+        const selected = topics ? topics.filter(topic => this._orphanTopics.has(topic)) : [...this._orphanTopics.keys()];
+        for (const topic of selected) {
+            this._publish(topic, '', MQTT_RETAINED_STATE_OPTIONS);
+        }
+        if (selected.length > 0) this.logger.info(`Cleared ${selected.length} leftover HA Discovery config(s)`);
+        return selected.length;
+    }
+
+    /**
+     * Compare a network's earlier tree topics with what its settled tree run
+     * published: any not published again are leftovers. Called once the tree
+     * has no re-fetch pending, since a still-syncing tree publishes only part
+     * of the project.
+     * @param {string} networkId
+     * @private
+     */
+    _settlePreviousTopics(networkId) {
+        if (!this._previousTopics) return;
+        const leftovers = [];
+        for (const [topic, eventDriven] of this._previousTopics) {
+            if (eventDriven || !topic.includes(`/cgateweb_${networkId}_`)) continue;
+            leftovers.push(topic);
+        }
+        this._handleOrphanTopics(leftovers, 'no longer published by discovery');
+    }
+
+    /**
+     * Earlier topics for networks outside this session's discovery scope
+     * (removed from C-Gate or from ha_discovery_networks) are leftovers too,
+     * event-driven ones included, since nothing will publish them again.
+     * @param {Array<string|number>} networkIds - Networks being discovered
+     * @private
+     */
+    _settleRemovedNetworkTopics(networkIds) {
+        if (!this._previousTopics) return;
+        const current = new Set(networkIds.map(String));
+        const leftovers = [];
+        for (const topic of this._previousTopics.keys()) {
+            const match = TOPIC_NETWORK_REGEX.exec(topic);
+            if (!match || current.has(match[1])) continue;
+            leftovers.push(topic);
+        }
+        this._handleOrphanTopics(leftovers, 'network no longer discovered');
+    }
+
+    /**
+     * Apply ha_discovery_orphan_cleanup to leftover topics: clear them now, or
+     * hold them for review in the web UI.
+     * @param {string[]} topics
+     * @param {string} reason
+     * @private
+     */
+    _handleOrphanTopics(topics, reason) {
+        if (topics.length === 0) return;
+        for (const topic of topics) {
+            const match = TOPIC_NETWORK_REGEX.exec(topic);
+            const eventDriven = this._previousTopics.get(topic) === true;
+            this._previousTopics.delete(topic);
+            this._orphanTopics.set(topic, { network: match ? match[1] : '', reason, eventDriven });
+        }
+        if (resolveSetting(this.settings, 'ha_discovery_orphan_cleanup') === 'auto') {
+            this.retractOrphanTopics(topics);
+            return;
+        }
+        this.logger.info(
+            `${topics.length} HA Discovery config(s) published before the last restart are left over (${reason}). ` +
+            'Review and remove them on the Status tab of the web UI, or set ha_discovery_orphan_cleanup to auto.'
+        );
     }
 
     /**
@@ -275,18 +495,21 @@ class HaDiscovery {
             this.entityIds = new Map();
             this.exclude = new Set();
             this.areas = new Map();
+            this.valueMaps = new Map();
         } else if (labelData && typeof labelData === 'object') {
             this.labelMap = labelData.labels || new Map();
             this.typeOverrides = labelData.typeOverrides || new Map();
             this.entityIds = labelData.entityIds || new Map();
             this.exclude = labelData.exclude || new Set();
             this.areas = labelData.areas || new Map();
+            this.valueMaps = labelData.valueMaps || new Map();
         } else {
             this.labelMap = new Map();
             this.typeOverrides = new Map();
             this.entityIds = new Map();
             this.exclude = new Set();
             this.areas = new Map();
+            this.valueMaps = new Map();
         }
     }
 
@@ -321,6 +544,8 @@ class HaDiscovery {
              return;
         }
 
+        this._settleRemovedNetworkTopics(networksToDiscover);
+
         // Request TreeXML for each configured network
         networksToDiscover.forEach(networkId => {
             this.queueTreeRequest(networkId);
@@ -393,6 +618,9 @@ class HaDiscovery {
         this._clearTreeResyncState(networkKey);
         this._treeParseEpoch.delete(networkKey);
         this._parsingNetworks.delete(networkKey);
+        this._treeRequestedAt.delete(networkKey);
+        this.treeDiscoveryDurations.delete(networkKey);
+        this._unitInventory.delete(networkKey);
         const pendingIdx = this.pendingTreeNetworks.indexOf(networkKey);
         if (pendingIdx >= 0) this.pendingTreeNetworks.splice(pendingIdx, 1);
 
@@ -435,6 +663,11 @@ class HaDiscovery {
              this.logger.warn(`TreeXML for network ${networkId}: could not find network data. Top-level keys: ${JSON.stringify(Object.keys(treeData || {}))}`);
              return;
         }
+        this._unitInventory.set(String(networkId), {
+            units: collectUnitInventory(networkData),
+            interface: findNetworkInterface(networkId, treeData),
+            updatedAt: Date.now()
+        });
 
         // Snapshot label data references so a concurrent updateLabels() call
         // cannot swap them out mid-operation, preventing inconsistent reads.
@@ -446,7 +679,8 @@ class HaDiscovery {
             typeOverrides: this.typeOverrides,
             entityIds: this.entityIds,
             exclude: this.exclude,
-            areas: this.areas
+            areas: this.areas,
+            valueMaps: this.valueMaps
         };
 
         // Wrap the synchronous discovery run so per-run state (label snapshot,
@@ -459,6 +693,8 @@ class HaDiscovery {
             this._currentRunTopics = null;
             this._unitTypeIndex = null;
             this._treeIncomplete = false;
+            this._deviceBundles = null;
+            this._groupUnits = null;
         }
     }
 
@@ -485,6 +721,18 @@ class HaDiscovery {
         // stale topics (from excluded or type-changed devices) can be cleared.
         this._currentRunTopics = new Set();
 
+        // Device-based discovery bundles this run's entities per device and
+        // publishes them before the stale sweep below. With it off, device
+        // configs from earlier in the session are migrated back first, so the
+        // per-entity configs this run publishes take their entities over.
+        const deviceMode = resolveSetting(this.settings, 'ha_discovery_device_mode');
+        if (deviceMode === 'application' || deviceMode === 'unit') {
+            this._deviceBundles = new Map();
+            if (deviceMode === 'unit') this._groupUnits = collectGroupUnits(networkData, targetApps);
+        } else {
+            this._rollBackDeviceConfigs(String(networkId));
+        }
+
         // C-Gate TREEXML returns two formats depending on version/path:
         //   Structured: unit.Application = [{ ApplicationAddress, Group: [{GroupAddress, Label}] }]
         //   Flat:       unit.Application = "56, 255", unit.Groups = "103,104,105"
@@ -546,6 +794,8 @@ class HaDiscovery {
         // application 1, so announce one binary_sensor per labeled zone.
         this._supplementSecurityZonesFromLabels(networkId);
 
+        if (this._deviceBundles) this._publishDeviceBundles();
+
         // Clear any previously published discovery topics for this network that were
         // not republished in this run (device excluded or type changed since last run).
         // Event-driven topics (native aircon climate, CNI connectivity) share the
@@ -31,25 +31,49 @@ function buildOriginBlock() {
 }
 
 /**
- * The HA discovery `device` block. `suggested_area` is only included when an
- * area is provided, matching Home Assistant's expectation that the key is
- * omitted (not null) when unknown.
+ * The HA discovery `device` block. `suggested_area` and the hardware details
+ * are only included when provided, matching Home Assistant's expectation that
+ * the keys are omitted (not null) when unknown.
  * @param {Object} opts
  * @param {string[]} opts.identifiers - Device identifiers array.
  * @param {string} opts.name - Device display name.
  * @param {string} opts.model - Device model string.
  * @param {string} [opts.area] - Optional suggested area.
+ * @param {string} [opts.modelId] - Catalogue number, for a physical unit.
+ * @param {string} [opts.swVersion] - Firmware version, for a physical unit.
+ * @param {string} [opts.serialNumber] - Serial number, for a physical unit.
  * @returns {Object}
  */
-function buildDeviceBlock({ identifiers, name, model, area }) {
+function buildDeviceBlock({ identifiers, name, model, area, modelId, swVersion, serialNumber }) {
     return {
         identifiers,
         name,
         manufacturer: HA_DEVICE_MANUFACTURER,
         model,
+        ...(modelId && { model_id: modelId }),
+        ...(swVersion && { sw_version: swVersion }),
+        ...(serialNumber && { serial_number: serialNumber }),
         via_device: HA_DEVICE_VIA,
         ...(area && { suggested_area: area })
     };
 }
 
-module.exports = { buildOriginBlock, buildDeviceBlock };
+/**
+ * A device-based discovery payload: one device and origin shared by every
+ * component in `cmps`, keyed by component id. Each component carries its own
+ * `platform` (light, switch, ...) and unique_id. A component given as only
+ * `{ platform }` tells Home Assistant to remove it from the device.
+ * @param {Object} opts
+ * @param {Object} opts.device - From buildDeviceBlock.
+ * @param {Object<string, Object>} opts.components - Component id -> config.
+ * @returns {Object}
+ */
+function buildDeviceDiscoveryPayload({ device, components }) {
+    return {
+        device,
+        origin: buildOriginBlock(),
+        cmps: components
+    };
+}
+
+module.exports = { buildOriginBlock, buildDeviceBlock, buildDeviceDiscoveryPayload };
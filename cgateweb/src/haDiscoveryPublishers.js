@@ -2,8 +2,9 @@
 const { getDiscoveryTypeForApp, getDiscoveryConfig } = require('./haDiscoveryConfigs');
 const { classifyLightingGroup, typeFromLabelPrefix, classifySecurityZoneDeviceClass } = require('./deviceTypeClassifier');
 const { entityTypeForGroup } = require('./unitTypeClassifier');
-const { buildOriginBlock, buildDeviceBlock } = require('./haDiscoveryPayloads');
+const { buildOriginBlock, buildDeviceBlock, buildDeviceDiscoveryPayload } = require('./haDiscoveryPayloads');
 const { securityZoneLabelKey } = require('./securityZoneLabels');
+const { valueMapOptions, triggerEventTypes } = require('./valueMaps');
 const {
     MQTT_TOPIC_PREFIX_READ,
     MQTT_TOPIC_PREFIX_WRITE,
@@ -13,6 +14,7 @@ const {
     MQTT_TOPIC_SUFFIX_TILT,
     MQTT_TOPIC_SUFFIX_EVENT,
     MQTT_TOPIC_SUFFIX_ATTRIBUTES,
+    MQTT_TOPIC_SUFFIX_SECURITY_ISOLATE,
     MQTT_TOPIC_SUFFIX_LOOP_FAULT,
     MQTT_TOPIC_SUFFIX_PASSWORD_ENTRY,
     MQTT_TOPIC_SUFFIX_HVAC_CURRENT_TEMP,
@@ -31,14 +33,17 @@ const {
     MQTT_TOPIC_SUFFIX_HVAC_COMFORT_LEVEL,
     MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_MODE,
     MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_ACTION,
+    MQTT_TOPIC_SUFFIX_HVAC_WARD,
     MQTT_TOPIC_SUFFIX_HVAC_DAMPER,
     MQTT_TOPIC_SUFFIX_HVAC_BUSY,
     MQTT_TOPIC_SUFFIX_HVAC_PLANT_TYPE_DESCRIPTION,
     MQTT_TOPIC_SUFFIX_VALUE,
+    MQTT_TOPIC_SUFFIX_CLOCK_DRIFT,
     HVAC_MIN_TEMP_C,
     HVAC_MAX_TEMP_C,
     MQTT_CMD_TYPE_SWITCH,
     MQTT_CMD_TYPE_RAMP,
+    MQTT_CMD_TYPE_VALUE,
     MQTT_CMD_TYPE_POSITION,
     MQTT_CMD_TYPE_TILT,
     MQTT_CMD_TYPE_STOP,
@@ -46,6 +51,7 @@ const {
     MQTT_CMD_TYPE_HVAC_SETPOINT,
     MQTT_CMD_TYPE_HVAC_MODE,
     MQTT_CMD_TYPE_HVAC_FAN_MODE,
+    MQTT_CMD_TYPE_HVAC_WARD,
     MQTT_STATE_ON,
     MQTT_STATE_OFF,
     MQTT_COMMAND_STOP,
@@ -57,9 +63,15 @@ const {
     HA_COMPONENT_BINARY_SENSOR,
     HA_COMPONENT_ALARM_PANEL,
     HA_COMPONENT_SCENE,
+    HA_COMPONENT_NUMBER,
+    HA_COMPONENT_SELECT,
+    HA_DEVICE_DISCOVERY_TOPIC,
+    HA_COMPONENT_SWITCH,
+    HA_COMPONENT_EVENT,
     HA_DISCOVERY_SUFFIX,
     HA_MODEL_LIGHTING,
     HA_MODEL_TRIGGER,
+    HA_MODEL_VARIABLE,
     DEFAULT_CBUS_APP_LIGHTING,
     entityIdFields
 } = require('./constants');
@@ -67,6 +79,14 @@ const { PANEL_CONDITIONS } = require('./securityPanelConditions');
 const { resolveSetting } = require('./config/schema');
 
 const NATIVE_AIRCON_MODEL = 'C-Bus Air Conditioning Thermostat';
+const NATIVE_AIRCON_WARD_MODEL = 'C-Bus Air Conditioning Zone Group';
+
+// type_overrides that turn an Enable Control group into a variable entity.
+const VARIABLE_TYPES = new Set(['number', 'select']);
+
+// Sent to a discovery topic before its entities move between per-entity and
+// device-based configs, so Home Assistant keeps them instead of removing them.
+const DISCOVERY_MIGRATE_PAYLOAD = JSON.stringify({ migrate_discovery: true });
 
 /**
  * Companion binary_sensors published on the native aircon thermostat's device,
@@ -175,6 +195,9 @@ const NATIVE_AIRCON_SENSORS = [
         topicSuffix: MQTT_TOPIC_SUFFIX_HVAC_COMFORT_LEVEL
     },
     {
+        // Read-only even with cbus_aircon_control_enabled: the humidity write
+        // verb is unconfirmed, so it stays on MQTT rather than becoming a
+        // select (see DOCS, Native Air Conditioning).
         suffix: 'humidity_mode',
         name: 'Humidity mode',
         topicSuffix: MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_MODE
@@ -231,7 +254,17 @@ const SECURITY_ZONE_ENTITY = {
             json_attributes_topic: `${readBase}/${MQTT_TOPIC_SUFFIX_ATTRIBUTES}`,
             ...(deviceClass && { device_class: deviceClass })
         };
-    }
+    },
+    // The Isolated switch reads the `isolated` flag securityEventHandler adds
+    // to the attributes payload; it is absent, not false, when not isolated.
+    isolateFields: (networkId, appId, zone) => ({
+        state_topic: `${MQTT_TOPIC_PREFIX_READ}/${networkId}/${appId}/${zone}/${MQTT_TOPIC_SUFFIX_ATTRIBUTES}`,
+        value_template: `{{ '${MQTT_STATE_ON}' if value_json.isolated | default(false) else '${MQTT_STATE_OFF}' }}`,
+        command_topic: `${MQTT_TOPIC_PREFIX_WRITE}/${networkId}/${appId}/${zone}/${MQTT_TOPIC_SUFFIX_SECURITY_ISOLATE}`,
+        payload_on: MQTT_STATE_ON,
+        payload_off: MQTT_STATE_OFF,
+        icon: 'mdi:shield-off-outline'
+    })
 };
 
 /**
@@ -290,6 +323,9 @@ class _HaDiscoveryPublishers {
     /** @type {Map<string, string>} */
     areas;
 
+    /** @type {Map<string, Object<string, string>>} */
+    valueMaps;
+
     /** @type {Set<string>} */
     _publishedTopics;
 
@@ -302,6 +338,9 @@ class _HaDiscoveryPublishers {
     /** @type {Set<string>} */
     _nativeAirconSeen;
 
+    /** @type {Set<string>} */
+    _nativeAirconWardSeen;
+
     /** @type {Set<string>} */
     _temperatureSeen;
 
@@ -328,13 +367,40 @@ class _HaDiscoveryPublishers {
     /** @type {Set<string>|undefined} */
     _clockSeen;
 
+    // Initialised on first use, like _clockSeen.
+    /** @type {Set<string>|undefined} */
+    _clockMasterSeen;
+
     /** @type {Set<string>} */
     _currentRunTopics;
 
+    /**
+     * Device configs being collected by a tree run with
+     * ha_discovery_device_mode on, by device id (null otherwise).
+     * @type {Map<string, { id: string, name: string, model: string, area: string|undefined, modelId?: string, swVersion?: string, serialNumber?: string, areas: Set<string>, components: Object<string, Object>, legacyTopics: string[] }> | null}
+     */
+    _deviceBundles;
+
+    /**
+     * Per-run "<appId>/<groupId>" -> driving unit, for the `unit` device mode
+     * (null otherwise).
+     * @type {Map<string, import('./haDiscoveryTree').UnitInfo> | null}
+     */
+    _groupUnits;
+
+    /** @type {Map<string, Map<string, string>>} */
+    _deviceComponents;
+
+    /** @type {Set<string>} */
+    _migratedLegacyTopics;
+
+    /** @type {Map<string, boolean>|null} */
+    _previousTopics;
+
     /**
      * Per-run label data snapshot installed by _publishDiscoveryFromTree for
      * the duration of a synchronous discovery run (null outside a run).
-     * @type {{ labelMap: Map<string, string>, typeOverrides: Map<string, string>, entityIds: Map<string, string>, exclude: Set<string>, areas: Map<string, string> } | null}
+     * @type {{ labelMap: Map<string, string>, typeOverrides: Map<string, string>, entityIds: Map<string, string>, exclude: Set<string>, areas: Map<string, string>, valueMaps: Map<string, Object<string, string>> } | null}
      */
     _labelSnapshot;
 
@@ -665,7 +731,12 @@ class _HaDiscoveryPublishers {
                 this._treeDiscoveredGroups.add(`${networkId}/${appAddress}/${groupId}`);
             }
 
-            if (discoveryType === 'hvac') {
+            const override = this._labelSnapshot.typeOverrides.get(`${networkId}/${appAddress}/${groupId}`);
+            if (VARIABLE_TYPES.has(override)) {
+                this._createVariableDiscovery(networkId, appAddress, groupId, group.Label, override);
+                const appConfig = getDiscoveryConfig(discoveryType);
+                if (appConfig) this._clearStaleComponentConfig(networkId, appAddress, groupId, appConfig.component);
+            } else if (discoveryType === 'hvac') {
                 this._createHvacDiscovery(networkId, appAddress, groupId, group.Label);
             } else {
                 this._createDiscovery(networkId, appAddress, groupId, group.Label, getDiscoveryConfig(discoveryType));
@@ -673,6 +744,86 @@ class _HaDiscoveryPublishers {
         });
     }
 
+    /**
+     * Publish an Enable Control group chosen by a `number` or `select` type
+     * override as an HA number (the raw level, 0-255) or select (the names in
+     * the group's value_maps entry). Both read cbus/read/.../value, which the
+     * event publisher fills with the raw level from events and getall, and
+     * write cbus/write/.../value, which the router ramps the group to.
+     *
+     * A select without a usable value map falls back to a number, so the
+     * group stays controllable while the map is fixed.
+     * @private
+     */
+    _createVariableDiscovery(networkId, appId, groupId, groupLabel, type) {
+        const { exclude, valueMaps } = this._labelSnapshot;
+        const labelKey = `${networkId}/${appId}/${groupId}`;
+
+        if (exclude.has(labelKey)) {
+            this.logger.debug(`Excluding group ${labelKey} from discovery`);
+            return;
+        }
+
+        const options = type === 'select' ? valueMapOptions(valueMaps && valueMaps.get(labelKey)) : [];
+        if (type === 'select' && options.length === 0) {
+            this.logger.warn(`No value_maps entry with options for select ${labelKey}; publishing it as a number`);
+        }
+        const component = options.length > 0 ? HA_COMPONENT_SELECT : HA_COMPONENT_NUMBER;
+
+        const { finalLabel, uniqueId, entityId, area, discoveryTopic } = this._resolveEntityIdentity({
+            networkId, appId, groupId, labelKey,
+            component,
+            fallbackLabel: `CBus Variable ${networkId}/${appId}/${groupId}`,
+            groupLabel,
+            labels: this._labelSnapshot
+        });
+        const { readBase, writeBase } = this._topicBases(networkId, appId, groupId);
+
+        let fields;
+        if (component === HA_COMPONENT_SELECT) {
+            // Topics carry the level; HA shows and sends the option names.
+            const toName = Object.fromEntries(options.map(o => [String(o.level), o.name]));
+            const toLevel = Object.fromEntries(options.map(o => [o.name, o.level]));
+            fields = {
+                options: options.map(o => o.name),
+                value_template: `{{ ${JSON.stringify(toName)}.get(value, value) }}`,
+                command_template: `{{ ${JSON.stringify(toLevel)}[value] }}`
+            };
+        } else {
+            fields = { min: 0, max: 255, step: 1, mode: 'box' };
+        }
+
+        this._finishTreeEntity({
+            discoveryTopic, uniqueId, entityId,
+            component,
+            fields: {
+                state_topic: `${readBase}/${MQTT_CMD_TYPE_VALUE}`,
+                command_topic: `${writeBase}/${MQTT_CMD_TYPE_VALUE}`,
+                ...fields
+            },
+            deviceIdentifiers: [uniqueId],
+            deviceName: finalLabel,
+            model: HA_MODEL_VARIABLE,
+            area
+        });
+        // Switching between number and select keeps the unique id.
+        this._clearStaleComponentConfig(networkId, appId, groupId,
+            component === HA_COMPONENT_SELECT ? HA_COMPONENT_NUMBER : HA_COMPONENT_SELECT);
+    }
+
+    /**
+     * Remove the retained config an earlier run published for a group under
+     * another component: its application's type (e.g. a switch) before a type
+     * override made it a variable entity, or the other variable type.
+     * @private
+     */
+    _clearStaleComponentConfig(networkId, appId, groupId, component) {
+        const uniqueId = `cgateweb_${networkId}_${appId}_${groupId}`;
+        const staleTopic = `${this.settings.ha_discovery_prefix}/${component}/${uniqueId}/${HA_DISCOVERY_SUFFIX}`;
+        this._publish(staleTopic, '', MQTT_RETAINED_STATE_OPTIONS);
+        this._publishedTopics.delete(staleTopic);
+    }
+
     /**
      * Shared skeleton for the event-driven `ensure*Discovery` entry points:
      * bail if discovery is off or this key was already handled, honour
@@ -802,13 +953,13 @@ class _HaDiscoveryPublishers {
     }
 
     /**
-     * unique_id for one half of the network clock. The discovery topic embeds
+     * unique_id for one of the network clock sensors. The discovery topic embeds
      * this, so both must come from here or a retraction would target a topic HA
      * never saw and orphan the entity.
      *
      * @param {string} networkId
      * @param {string} appId
-     * @param {string} variantId - 'date' or 'time'
+     * @param {string} variantId - 'date', 'time', or 'drift' for the clock master's sensor
      * @returns {string}
      * @private
      */
@@ -856,6 +1007,77 @@ class _HaDiscoveryPublishers {
         this.logger.info(`Network clock sensors published: ${networkId}/${appId}`);
     }
 
+    /**
+     * Event-driven discovery for the clock master's controls on the network
+     * device: a "Sync clock" button that sets the C-Bus clock from the host
+     * now, and a "Clock drift" sensor (network minus host time, seconds).
+     * Called by ClockMaster, so only published while the bridge is the time
+     * master. The button is the only thing that sets the clock.
+     *
+     * Drift can carry a unit and device_class where the date and time sensors
+     * cannot (see ensureClockDiscovery): it is a difference the bridge worked
+     * out against its own clock, not a reading it would have to place in a
+     * timezone.
+     *
+     * @param {string|number} network
+     * @param {string|number} appId - clock app id (223)
+     * @returns {boolean} true if the entities were published this call
+     */
+    ensureClockMasterDiscovery(network, appId) {
+        if (!this.settings.ha_discovery_enabled) return false;
+        if (network === null || network === undefined || appId === null || appId === undefined) return false;
+        if (!this._clockMasterSeen) this._clockMasterSeen = new Set();
+
+        const networkId = String(network);
+        const app = String(appId);
+        const syncId = `cgateweb_${networkId}_${app}_clock_sync`;
+        const driftId = this._clockUniqueId(networkId, app, MQTT_TOPIC_SUFFIX_CLOCK_DRIFT);
+        const syncTopic = `${this.settings.ha_discovery_prefix}/${HA_COMPONENT_BUTTON}/${syncId}/${HA_DISCOVERY_SUFFIX}`;
+        return this._ensureEventDrivenEntity({
+            key: `${networkId}/${app}/clock`,
+            seen: this._clockMasterSeen,
+            describe: `network clock master ${networkId}/${app}`,
+            retract: () => {
+                this._retractEventDrivenConfig(syncTopic);
+                this._retractEventDrivenConfig(this._clockTopic(driftId));
+            },
+            create: () => {
+                const device = {
+                    deviceIdentifiers: [`cgateweb_network_${networkId}`],
+                    deviceName: `C-Bus Network ${networkId}`,
+                    model: 'C-Bus Network Interface'
+                };
+                this._finishEventDrivenEntity({
+                    discoveryTopic: syncTopic,
+                    uniqueId: syncId,
+                    component: HA_COMPONENT_BUTTON,
+                    name: 'Sync clock',
+                    fields: {
+                        command_topic: `${MQTT_TOPIC_PREFIX_WRITE}/${networkId}/${app}/clock/sync`,
+                        entity_category: 'config',
+                        icon: 'mdi:clock-check-outline'
+                    },
+                    ...device
+                });
+                this._finishEventDrivenEntity({
+                    discoveryTopic: this._clockTopic(driftId),
+                    uniqueId: driftId,
+                    component: HA_COMPONENT_SENSOR,
+                    name: 'Clock drift',
+                    fields: {
+                        state_topic: `${MQTT_TOPIC_PREFIX_READ}/${networkId}/${app}/clock/${MQTT_TOPIC_SUFFIX_CLOCK_DRIFT}`,
+                        device_class: 'duration',
+                        state_class: 'measurement',
+                        unit_of_measurement: 's',
+                        entity_category: 'diagnostic'
+                    },
+                    ...device,
+                    logInfo: `Network clock master controls published: ${networkId}/${app}`
+                });
+            }
+        });
+    }
+
     /**
      * Event-driven discovery for C-Bus Temperature Broadcast (app 25) sensors.
      * Called whenever a temperature reading is published for a group; announces
@@ -921,7 +1143,8 @@ class _HaDiscoveryPublishers {
                 labelMap: this.labelMap,
                 typeOverrides: this.typeOverrides,
                 entityIds: this.entityIds,
-                areas: this.areas
+                areas: this.areas,
+                valueMaps: this.valueMaps
             };
         }
         // Tree processors finish via _finishTreeEntity, which records topics on
@@ -1044,11 +1267,203 @@ class _HaDiscoveryPublishers {
      * @private
      */
     _finishTreeEntity(spec) {
-        this._publishDiscoveryPayload(spec);
-        if (this._currentRunTopics) this._currentRunTopics.add(spec.discoveryTopic);
+        // Device-based discovery collects the entity for its device's config,
+        // published at the end of the run. Unlisted groups announced from bus
+        // traffic stay per-entity: they arrive outside any run.
+        if (this._deviceBundles && this._recordingTreeGroups !== false) {
+            this._bundleTreeEntity(spec);
+        } else {
+            this._publishDiscoveryPayload(spec);
+            if (this._currentRunTopics) this._currentRunTopics.add(spec.discoveryTopic);
+        }
         this.discoveryCount++;
     }
 
+    /**
+     * Add a tree entity to the device it belongs to under
+     * ha_discovery_device_mode, as a `cmps` component with the same unique_id
+     * and fields its per-entity config has. Its per-entity topic is kept so
+     * _publishDeviceBundles can migrate a config an earlier run left there.
+     *
+     * The component is named after the group, since the device is now shared;
+     * a secondary entity of the same group adds its own name.
+     *
+     * @param {Object} spec - Same shape as {@link _publishDiscoveryPayload}.
+     * @private
+     */
+    _bundleTreeEntity(spec) {
+        const target = this._treeEntityDevice(spec);
+        let bundle = this._deviceBundles.get(target.id);
+        if (!bundle) {
+            bundle = { ...target, areas: new Set(), components: {}, legacyTopics: [] };
+            this._deviceBundles.set(target.id, bundle);
+        }
+        if (spec.area) bundle.areas.add(spec.area);
+        bundle.components[`${spec.uniqueId}_${spec.component}`] = {
+            platform: spec.component,
+            name: spec.name ? `${spec.deviceName} ${spec.name}` : spec.deviceName,
+            unique_id: spec.uniqueId,
+            ...(spec.entityId && entityIdFields(spec.component, spec.entityId)),
+            ...spec.fields,
+            qos: 0
+        };
+        bundle.legacyTopics.push(spec.discoveryTopic);
+    }
+
+    /**
+     * The device a tree entity is grouped under. Every tree entity's own
+     * device identifier is its group's `cgateweb_{net}_{app}_{group}`, which
+     * gives the address. `unit` mode uses the unit that drives the group;
+     * `application` mode, and groups no unit drives, use the network and
+     * application, split by area so suggested areas still reach Home
+     * Assistant.
+     *
+     * @param {{ deviceIdentifiers: string[], area?: string }} spec
+     * @returns {{ id: string, name: string, model: string, area: string|undefined, modelId?: string, swVersion?: string, serialNumber?: string }}
+     * @private
+     */
+    _treeEntityDevice(spec) {
+        const [, networkId, appId, groupId] = /^cgateweb_(\d+)_(\d+)_(\d+)$/.exec(spec.deviceIdentifiers[0]) || [];
+        const unit = this._groupUnits && this._groupUnits.get(`${appId}/${groupId}`);
+        if (unit) {
+            return {
+                id: `cgateweb_${networkId}_unit_${unit.address}`,
+                name: `C-Bus ${unit.type || 'Unit'} ${networkId}/${unit.address}`,
+                model: unit.type || 'C-Bus Unit',
+                area: undefined,
+                modelId: unit.catalogNumber || undefined,
+                swVersion: unit.firmwareVersion || undefined,
+                serialNumber: unit.serialNumber || undefined
+            };
+        }
+        const areaSlug = spec.area ? spec.area.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') : '';
+        return {
+            id: `cgateweb_${networkId}_${appId}${areaSlug ? `_area_${areaSlug}` : ''}`,
+            name: `C-Bus ${networkId}/${appId}${spec.area ? ` ${spec.area}` : ''}`,
+            model: 'C-Bus Application',
+            area: spec.area || undefined
+        };
+    }
+
+    /**
+     * Publish the device configs collected during a tree run
+     * (ha_discovery_device_mode), one retained message per device.
+     *
+     * Each entity's old per-entity config is migrated the first time its
+     * device is published this session, in the order Home Assistant's
+     * migration needs: `{"migrate_discovery": true}` on the old topic, then
+     * the device config, then the old topic cleared. The entity keeps its
+     * unique_id, so its registry entry, history and customisations carry
+     * over. Only topics published this session or recorded before the last
+     * restart are migrated; without a record (first start, or
+     * ha_discovery_topics_file unset) every entity's topic is, and where no
+     * old config exists the marker and clear are ignored.
+     *
+     * A component that moved to another device since its device config was
+     * last published (its area changed, or the mode switched between
+     * `application` and `unit`) is still owned by the old config, and Home
+     * Assistant rejects the new one's copy as a duplicate unique_id. So the
+     * old device config is sent the migration marker before any device is
+     * published: the old config is then republished without the component,
+     * or, if nothing is left in it, cleared by the run's stale sweep, which
+     * Home Assistant treats as the end of the migration.
+     *
+     * Components published for a device earlier but missing now (excluded,
+     * or moved to another component) are sent as `{ platform }` alone, which
+     * removes them. Ones that moved to another device are not.
+     *
+     * @private
+     */
+    _publishDeviceBundles() {
+        const prefix = this.settings.ha_discovery_prefix;
+        const deviceTopic = (deviceId) => `${prefix}/${HA_DEVICE_DISCOVERY_TOPIC}/${deviceId}/${HA_DISCOVERY_SUFFIX}`;
+        /** @type {Map<string, string>} component key -> device config topic it is published in this run */
+        const owners = new Map();
+        for (const bundle of this._deviceBundles.values()) {
+            for (const key of Object.keys(bundle.components)) owners.set(key, deviceTopic(bundle.id));
+        }
+        for (const [topic, previous] of [...this._deviceComponents]) {
+            if (![...previous.keys()].some(key => owners.has(key) && owners.get(key) !== topic)) continue;
+            // A config recorded before the last restart is not in the session
+            // set yet; adding it lets the stale sweep clear it if it is gone.
+            if (this._previousTopics && this._previousTopics.has(topic)) this._publishedTopics.add(topic);
+            this._publish(topic, DISCOVERY_MIGRATE_PAYLOAD, MQTT_RETAINED_STATE_OPTIONS);
+            this.logger.info(`Migrating entities of ${topic} to another device`);
+        }
+
+        for (const bundle of this._deviceBundles.values()) {
+            const topic = deviceTopic(bundle.id);
+            const legacy = bundle.legacyTopics.filter(legacyTopic => !this._migratedLegacyTopics.has(legacyTopic) && (
+                !this._previousTopics || this._previousTopics.has(legacyTopic) || this._publishedTopics.has(legacyTopic)
+            ));
+            for (const legacyTopic of legacy) {
+                this._publish(legacyTopic, DISCOVERY_MIGRATE_PAYLOAD, MQTT_RETAINED_STATE_OPTIONS);
+            }
+
+            const components = { ...bundle.components };
+            const previous = this._deviceComponents.get(topic);
+            if (previous) {
+                for (const [key, platform] of previous) {
+                    if (!components[key] && !owners.has(key)) components[key] = { platform };
+                }
+            }
+            // A unit's groups can sit in several areas; only a single one is
+            // suggested for the whole unit.
+            const area = bundle.area || (bundle.areas.size === 1 ? [...bundle.areas][0] : undefined);
+            this._publish(topic, JSON.stringify(buildDeviceDiscoveryPayload({
+                device: buildDeviceBlock({
+                    identifiers: [bundle.id],
+                    name: bundle.name,
+                    model: bundle.model,
+                    area,
+                    modelId: bundle.modelId,
+                    swVersion: bundle.swVersion,
+                    serialNumber: bundle.serialNumber
+                }),
+                components
+            })), MQTT_RETAINED_STATE_OPTIONS);
+            this._deviceComponents.set(topic, new Map(
+                Object.entries(bundle.components).map(([key, component]) => [key, component.platform])
+            ));
+
+            for (const legacyTopic of legacy) {
+                this._publish(legacyTopic, '', MQTT_RETAINED_STATE_OPTIONS);
+                this._publishedTopics.delete(legacyTopic);
+                this._migratedLegacyTopics.add(legacyTopic);
+            }
+            this._currentRunTopics.add(topic);
+        }
+    }
+
+    /**
+     * With ha_discovery_device_mode off, hand this network's device configs
+     * published earlier in the session, or recorded before the last restart,
+     * back to per-entity configs: mark each for migration before the run
+     * republishes its entities one by one. The run's stale-topic sweep then
+     * clears them, which Home Assistant treats as the end of the migration
+     * rather than a removal.
+     *
+     * @param {string} networkId
+     * @private
+     */
+    _rollBackDeviceConfigs(networkId) {
+        const devicePrefix = `${this.settings.ha_discovery_prefix}/${HA_DEVICE_DISCOVERY_TOPIC}/cgateweb_${networkId}_`;
+        if (this._previousTopics) {
+            for (const topic of this._previousTopics.keys()) {
+                if (topic.startsWith(devicePrefix)) this._publishedTopics.add(topic);
+            }
+        }
+        for (const topic of this._publishedTopics) {
+            if (!topic.startsWith(devicePrefix)) continue;
+            this._publish(topic, DISCOVERY_MIGRATE_PAYLOAD, MQTT_RETAINED_STATE_OPTIONS);
+            this._deviceComponents.delete(topic);
+            this.logger.info(`Migrating ${topic} back to per-entity discovery`);
+        }
+        for (const legacyTopic of [...this._migratedLegacyTopics]) {
+            if (legacyTopic.includes(`/cgateweb_${networkId}_`)) this._migratedLegacyTopics.delete(legacyTopic);
+        }
+    }
+
     /**
      * Finish an event-driven discovery entity: publish via
      * {@link _publishDiscoveryPayload}, then register on the session-wide and
@@ -1200,6 +1615,15 @@ class _HaDiscoveryPublishers {
         });
     }
 
+    /**
+     * Discovery topic for an event-driven entity whose unique id is not the
+     * one _resolveEntityIdentity derives (secondary entities on a device).
+     * @private
+     */
+    _eventDrivenConfigTopic(component, uniqueId) {
+        return `${this.settings.ha_discovery_prefix}/${component}/${uniqueId}/${HA_DISCOVERY_SUFFIX}`;
+    }
+
     /**
      * Event-driven discovery for C-Bus Security (app 208) zones. Called
      * whenever a zone event or status report mentions a zone; announces the
@@ -1232,6 +1656,9 @@ class _HaDiscoveryPublishers {
                 this._retractEventDrivenConfig(
                     `${this.settings.ha_discovery_prefix}/${HA_COMPONENT_BINARY_SENSOR}/cgateweb_${network}_${appId}_${zone}_loop_fault/${HA_DISCOVERY_SUFFIX}`
                 );
+                this._retractEventDrivenConfig(
+                    this._eventDrivenConfigTopic(HA_COMPONENT_SWITCH, `cgateweb_${network}_${appId}_${zone}_isolated`)
+                );
             },
             create: () => this._createSecurityZoneDiscovery(String(network), String(appId), String(zone))
         });
@@ -1244,6 +1671,10 @@ class _HaDiscoveryPublishers {
      * sealed); the raw 2-bit state name rides the JSON attributes topic.
      * The zone's name and device class come from its application-1 label.
      *
+     * With control, bypass and cbus_security_isolate_keys all set, the zone
+     * also gets an Isolated switch; otherwise that switch's config is
+     * retracted, so it never offers an isolate the router would refuse.
+     *
      * @private
      */
     _createSecurityZoneDiscovery(networkId, appId, zone) {
@@ -1287,6 +1718,26 @@ class _HaDiscoveryPublishers {
             model: SECURITY_ZONE_ENTITY.model,
             area
         });
+
+        const isolateUniqueId = `${uniqueId}_isolated`;
+        const isolateTopic = this._eventDrivenConfigTopic(HA_COMPONENT_SWITCH, isolateUniqueId);
+        if (!this.settings.cbus_security_control_enabled || !this.settings.cbus_security_bypass_enabled
+            || !this.settings.cbus_security_isolate_keys) {
+            this._retractEventDrivenConfig(isolateTopic);
+            return;
+        }
+        this._finishEventDrivenEntity({
+            discoveryTopic: isolateTopic,
+            uniqueId: isolateUniqueId,
+            entityId: undefined,
+            component: HA_COMPONENT_SWITCH,
+            name: 'Isolated',
+            fields: SECURITY_ZONE_ENTITY.isolateFields(networkId, appId, zone),
+            deviceIdentifiers: [uniqueId],
+            deviceName: finalLabel,
+            model: SECURITY_ZONE_ENTITY.model,
+            area
+        });
     }
 
     /**
@@ -1621,7 +2072,8 @@ class _HaDiscoveryPublishers {
                 mode_state_topic: `${readBase}/${MQTT_TOPIC_SUFFIX_HVAC_MODE}`,
                 action_topic: `${readBase}/${MQTT_TOPIC_SUFFIX_HVAC_ACTION}`,
                 // Humidity state (spec-derived humidity verbs; only populated on
-                // installs with humidity plant). Read-only — no humidity writes.
+                // installs with humidity plant). Read-only — the humidity write
+                // verb is unconfirmed, so its topic is not offered here.
                 // Note the key is target_humidity_state_topic: the MQTT climate
                 // schema has no "humidity_state_topic" — that key is silently dead.
                 current_humidity_topic: `${readBase}/${MQTT_TOPIC_SUFFIX_HVAC_CURRENT_HUMIDITY}`,
@@ -1740,6 +2192,60 @@ class _HaDiscoveryPublishers {
         }
     }
 
+    /**
+     * Event-driven discovery for a native Air Conditioning zone group (ward):
+     * an on/off switch driving AIRCON SET_WARD_ON / SET_WARD_OFF, announced
+     * the first time any aircon traffic names the ward. A ward has no
+     * read-only form worth an entity, so the switch is published only with
+     * cbus_aircon_control_enabled and retracted otherwise.
+     *
+     * @param {string|number} network
+     * @param {string|number} appId - aircon app id (e.g. 172)
+     * @param {string|number} ward  - zone group number
+     * @returns {boolean} true if the switch was published this call
+     */
+    ensureNativeAirconWardDiscovery(network, appId, ward) {
+        if (!this.settings.ha_discovery_enabled) return false;
+        if (network === null || network === undefined || appId === null || appId === undefined
+            || ward === null || ward === undefined) return false;
+
+        const key = `${network}/${appId}/ward/${ward}`;
+        const uniqueId = `cgateweb_${network}_${appId}_ward_${ward}`;
+        const discoveryTopic = this._eventDrivenConfigTopic(HA_COMPONENT_SWITCH, uniqueId);
+        if (!this.settings.cbus_aircon_control_enabled) {
+            if (this._nativeAirconWardSeen.has(key)) return false;
+            this._nativeAirconWardSeen.add(key);
+            this._retractEventDrivenConfig(discoveryTopic);
+            return false;
+        }
+        return this._ensureEventDrivenEntity({
+            key,
+            seen: this._nativeAirconWardSeen,
+            describe: `HVAC zone group ${key}`,
+            retract: () => this._retractEventDrivenConfig(discoveryTopic),
+            create: () => {
+                const { readBase, writeBase } = this._topicBases(String(network), String(appId), String(ward));
+                const deviceName = `CBus HVAC Zone Group ${network}/${appId}/${ward}`;
+                this._finishEventDrivenEntity({
+                    discoveryTopic,
+                    uniqueId,
+                    component: HA_COMPONENT_SWITCH,
+                    name: 'Zone group',
+                    fields: {
+                        state_topic: `${readBase}/${MQTT_TOPIC_SUFFIX_HVAC_WARD}`,
+                        command_topic: `${writeBase}/${MQTT_CMD_TYPE_HVAC_WARD}`,
+                        payload_on: MQTT_STATE_ON,
+                        payload_off: MQTT_STATE_OFF
+                    },
+                    deviceIdentifiers: [uniqueId],
+                    deviceName,
+                    model: NATIVE_AIRCON_WARD_MODEL,
+                    logInfo: `Native HVAC zone group switch published: ${key}`
+                });
+            }
+        });
+    }
+
     /**
      * Publish a Home Assistant climate entity discovery payload for an HVAC group.
      *
@@ -1855,6 +2361,9 @@ class _HaDiscoveryPublishers {
                 state_topic: stateTopic,
                 ...(!config.omitCommandTopic && { command_topic: `${writeBase}/${MQTT_CMD_TYPE_SWITCH}` }),
                 ...config.payloads,
+                ...(config.isTrigger && this.settings.ha_discovery_trigger_action_events === true && {
+                    event_types: triggerEventTypes(this._labelSnapshot.valueMaps && this._labelSnapshot.valueMaps.get(labelKey))
+                }),
                 ...(config.positionSupport && {
                     position_topic: `${readBase}/${MQTT_TOPIC_SUFFIX_POSITION}`,
                     set_position_topic: `${writeBase}/${MQTT_CMD_TYPE_POSITION}`,
@@ -29,6 +29,36 @@ function findNetworkData(networkId, treeData) {
     return null;
 }
 
+// The <Interface> element wrapping a network in TREEXML, found along the same
+// paths findNetworkData takes through it. Null when the tree has no wrapper.
+function findInterfaceElement(idStr, treeData) {
+    const candidates = [treeData.Network && treeData.Network.Interface, treeData.Interface];
+    for (const key of Object.keys(treeData)) {
+        const child = treeData[key];
+        if (child && typeof child === 'object') candidates.push(child.Interface);
+    }
+    return candidates.find(iface => iface && iface.Network && String(iface.Network.NetworkNumber) === idStr) || null;
+}
+
+/**
+ * The interface C-Gate reaches a network through, from the TREEXML
+ * <Interface> element: its type (cni for a networked interface, pci or
+ * serial for a serial/USB PC Interface) and address (ip:port or the serial
+ * port). Null when the tree does not say.
+ *
+ * @param {string|number} networkId
+ * @param {any} treeData
+ * @returns {{type: string, address: string}|null}
+ */
+function findNetworkInterface(networkId, treeData) {
+    if (!treeData) return null;
+    const iface = findInterfaceElement(String(networkId), treeData);
+    if (!iface) return null;
+    const type = unitText(iface, ['InterfaceType']);
+    const address = unitText(iface, ['InterfaceAddress']);
+    return type || address ? { type, address } : null;
+}
+
 // C-Bus application 255 (0xFF) is the Network Management application that every
 // unit participates in. During startup sync C-Gate returns the network
 // containing only its interface/management unit (e.g. PC_CNIED at address 4,
@@ -383,6 +413,149 @@ function collectUnitTypeData(networkData, targetApps, opts = {}) {
     return { index, unknownTypes: [...unknownTypes] };
 }
 
+// Which output category wins when several units drive one group: the load
+// (dimmer, relay) over a sender (key input), so a group sits on the unit it
+// switches. Unrecognised types rank between the two.
+const UNIT_CATEGORY_RANK = { dimmer: 0, relay: 0, input: 2, management: 3 };
+
+function unitCategoryRank(type) {
+    const category = categoriseUnitType(type);
+    return category ? UNIT_CATEGORY_RANK[category] : 1;
+}
+
+// First non-empty text value among an element's candidate child names. C-Gate
+// versions differ in which descriptive elements a <Unit> carries, and all of
+// them are optional; a value xml2js turned into an object (attributes) is
+// skipped rather than stringified.
+function unitText(unit, names) {
+    for (const name of names) {
+        const value = unit[name];
+        if (typeof value === 'string' || typeof value === 'number') {
+            const text = String(value).trim();
+            if (text) return text;
+        }
+    }
+    return '';
+}
+
+/**
+ * @typedef {Object} UnitInfo
+ * @property {string} address
+ * @property {string} type - TREEXML unit type (DIMDN8, RELDN12, KEYB4...), '' when absent
+ * @property {string} name - Unit (part) name from the project, '' when absent
+ * @property {string} catalogNumber
+ * @property {string} firmwareVersion
+ * @property {string} serialNumber
+ * @property {string} state - C-Gate's unit state (ok, new...), '' when absent
+ */
+
+/**
+ * The descriptive fields of one TREEXML unit. Null for a unit with no
+ * address.
+ * @param {any} unit
+ * @returns {UnitInfo|null}
+ */
+function readUnitInfo(unit) {
+    if (!unit) return null;
+    const address = unitText(unit, ['UnitAddress', 'Address']);
+    if (!address) return null;
+    return {
+        address,
+        type: unitText(unit, ['Type']),
+        name: unitText(unit, ['PartName', 'UnitName', 'Tag']),
+        catalogNumber: unitText(unit, ['CatalogNumber', 'CatalogueNumber']),
+        firmwareVersion: unitText(unit, ['FirmwareVersion', 'Firmware']),
+        serialNumber: unitText(unit, ['SerialNumber', 'Serial']),
+        state: unitText(unit, ['State'])
+    };
+}
+
+// Non-management application ids a unit advertises, in either TREEXML shape.
+function unitApplicationIds(unit) {
+    if (!unit.Application) return [];
+    if (typeof unit.Application === 'object') {
+        const apps = Array.isArray(unit.Application) ? unit.Application : [unit.Application];
+        return apps
+            .filter(app => app && app.ApplicationAddress !== null && app.ApplicationAddress !== undefined)
+            .map(app => String(app.ApplicationAddress))
+            .filter(appId => appId !== CBUS_NETWORK_MANAGEMENT_APP);
+    }
+    return String(unit.Application).split(',').map(s => s.trim())
+        .filter(appId => appId && appId !== CBUS_NETWORK_MANAGEMENT_APP);
+}
+
+/**
+ * Every addressed unit on a network with its descriptive fields, category and
+ * the groups it drives on each non-management application, sorted by address.
+ * Backs the web UI's unit inventory; discovery itself only needs the
+ * narrower collectGroupUnits.
+ *
+ * @param {any} networkData
+ * @returns {Array<UnitInfo & { category: string|null, applications: string[], groups: Array<{ app: string, group: string }> }>}
+ */
+function collectUnitInventory(networkData) {
+    if (!networkData) return [];
+    let units = networkData.Unit || [];
+    if (!Array.isArray(units)) units = [units];
+
+    const inventory = [];
+    units.forEach(unit => {
+        const info = readUnitInfo(unit);
+        if (!info) return;
+        const applications = unitApplicationIds(unit);
+        const groupsByApp = new Map();
+        collectUnitGroups(unit, groupsByApp, applications);
+        const groups = [];
+        for (const [app, groupMap] of groupsByApp) {
+            for (const group of groupMap.keys()) groups.push({ app, group });
+        }
+        groups.sort((a, b) => compareTreeIds(a.app, b.app) || compareTreeIds(a.group, b.group));
+        inventory.push({ ...info, category: categoriseUnitType(info.type), applications, groups });
+    });
+    return inventory.sort((a, b) => compareTreeIds(a.address, b.address));
+}
+
+/**
+ * The unit each app/group on a target app lives on, for device-based
+ * discovery's `unit` mode: "<appId>/<groupId>" -> the unit's UnitInfo. A
+ * group driven by several units goes to the best-ranked one (a load before an
+ * input), then the lowest unit address. Units with no address are skipped.
+ *
+ * @param {any} networkData
+ * @param {string[]} targetApps
+ * @returns {Map<string, UnitInfo>}
+ */
+function collectGroupUnits(networkData, targetApps) {
+    /** @type {Map<string, UnitInfo>} */
+    const owners = new Map();
+    if (!networkData) return owners;
+    let units = networkData.Unit || [];
+    if (!Array.isArray(units)) units = [units];
+
+    const better = (candidate, current) => {
+        const rankDiff = unitCategoryRank(candidate.type) - unitCategoryRank(current.type);
+        if (rankDiff !== 0) return rankDiff < 0;
+        return compareTreeIds(candidate.address, current.address) < 0;
+    };
+
+    units.forEach(unit => {
+        if (!unit || !unit.Application) return;
+        const candidate = readUnitInfo(unit);
+        if (!candidate) return;
+
+        const groupsByApp = new Map();
+        collectUnitGroups(unit, groupsByApp, targetApps);
+        for (const [appId, groupMap] of groupsByApp) {
+            for (const groupId of groupMap.keys()) {
+                const key = `${appId}/${groupId}`;
+                const current = owners.get(key);
+                if (!current || better(candidate, current)) owners.set(key, candidate);
+            }
+        }
+    });
+    return owners;
+}
+
 // Thin wrapper kept for existing callers/tests that only need the per-group
 // index. Prefer collectUnitTypeData directly when both aggregates are needed
 // in the same discovery pass (see src/haDiscovery.js), so the unit array is
@@ -398,6 +571,7 @@ function collectUnitTypesByGroup(networkData, targetApps) {
 
 module.exports = {
     findNetworkData,
+    findNetworkInterface,
     collectUnitGroups,
     networkHasDeviceData,
     networkHasUnsyncedUnits,
@@ -406,5 +580,7 @@ module.exports = {
     unitHasDeviceData,
     unitHasUnsyncedGroups,
     collectUnitTypeData,
-    collectUnitTypesByGroup
+    collectUnitTypesByGroup,
+    collectGroupUnits,
+    collectUnitInventory
 };
@@ -60,6 +60,12 @@ class _HaDiscoveryTreeSession {
     /** @type {Set<string>} */
     _parsingNetworks;
 
+    /** @type {Map<string, number>} */
+    _treeRequestedAt;
+
+    /** @type {Map<string, { durationMs: number, completedAt: number }>} */
+    treeDiscoveryDurations;
+
     /** @type {Map<string, { status: string | null, configPublished: boolean }>} */
     _networkDiscoveryEntities;
 
@@ -128,6 +134,7 @@ class _HaDiscoveryTreeSession {
         // rejects a bare network number ("TREEXML 254" -> 401 Bad object or
         // device ID); the qualified form is what every other cgateweb command
         // already uses and works on 3.3.2 too (#23).
+        this._treeRequestedAt.set(normalizedNetwork, Date.now());
         this._sendCommand(`${CGATE_CMD_TREEXML} //${this.settings.cbusname}/${normalizedNetwork}${NEWLINE}`);
     }
 
@@ -587,6 +594,15 @@ class _HaDiscoveryTreeSession {
                     // Generate HA Discovery messages
                     this._publishDiscoveryFromTree(networkForTree, result);
 
+                    // Request-to-published time of the attempt that succeeded;
+                    // earlier failed attempts are not included.
+                    const requestedAt = this._treeRequestedAt.get(networkForTree);
+                    if (requestedAt !== undefined) {
+                        const completedAt = Date.now();
+                        this.treeDiscoveryDurations.set(networkForTree, { durationMs: completedAt - requestedAt, completedAt });
+                        this._treeRequestedAt.delete(networkForTree);
+                    }
+
                     this._setDiscoveryStatus(networkForTree, /** @type {'ok'} */ (DISCOVERY_STATE_OK));
 
                     // A tree can carry real device data while OTHER units still
@@ -618,6 +634,13 @@ class _HaDiscoveryTreeSession {
                     } else {
                         this._clearTreeResyncState(networkForTree);
                     }
+
+                    // With no re-fetch pending the tree has settled, so what
+                    // this run published is the whole project: compare it
+                    // with the topics recorded before the last restart.
+                    if (!this._treeResyncState.has(networkForTree)) {
+                        this._settlePreviousTopics(networkForTree);
+                    }
                 }
             } finally {
                 this._parsingNetworks.delete(networkForTree);
@@ -0,0 +1,45 @@
+// @ts-check
+const { supervisorJson } = require('./supervisorHttp');
+
+/**
+ * Resolve the location used for sunrise/sunset: the latitude/longitude
+ * settings when both are set, otherwise (in the add-on) the home location
+ * configured in Home Assistant, read once through the Supervisor's Core API
+ * proxy. The add-on already has homeassistant_api access for notifications,
+ * so this needs no extra permission and no add-on option.
+ *
+ * @param {Object} options
+ * @param {Object} options.settings - Bridge settings (latitude, longitude)
+ * @param {string} [options.token] - SUPERVISOR_TOKEN; without it only settings are used
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @param {typeof import('http')} [options.httpModule] - http implementation override (testing)
+ * @returns {Promise<{latitude: number, longitude: number}|null>} null when no location is known
+ */
+async function resolveLocation({ settings, token, timeoutMs, httpModule }) {
+    const fromSettings = _toLocation(settings.latitude, settings.longitude);
+    if (fromSettings || !token) return fromSettings;
+
+    const config = await supervisorJson({
+        url: 'http://supervisor/core/api/config',
+        token,
+        timeoutMs,
+        httpModule
+    });
+    return config ? _toLocation(config.latitude, config.longitude) : null;
+}
+
+/**
+ * @param {*} latitude
+ * @param {*} longitude
+ * @returns {{latitude: number, longitude: number}|null}
+ * @private
+ */
+function _toLocation(latitude, longitude) {
+    if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) return null;
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { latitude: lat, longitude: lon };
+}
+
+module.exports = { resolveLocation };
@@ -38,6 +38,7 @@ class LabelLoader extends EventEmitter {
         this._entityIds = new Map();
         this._exclude = new Set();
         this._areas = new Map();
+        this._valueMaps = new Map();
         this._watcher = null;
         this._debounceTimer = null;
         this._lastSaveTime = 0;
@@ -84,6 +85,7 @@ class LabelLoader extends EventEmitter {
             this._typeOverrides = sectionToMap(data.type_overrides);
             this._entityIds = sectionToMap(data.entity_ids);
             this._areas = sectionToMap(data.areas);
+            this._valueMaps = sectionToMap(data.value_maps);
             this._exclude = new Set(Array.isArray(data.exclude) ? data.exclude : []);
 
             const extras = [];
@@ -91,6 +93,7 @@ class LabelLoader extends EventEmitter {
             if (this._entityIds.size > 0) extras.push(`${this._entityIds.size} entity IDs`);
             if (this._exclude.size > 0) extras.push(`${this._exclude.size} excluded`);
             if (this._areas.size > 0) extras.push(`${this._areas.size} areas`);
+            if (this._valueMaps.size > 0) extras.push(`${this._valueMaps.size} value maps`);
             const extrasStr = extras.length > 0 ? `, ${extras.join(', ')}` : '';
             this.logger.info(`Loaded ${this._labels.size} labels from ${this.filePath}${extrasStr} (source: ${data.source || 'unknown'})`);
             return this._labels;
@@ -141,6 +144,9 @@ class LabelLoader extends EventEmitter {
         if (!fileData.areas && this._areas.size > 0) {
             fileData.areas = Object.fromEntries(this._areas);
         }
+        if (!fileData.value_maps && this._valueMaps.size > 0) {
+            fileData.value_maps = Object.fromEntries(this._valueMaps);
+        }
 
         const dir = path.dirname(this.filePath);
         if (!fs.existsSync(dir)) {
@@ -165,6 +171,9 @@ class LabelLoader extends EventEmitter {
         if (fileData.areas) {
             this._areas = new Map(Object.entries(fileData.areas));
         }
+        if (fileData.value_maps) {
+            this._valueMaps = sectionToMap(fileData.value_maps);
+        }
 
         this.logger.info(`Saved ${this._labels.size} labels to ${this.filePath}`);
 
@@ -240,7 +249,7 @@ class LabelLoader extends EventEmitter {
     }
 
     /**
-     * @returns {Map<string, string>} Type overrides (address -> "cover"|"switch"|"light"|"binary_sensor")
+     * @returns {Map<string, string>} Type overrides (address -> "cover"|"switch"|"light"|"binary_sensor"|"number"|"select")
      */
     getTypeOverrides() {
         return this._typeOverrides;
@@ -267,6 +276,14 @@ class LabelLoader extends EventEmitter {
         return this._areas;
     }
 
+    /**
+     * @returns {Map<string, Object<string, string>>} Value maps (address -> { "level": "option name" }
+     *   for groups discovered as select entities)
+     */
+    getValueMaps() {
+        return this._valueMaps;
+    }
+
     /**
      * @returns {Object} All label data as a single object for passing to HaDiscovery
      */
@@ -276,7 +293,8 @@ class LabelLoader extends EventEmitter {
             typeOverrides: this._typeOverrides,
             entityIds: this._entityIds,
             exclude: this._exclude,
-            areas: this._areas
+            areas: this._areas,
+            valueMaps: this._valueMaps
         };
     }
 
@@ -304,6 +322,9 @@ class LabelLoader extends EventEmitter {
         if (this._areas.size > 0) {
             data.areas = Object.fromEntries(this._areas);
         }
+        if (this._valueMaps.size > 0) {
+            data.value_maps = Object.fromEntries(this._valueMaps);
+        }
         return data;
     }
 
@@ -313,6 +334,7 @@ class LabelLoader extends EventEmitter {
         this._entityIds = new Map();
         this._exclude = new Set();
         this._areas = new Map();
+        this._valueMaps = new Map();
     }
 
     _onFileChanged() {
@@ -23,12 +23,19 @@ const {
     MQTT_CMD_TYPE_HVAC_SETPOINT,
     MQTT_CMD_TYPE_HVAC_MODE,
     MQTT_CMD_TYPE_HVAC_FAN_MODE,
+    MQTT_CMD_TYPE_HVAC_HUMIDITY,
+    MQTT_CMD_TYPE_HVAC_HUMIDITY_MODE,
+    MQTT_CMD_TYPE_HVAC_WARD,
     MQTT_CMD_TYPE_TEMPERATURE,
     MQTT_CMD_TYPE_PLAY,
     MQTT_CMD_TYPE_RECORD,
+    MQTT_CMD_TYPE_VALUE,
     MQTT_TOPIC_SUFFIX_HVAC_SETPOINT,
     MQTT_TOPIC_SUFFIX_HVAC_MODE,
     MQTT_TOPIC_SUFFIX_HVAC_FAN_MODE,
+    MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_SETPOINT,
+    MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_MODE,
+    MQTT_TOPIC_SUFFIX_HVAC_WARD,
     MQTT_STATE_ON,
     MQTT_STATE_OFF,
     MQTT_COMMAND_STOP,
@@ -46,19 +53,32 @@ const {
     NEWLINE,
     SECURITY_ARM_TOPIC_REGEX,
     SECURITY_BYPASS_TOPIC_REGEX,
+    SECURITY_ISOLATE_TOPIC_REGEX,
     MEASUREMENT_DATA_TOPIC_REGEX,
+    SCHEDULE_ENABLE_TOPIC_REGEX,
+    SOFT_SCENE_TOPIC_REGEX,
+    CLOCK_SYNC_TOPIC_REGEX,
     DEFAULT_CBUS_APP_TEMPERATURE,
+    DEFAULT_CBUS_APP_CLOCK,
     HVAC_MIN_TEMP_C,
     HVAC_MAX_TEMP_C
 } = require('./constants');
 const {
     HVAC_CODE_BY_MODE,
+    HUMIDITY_CODE_BY_MODE,
     FAN_LEVEL_SENTINEL,
     DEFAULT_SETPOINT_C,
+    DEFAULT_HUMIDITY_SETPOINT,
     buildSetZoneHvacMode,
-    buildSetWardOff
+    buildSetZoneHumidityMode,
+    buildSetWardOff,
+    buildSetWardOn
 } = require('./airconControlRegistry');
-const { buildSecurityArmCommand, buildSecurityEmulateKeypadCommand } = require('./securityCommand');
+const {
+    buildSecurityArmCommand,
+    buildSecurityEmulateKeypadCommand,
+    expandSecurityKeySequence
+} = require('./securityCommand');
 const { buildMeasurementDataCommand } = require('./measurementCommand');
 const { buildTemperatureBroadcastCommand, celsiusToTemperatureBroadcastByte } = require('./temperatureCommand');
 const { buildScenePlayCommand, buildSceneRecordCommand } = require('./sceneCommand');
@@ -101,6 +121,18 @@ const SECURITY_ARM_MODE_BY_PAYLOAD = {
     ARM_VACATION: 'vacation'
 };
 
+/**
+ * Where a routed message came from, recorded with each command in the audit
+ * log.
+ * @typedef {Object} CommandOrigin
+ * @property {string} source - mqtt, web, websocket, rule, schedule or scene
+ * @property {string|null} [client] - Rule, schedule or scene name, or the web client
+ */
+
+// MQTT v3.1.1 does not tell subscribers who published, so there is no client.
+/** @type {CommandOrigin} */
+const MQTT_ORIGIN = Object.freeze({ source: 'mqtt', client: null });
+
 class MqttCommandRouter extends EventEmitter {
     /**
      * Creates a new MQTT command router.
@@ -115,6 +147,7 @@ class MqttCommandRouter extends EventEmitter {
      * @param {Object}       [options.settings] - Application settings (cover_ramp_duration_ms etc.)
      * @param {Object}       [options.coverRampTracker] - Shared CoverRampTracker instance (optional)
      * @param {Object}       [options.airconControlRegistry] - AirconControlRegistry holding learned thermostat state (optional)
+     * @param {import('./commandAuditLog').CommandAuditLog|null} [options.commandAuditLog] - Records every queued command (optional)
      */
     constructor(options) {
         super();
@@ -130,6 +163,14 @@ class MqttCommandRouter extends EventEmitter {
         this.airconControlRegistry = options.airconControlRegistry || null;
         // Pending debounced native-aircon setpoint writes: "net/unit" -> { handle }.
         this._airconSetpointTimers = new Map();
+        this.commandAuditLog = options.commandAuditLog || null;
+        // Topic, payload and origin of the message being routed, for the
+        // audit entry of each command it queues. Set for the duration of
+        // routeMessage; deferred writes carry theirs along.
+        this._routeContext = null;
+        // Why every message is refused (replay mode), or null when routing.
+        this._writesDisabledReason = null;
+        this._writesDisabledWarned = false;
 
         // Use shared tracker if provided, otherwise create a private one
         this._coverRampTracker = options.coverRampTracker
@@ -186,13 +227,57 @@ class MqttCommandRouter extends EventEmitter {
         return this._coverRampTracker;
     }
 
+    /**
+     * Refuse every message from now on, from MQTT, the web API, rules,
+     * schedules and scenes alike. Used in replay mode, where no command pool
+     * is connected and each write would otherwise fail to send.
+     * @param {string} reason - Prefix for the log line, e.g. "Replay mode"
+     */
+    disableWrites(reason) {
+        this._writesDisabledReason = reason;
+    }
+
     /**
      * Routes an incoming MQTT message to the appropriate handler.
      * 
      * @param {string} topic - MQTT topic
      * @param {string} payload - MQTT payload
+     * @param {CommandOrigin} [origin] - Who sent it; rules, schedules, scenes and the web API pass their own
+     */
+    routeMessage(topic, payload, origin = MQTT_ORIGIN) {
+        if (this._writesDisabledReason) {
+            // One warning rather than a send failure per message; the rest
+            // only at debug so a dashboard polling writes cannot flood the log.
+            const message = `${this._writesDisabledReason}: writes disabled, ignoring ${topic}`;
+            if (this._writesDisabledWarned) {
+                this.logger.debug(message);
+            } else {
+                this.logger.warn(`${message} (further ones are logged at debug level only)`);
+                this._writesDisabledWarned = true;
+            }
+            return;
+        }
+        this._withRouteContext({ topic, payload, origin }, () => this._routeMessage(topic, payload));
+    }
+
+    /**
+     * Run fn with the given route context, restoring the previous one after.
+     * @param {{topic: string, payload: string, origin: CommandOrigin}|null} context
+     * @param {() => void} fn
+     * @private
      */
-    routeMessage(topic, payload) {
+    _withRouteContext(context, fn) {
+        const previous = this._routeContext;
+        this._routeContext = context;
+        try {
+            fn();
+        } finally {
+            this._routeContext = previous;
+        }
+    }
+
+    /** @private */
+    _routeMessage(topic, payload) {
         if (this.logger.isLevelEnabled && this.logger.isLevelEnabled('debug')) {
             // Redacted: a disarm payload carries the alarm PIN (#51).
             this.logger.debug(`MQTT Recv: ${topic} -> ${redactMqttPayload(payload)}`);
@@ -204,6 +289,35 @@ class MqttCommandRouter extends EventEmitter {
             return;
         }
 
+        // Schedule enable/disable switch. Not a C-Bus write: the bridge owns
+        // the scheduler, so the router only announces it.
+        const scheduleEnableMatch = topic.match(SCHEDULE_ENABLE_TOPIC_REGEX);
+        if (scheduleEnableMatch) {
+            this._handleScheduleEnable(scheduleEnableMatch[1], payload);
+            return;
+        }
+
+        // Software scene activate/capture/delete, owned by the bridge like
+        // the schedules.
+        const softSceneMatch = topic.match(SOFT_SCENE_TOPIC_REGEX);
+        if (softSceneMatch) {
+            this.emit('softSceneCommand', softSceneMatch[1], softSceneMatch[2], payload);
+            return;
+        }
+
+        // Clock master "sync now", owned by the bridge like the schedules.
+        // Only app 223 is the clock; any other application here is a typo.
+        const clockSyncMatch = topic.match(CLOCK_SYNC_TOPIC_REGEX);
+        if (clockSyncMatch) {
+            const [, network, application] = clockSyncMatch;
+            if (application !== DEFAULT_CBUS_APP_CLOCK) {
+                this.logger.warn(`Clock sync ignored: application ${application} is not the clock (${DEFAULT_CBUS_APP_CLOCK}) on topic ${topic}`);
+            } else if (this._hasAddressInRange(topic, { network, application })) {
+                this.emit('clockSync', network);
+            }
+            return;
+        }
+
         // Security panel arm/disarm: the panel command topic has no numeric
         // group, so it can't parse as a CBusCommand — routed directly like the
         // manual discovery trigger.
@@ -227,6 +341,17 @@ class MqttCommandRouter extends EventEmitter {
             return;
         }
 
+        // Security zone isolate/de-isolate: keyed by zone, which is not a
+        // group address, so routed directly like the panel topics.
+        const securityIsolateMatch = topic.match(SECURITY_ISOLATE_TOPIC_REGEX);
+        if (securityIsolateMatch) {
+            const [, network, application, zone] = securityIsolateMatch;
+            if (this._hasAddressInRange(topic, { network, application, group: zone })) {
+                this._handleSecurityIsolate(network, application, zone, payload, topic);
+            }
+            return;
+        }
+
         // Measurement data injection: the address is 4 segments
         // (network/application/device/channel), so it can't parse as a
         // CBusCommand either — routed directly like the security arm topic.
@@ -330,6 +455,15 @@ class MqttCommandRouter extends EventEmitter {
             case MQTT_CMD_TYPE_HVAC_FAN_MODE:
                 this._handleHvacFanMode(command, payload, topic);
                 break;
+            case MQTT_CMD_TYPE_HVAC_HUMIDITY:
+                this._handleHvacHumidity(command, payload, topic);
+                break;
+            case MQTT_CMD_TYPE_HVAC_HUMIDITY_MODE:
+                this._handleHvacHumidityMode(command, payload, topic);
+                break;
+            case MQTT_CMD_TYPE_HVAC_WARD:
+                this._handleHvacWard(command, payload, topic);
+                break;
             case MQTT_CMD_TYPE_TEMPERATURE:
                 this._handleTemperatureBroadcast(command, payload, topic);
                 break;
@@ -337,6 +471,9 @@ class MqttCommandRouter extends EventEmitter {
             case MQTT_CMD_TYPE_RECORD:
                 this._handleSceneModule(command, payload, topic);
                 break;
+            case MQTT_CMD_TYPE_VALUE:
+                this._handleValue(command, payload, topic);
+                break;
             default:
                 this.logger.warn(`Unrecognized command type: ${commandType}`);
         }
@@ -355,6 +492,21 @@ class MqttCommandRouter extends EventEmitter {
         }
     }
 
+    /**
+     * Handles a schedule's enable switch (cbus/write/bridge/schedule/{id}/enabled).
+     * @param {string} scheduleId
+     * @param {string} payload - "ON" or "OFF"
+     * @private
+     */
+    _handleScheduleEnable(scheduleId, payload) {
+        const state = String(payload).trim().toUpperCase();
+        if (state !== MQTT_STATE_ON && state !== MQTT_STATE_OFF) {
+            this.logger.warn(`Invalid schedule enable payload for ${scheduleId}: ${payload}`);
+            return;
+        }
+        this.emit('scheduleEnable', scheduleId, state === MQTT_STATE_ON);
+    }
+
     /**
      * Handles security panel arm/disarm (cbus/write/{net}/{app}/panel/arm).
      * Gated on cbus_security_control_enabled; disarm additionally on
@@ -579,6 +731,75 @@ class MqttCommandRouter extends EventEmitter {
         this.logger.info(`Security disarm: ${network}/${application} -> sent ${code.length} digits + accept key`);
     }
 
+    /**
+     * Handles a zone isolate switch (cbus/write/{net}/{app}/{zone}/isolate,
+     * ON or OFF) by typing the configured key sequence on the emulated keypad.
+     * The Security application has no isolate message, so the sequence is
+     * whatever the panel's own keypad uses (cbus_security_isolate_keys).
+     *
+     * Isolating is gated on cbus_security_bypass_enabled as well as control:
+     * an isolated zone leaves the alarm armed with that door uncovered, the
+     * same promise the bypass opt-in exists for. De-isolating only puts a zone
+     * back under the alarm, so it needs control alone, but only with its own
+     * sequence (cbus_security_deisolate_keys). Re-sending the isolate sequence
+     * toggles on most panels, so for a zone that was not isolated it would
+     * isolate it, past the bypass gate.
+     *
+     * Nothing is recorded here. The zone's isolated flag follows the panel:
+     * set by its zone_isolated event, cleared when it reports a disarm.
+     *
+     * @param {string} network
+     * @param {string} application
+     * @param {string} zone
+     * @param {string} payload - ON or OFF.
+     * @param {string} topic
+     * @private
+     */
+    _handleSecurityIsolate(network, application, zone, payload, topic) {
+        if (!this.settings.cbus_security_control_enabled) {
+            this.logger.warn(`Security panel control is disabled (set cbus_security_control_enabled to enable); ignoring command on ${topic}`);
+            return;
+        }
+        const appId = this.settings.cbus_security_app_id;
+        if (!appId || String(appId) === '0' || String(application) !== String(appId)) {
+            this.logger.warn(`Security command for unconfigured application ${application} on topic ${topic}`);
+            return;
+        }
+        const state = String(payload).trim().toUpperCase();
+        if (state !== MQTT_STATE_ON && state !== MQTT_STATE_OFF) {
+            this.logger.warn(`Invalid zone isolate payload on ${topic}: expected ON or OFF`);
+            return;
+        }
+        const isolate = state === MQTT_STATE_ON;
+        if (isolate && !this.settings.cbus_security_bypass_enabled) {
+            this.logger.warn(`Security zone isolation is refused while cbus_security_bypass_enabled is off (an isolated zone is not covered when armed); ignoring command on ${topic}`);
+            return;
+        }
+
+        const template = isolate
+            ? this.settings.cbus_security_isolate_keys
+            : this.settings.cbus_security_deisolate_keys;
+        if (!template) {
+            const setting = isolate ? 'cbus_security_isolate_keys' : 'cbus_security_deisolate_keys';
+            this.logger.warn(`No zone ${isolate ? 'isolate' : 'de-isolate'} key sequence configured (set ${setting}); ignoring command on ${topic}`);
+            return;
+        }
+        const keys = expandSecurityKeySequence(template, zone);
+        if (!keys) {
+            this.logger.warn(`Zone ${isolate ? 'isolate' : 'de-isolate'} key sequence is not valid keypad input (printable ASCII, no spaces); ignoring command on ${topic}`);
+            return;
+        }
+
+        for (const character of keys) {
+            const cmd = buildSecurityEmulateKeypadCommand({
+                cbusname: this.cbusname, network, application, key: character.charCodeAt(0)
+            });
+            this._queueCommand(cmd + NEWLINE);
+        }
+        // Key count only: a panel's isolate sequence may include the user code.
+        this.logger.info(`Security zone ${zone} ${isolate ? 'isolate' : 'de-isolate'}: ${network}/${application} -> sent ${keys.length} keys`);
+    }
+
     /**
      * Handles a Measurement application (228/$E4) data-injection command:
      * "cbus/write/{net}/{app}/{device}/{channel}/data" with payload
@@ -854,7 +1075,8 @@ class MqttCommandRouter extends EventEmitter {
 
     /**
      * Cleans up pending relative level operations (timers and listeners) and
-     * any debounced aircon setpoint writes, so no timer fires after shutdown.
+     * any debounced aircon setpoint or humidity writes, so no timer fires
+     * after shutdown.
      */
     shutdown() {
         if (this.deviceStateManager) {
@@ -1033,6 +1255,25 @@ class MqttCommandRouter extends EventEmitter {
         });
     }
 
+    /**
+     * Handles raw value commands for Enable Control variables discovered as HA
+     * number or select entities: cbus/write/{net}/{app}/{group}/value with the
+     * level itself (0-255), not a percentage. The new value reaches the read
+     * topic through the group's level event, like any other ramp.
+     * @param {CBusCommand} command - The value command
+     * @param {string} payload - Level 0-255
+     * @param {string} topic - Original topic for error logging
+     * @private
+     */
+    _handleValue(command, payload, topic) {
+        this._queueRampCommand(command, topic, {
+            name: 'Value',
+            priority: 'interactive',
+            invalidText: `Invalid value "${redactMqttPayload(payload)}" for topic ${topic} (expected an integer 0-255)`,
+            debugLine: (n, a, g, l) => `Setting variable: ${n}/${a}/${g} to ${l}`
+        });
+    }
+
     /**
      * Handles HVAC setpoint commands for the "HVAC-via-lighting" pattern.
      *
@@ -1218,17 +1459,31 @@ class MqttCommandRouter extends EventEmitter {
      * @private
      */
     _debounceAirconSetpoint(network, application, unit, clamped) {
-        const key = `${network}/${unit}`;
+        const delayMs = this._debounceAirconWrite(`${network}/${unit}`,
+            () => this._sendAirconSetpoint(network, application, unit, clamped));
+        this.logger.debug(`Native HVAC setpoint: ${network}/${unit} -> ${clamped}°C queued (debounced ${delayMs}ms)`);
+    }
+
+    /**
+     * Run `send` once airconSetpointDebounceMs has passed without another
+     * write under the same key, replacing any write still pending.
+     * @param {string} key - `network/unit`, suffixed `/humidity` for humidity targets.
+     * @param {() => void} send
+     * @returns {number} The debounce delay, for logging.
+     * @private
+     */
+    _debounceAirconWrite(key, send) {
         const pending = this._airconSetpointTimers.get(key);
         if (pending) clearTimeout(pending.handle);
         const delayMs = resolveSetting(this.settings, 'airconSetpointDebounceMs');
+        const context = this._routeContext;
         const handle = setTimeout(() => {
             this._airconSetpointTimers.delete(key);
-            this._sendAirconSetpoint(network, application, unit, clamped);
+            this._withRouteContext(context, send);
         }, delayMs);
         if (typeof handle.unref === 'function') handle.unref();
         this._airconSetpointTimers.set(key, { handle });
-        this.logger.debug(`Native HVAC setpoint: ${network}/${unit} -> ${clamped}°C queued (debounced ${delayMs}ms)`);
+        return delayMs;
     }
 
     /**
@@ -1237,10 +1492,15 @@ class MqttCommandRouter extends EventEmitter {
      * @private
      */
     _cancelPendingAirconSetpoint(network, unit) {
-        const pending = this._airconSetpointTimers.get(`${network}/${unit}`);
+        this._cancelPendingAirconWrite(`${network}/${unit}`);
+    }
+
+    /** @private */
+    _cancelPendingAirconWrite(key) {
+        const pending = this._airconSetpointTimers.get(key);
         if (pending) {
             clearTimeout(pending.handle);
-            this._airconSetpointTimers.delete(`${network}/${unit}`);
+            this._airconSetpointTimers.delete(key);
         }
     }
 
@@ -1310,9 +1570,11 @@ class MqttCommandRouter extends EventEmitter {
      * @param {string} [state.mode] - HVAC mode to publish
      * @param {number} [state.setpointC] - Target temperature in °C to publish
      * @param {string} [state.fanMode] - Fan mode to publish
+     * @param {string} [state.humidityMode] - Humidity mode to publish
+     * @param {number} [state.humiditySetpoint] - Target humidity in % to publish
      * @private
      */
-    _publishOptimisticHvacState(network, application, unit, { mode, setpointC, fanMode } = {}) {
+    _publishOptimisticHvacState(network, application, unit, { mode, setpointC, fanMode, humidityMode, humiditySetpoint } = {}) {
         if (!this.mqttClient || typeof this.mqttClient.publish !== 'function') return;
         const base = `${MQTT_TOPIC_PREFIX_READ}/${network}/${application}/${unit}`;
         const opts = this.settings.retainreads ? MQTT_RETAINED_STATE_OPTIONS : { qos: 0 };
@@ -1325,6 +1587,12 @@ class MqttCommandRouter extends EventEmitter {
         if (fanMode !== undefined && fanMode !== null) {
             this.mqttClient.publish(`${base}/${MQTT_TOPIC_SUFFIX_HVAC_FAN_MODE}`, String(fanMode), opts);
         }
+        if (humidityMode !== undefined && humidityMode !== null) {
+            this.mqttClient.publish(`${base}/${MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_MODE}`, String(humidityMode), opts);
+        }
+        if (humiditySetpoint !== undefined && humiditySetpoint !== null) {
+            this.mqttClient.publish(`${base}/${MQTT_TOPIC_SUFFIX_HVAC_HUMIDITY_SETPOINT}`, String(humiditySetpoint), opts);
+        }
     }
 
     /**
@@ -1477,6 +1745,175 @@ class MqttCommandRouter extends EventEmitter {
         this.logger.info(`Native HVAC fan mode: ${network}/${unit} -> ${fanMode} (ward ${state.ward}, zones ${state.zones})`);
     }
 
+    /**
+     * HVAC target humidity (cbus/write/…/humidity, HA climate
+     * target_humidity). Native Air Conditioning only: HVAC-via-lighting has
+     * no humidity concept.
+     * @private
+     */
+    _handleHvacHumidity(command, payload, topic) {
+        if (!this._isNativeAircon(command)) {
+            this.logger.warn(`HVAC humidity is only supported on the native Air Conditioning application; ignoring ${topic}`);
+            return;
+        }
+        if (!this._nativeAirconControlAllowed('humidity', topic)) return;
+
+        const network = command.getNetwork();
+        const unit = command.getGroup();
+        const application = command.getApplication();
+        const state = this._requireNativeAirconHumidityState(network, unit, 'set humidity', topic);
+        if (!state) return;
+        if (state.modeRaw === 0) {
+            // As with the temperature setpoint: adjusting the target must not
+            // switch humidity control on.
+            this.logger.warn(`Humidity control on ${network}/${unit} is off; ignoring humidity of ${payload}% — set a humidity mode first (${topic})`);
+            return;
+        }
+        const percent = parseFloat(payload);
+        if (isNaN(percent)) {
+            this.logger.warn(`Invalid HVAC humidity value "${payload}" on topic ${topic}`);
+            return;
+        }
+        const clamped = Math.max(0, Math.min(100, percent));
+        this._publishOptimisticHvacState(network, application, unit, { humiditySetpoint: clamped });
+        const delayMs = this._debounceAirconWrite(`${network}/${unit}/humidity`,
+            () => this._sendAirconHumidity(network, application, unit, clamped));
+        this.logger.debug(`Native HVAC humidity: ${network}/${unit} -> ${clamped}% queued (debounced ${delayMs}ms)`);
+    }
+
+    /**
+     * Send a debounced humidity target, keeping the learned humidity mode.
+     * @private
+     */
+    _sendAirconHumidity(network, application, unit, percent) {
+        const state = this.airconControlRegistry && this.airconControlRegistry.getHumidity(network, unit);
+        if (!state) return;
+        const level = Math.round(percent / 100 * 65535); // §25.5.2: 0-65535 = 0-100%
+        const modeRaw = (Number.isInteger(state.modeRaw) && state.modeRaw !== 0) ? state.modeRaw : HUMIDITY_CODE_BY_MODE.auto;
+        this._queueHumidityMode(network, application, state, modeRaw, level);
+        this.airconControlRegistry.noteHumidityWrite(network, unit, modeRaw, level);
+        this.logger.info(`Native HVAC humidity: ${network}/${unit} -> ${percent}% (ward ${state.ward}, zones ${state.zones})`);
+    }
+
+    /**
+     * Humidity mode (cbus/write/…/humiditymode: off, humidify, dehumidify or
+     * auto) via AIRCON SET_ZONE_HUMIDITY_MODE, keeping the learned target.
+     * Unlike HVAC mode there is no ward-wide off: 'off' is humidity mode 0
+     * for the unit's own zones.
+     * @private
+     */
+    _handleHvacHumidityMode(command, payload, topic) {
+        if (!this._isNativeAircon(command)) {
+            this.logger.warn(`HVAC humidity mode is only supported on the native Air Conditioning application; ignoring ${topic}`);
+            return;
+        }
+        if (!this._nativeAirconControlAllowed('humidity mode', topic)) return;
+
+        const network = command.getNetwork();
+        const unit = command.getGroup();
+        const application = command.getApplication();
+        const state = this._requireNativeAirconHumidityState(network, unit, 'set humidity mode', topic);
+        if (!state) return;
+
+        const mode = String(payload).toLowerCase();
+        const code = HUMIDITY_CODE_BY_MODE[mode];
+        if (code === undefined) {
+            this.logger.warn(`Unknown HVAC humidity mode "${payload}" on topic ${topic} (expected off|humidify|dehumidify|auto)`);
+            return;
+        }
+
+        this._cancelPendingAirconWrite(`${network}/${unit}/humidity`);
+        const level = (Number.isInteger(state.setpointRaw) && state.setpointRaw > 0)
+            ? state.setpointRaw : Math.round(DEFAULT_HUMIDITY_SETPOINT / 100 * 65535);
+        this._queueHumidityMode(network, application, state, code, level);
+        this.airconControlRegistry.noteHumidityWrite(network, unit, code, null);
+        this._publishOptimisticHvacState(network, application, unit, { humidityMode: mode });
+        this.logger.info(`Native HVAC humidity mode: ${network}/${unit} -> ${mode} (ward ${state.ward}, zones ${state.zones})`);
+    }
+
+    /**
+     * Queue one SET_ZONE_HUMIDITY_MODE for the unit's learned humidity ward,
+     * zones and type, echoing its setback/guard/aux flags.
+     * @private
+     */
+    _queueHumidityMode(network, application, state, modeRaw, level) {
+        const cmd = buildSetZoneHumidityMode({
+            cbusname: this.cbusname,
+            network,
+            application,
+            ward: state.ward,
+            zones: state.zones,
+            modeRaw,
+            rawlevel: 0,
+            setback: state.setbackEnabled === true ? 1 : 0,
+            guard: state.guardEnabled === true ? 1 : 0,
+            useaux: state.auxLevelUsed === true ? 1 : 0,
+            type: state.type,
+            level,
+            aux: (state.auxLevelUsed && Number.isInteger(state.auxLevel)) ? state.auxLevel : 0
+        });
+        this._queueCommand(cmd + NEWLINE);
+    }
+
+    /**
+     * Humidity counterpart of _requireNativeAirconState.
+     * @private
+     */
+    _requireNativeAirconHumidityState(network, unit, what, topic) {
+        const state = this.airconControlRegistry && this.airconControlRegistry.getHumidity(network, unit);
+        if (!state) {
+            this.logger.warn(`No known humidity state for ${network}/${unit} yet; cannot ${what} until the thermostat reports a humidity mode once (${topic})`);
+            return null;
+        }
+        return state;
+    }
+
+    /**
+     * Zone group on/off (cbus/write/<net>/<app>/<ward>/ward, ON or OFF) via
+     * AIRCON SET_WARD_ON / SET_WARD_OFF. Addressed by ward, not unit, so it
+     * needs no learned state; switching a ward off drops any setpoint or
+     * humidity target still waiting to be sent to its units, which would
+     * otherwise turn them back on.
+     * @private
+     */
+    _handleHvacWard(command, payload, topic) {
+        if (!this._isNativeAircon(command)) {
+            this.logger.warn(`HVAC ward control is only supported on the native Air Conditioning application; ignoring ${topic}`);
+            return;
+        }
+        if (!this._nativeAirconControlAllowed('ward', topic)) return;
+
+        const network = command.getNetwork();
+        const application = command.getApplication();
+        const ward = command.getGroup();
+        if (!ward) {
+            this.logger.warn(`HVAC ward command requires a ward number on topic ${topic}`);
+            return;
+        }
+        const state = String(payload).toUpperCase();
+        let cmd;
+        if (state === MQTT_STATE_ON) {
+            cmd = buildSetWardOn({ cbusname: this.cbusname, network, application, ward });
+        } else if (state === MQTT_STATE_OFF) {
+            if (this.airconControlRegistry) {
+                for (const unit of this.airconControlRegistry.unitsInWard(network, ward)) {
+                    this._cancelPendingAirconSetpoint(network, unit);
+                    this._cancelPendingAirconWrite(`${network}/${unit}/humidity`);
+                }
+            }
+            cmd = buildSetWardOff({ cbusname: this.cbusname, network, application, ward });
+        } else {
+            this.logger.warn(`Invalid HVAC ward payload "${redactMqttPayload(payload)}" on topic ${topic} (expected ON|OFF)`);
+            return;
+        }
+        this._queueCommand(cmd + NEWLINE);
+        if (this.mqttClient && typeof this.mqttClient.publish === 'function') {
+            const opts = this.settings.retainreads ? MQTT_RETAINED_STATE_OPTIONS : { qos: 0 };
+            this.mqttClient.publish(`${MQTT_TOPIC_PREFIX_READ}/${network}/${application}/${ward}/${MQTT_TOPIC_SUFFIX_HVAC_WARD}`, state, opts);
+        }
+        this.logger.info(`Native HVAC ward: ${network}/${application} ward ${ward} -> ${state}`);
+    }
+
     /**
      * Resolve the Mode & Flags byte fields (§25.6.3) and Aux Level for a write
      * from the thermostat's learned broadcasts, so HA-originated commands echo
@@ -1505,6 +1942,16 @@ class MqttCommandRouter extends EventEmitter {
     }
 
     _queueCommand(command, priority) {
+        if (this.commandAuditLog) {
+            const context = this._routeContext;
+            this.commandAuditLog.record({
+                command,
+                topic: context ? context.topic : null,
+                payload: context ? context.payload : null,
+                origin: context ? context.origin.source : MQTT_ORIGIN.source,
+                client: context ? context.origin.client : null
+            });
+        }
         if (priority) {
             this.cgateCommandQueue.add(command, { priority });
         } else {
@@ -64,6 +64,7 @@ class MqttManager extends EventEmitter {
         // are expected (diagnostics during start()); only warn after we have
         // successfully connected at least once (true mid-session disconnect).
         this._hasConnectedOnce = false;
+        this.reconnectCount = 0;
         this._authFailureLogged = false;
         // Memoized: ha_discovery_prefix is not hot-reloadable, and the getter is
         // consulted for every inbound message.
@@ -342,7 +343,10 @@ class MqttManager extends EventEmitter {
         });
 
         this.emit('connect');
-        if (isReconnect) this.emit('reconnect');
+        if (isReconnect) {
+            this.reconnectCount++;
+            this.emit('reconnect');
+        }
     }
 
     /**
@@ -15,6 +15,10 @@ const { createLogger } = require('./logger');
  */
 const RUNNING_STATE = 'running';
 
+// Readings kept per network for the topology view. Only changes are kept, so
+// this covers the last few dropouts rather than a fixed time span.
+const HISTORY_LIMIT = 50;
+
 class NetworkInterfaceMonitor {
     /**
      * @param {Object} [opts]
@@ -26,6 +30,8 @@ class NetworkInterfaceMonitor {
         this._now = now || (() => Date.now());
         // networkId(string) -> { interfaceState, state, online, since, lastChecked }
         this._networks = new Map();
+        // networkId(string) -> [{ time, interfaceState, state, online }], oldest first
+        this._history = new Map();
     }
 
     /**
@@ -74,6 +80,9 @@ class NetworkInterfaceMonitor {
         }
 
         this._networks.set(id, next);
+        if (next.interfaceState !== prev.interfaceState || next.state !== prev.state) {
+            this._recordHistory(id, next, ts);
+        }
         return { online, changed, interfaceState: next.interfaceState };
     }
 
@@ -91,6 +100,27 @@ class NetworkInterfaceMonitor {
         }));
     }
 
+    /**
+     * The readings that changed a network's InterfaceState or State, oldest
+     * first. Repeated identical polls are not recorded.
+     * @param {string|number} networkId
+     * @returns {Array<{time:number, interfaceState:?string, state:?string, online:?boolean}>}
+     */
+    getHistory(networkId) {
+        return (this._history.get(String(networkId)) || []).map(entry => ({ ...entry }));
+    }
+
+    /** @private */
+    _recordHistory(id, reading, ts) {
+        let history = this._history.get(id);
+        if (!history) {
+            history = [];
+            this._history.set(id, history);
+        }
+        history.push({ time: ts, interfaceState: reading.interfaceState, state: reading.state, online: reading.online });
+        if (history.length > HISTORY_LIMIT) history.splice(0, history.length - HISTORY_LIMIT);
+    }
+
     /** True if any tracked network's interface is known to be down. */
     hasOutage() {
         return [...this._networks.values()].some(v => v.online === false);
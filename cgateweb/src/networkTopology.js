@@ -0,0 +1,118 @@
+// @ts-check
+'use strict';
+
+/**
+ * The site-at-a-glance view behind GET /api/topology: each C-Bus network with
+ * the interface C-Gate reaches it through, the units and groups found in its
+ * project tree, any network bridges, and the interface's connection state and
+ * recent changes.
+ *
+ * Two sources, each of which may know a network the other does not: the tree
+ * (HaDiscovery's unit inventory, filled when a TREEXML is read) and the
+ * NetworkInterfaceMonitor (filled by the InterfaceState polls). A network
+ * only one of them has seen is still listed, with the other half empty.
+ *
+ * Bridge units are recognised by their type name alone, and the two halves of
+ * a bridge are only linked when the project gives both the same serial number.
+ * Nobody here has a bridged site's TREEXML to confirm either, so a bridge the
+ * project describes differently is simply not shown.
+ */
+
+const BRIDGE_TYPE_PATTERN = /BRIDGE/i;
+
+function compareIds(a, b) {
+    return Number(a) - Number(b) || String(a).localeCompare(String(b));
+}
+
+/**
+ * Unit counts by type, most common first.
+ * @param {Array<{type: string, category: string|null}>} units
+ * @returns {Array<{type: string, category: string|null, count: number}>}
+ */
+function countUnitTypes(units) {
+    const counts = new Map();
+    for (const unit of units) {
+        const type = unit.type || 'unknown';
+        const entry = counts.get(type) || { type, category: unit.type ? unit.category : null, count: 0 };
+        entry.count++;
+        counts.set(type, entry);
+    }
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+}
+
+/**
+ * Distinct groups the units drive, per application. Groups no unit drives
+ * are not in the inventory and so are not counted.
+ * @param {Array<{groups: Array<{app: string, group: string}>}>} units
+ * @returns {Array<{app: string, groups: number}>}
+ */
+function countApplicationGroups(units) {
+    const byApp = new Map();
+    for (const unit of units) {
+        for (const { app, group } of unit.groups) {
+            if (!byApp.has(app)) byApp.set(app, new Set());
+            byApp.get(app).add(group);
+        }
+    }
+    return [...byApp]
+        .sort(([a], [b]) => compareIds(a, b))
+        .map(([app, groups]) => ({ app, groups: groups.size }));
+}
+
+/**
+ * @param {Object} sources
+ * @param {Array<{network: string, updatedAt: number, interface: {type: string, address: string}|null, units: Array<any>}>} sources.trees - HaDiscovery#getUnitInventory()
+ * @param {Array<{network: string, interfaceState: ?string, state: ?string, online: ?boolean, since: number, lastChecked: number}>} sources.interfaceStates - NetworkInterfaceMonitor#getSnapshot()
+ * @param {(networkId: string) => Array<Object>} sources.getInterfaceHistory - NetworkInterfaceMonitor#getHistory
+ * @returns {Array<Object>} one entry per network, by network number
+ */
+function buildNetworkTopology({ trees, interfaceStates, getInterfaceHistory }) {
+    const treesByNetwork = new Map(trees.map(tree => [tree.network, tree]));
+    const statesByNetwork = new Map(interfaceStates.map(reading => [reading.network, reading]));
+    const networkIds = [...new Set([...treesByNetwork.keys(), ...statesByNetwork.keys()])].sort(compareIds);
+
+    // serial number -> bridge halves seen with it, across every network
+    const bridgesBySerial = new Map();
+    for (const tree of trees) {
+        for (const unit of tree.units) {
+            if (!BRIDGE_TYPE_PATTERN.test(unit.type) || !unit.serialNumber) continue;
+            if (!bridgesBySerial.has(unit.serialNumber)) bridgesBySerial.set(unit.serialNumber, []);
+            bridgesBySerial.get(unit.serialNumber).push({ network: tree.network, address: unit.address });
+        }
+    }
+
+    return networkIds.map(network => {
+        const tree = treesByNetwork.get(network) || null;
+        const reading = statesByNetwork.get(network) || null;
+        const units = tree ? tree.units : [];
+        const bridges = units
+            .filter(unit => BRIDGE_TYPE_PATTERN.test(unit.type))
+            .map(unit => ({
+                address: unit.address,
+                type: unit.type,
+                name: unit.name,
+                serialNumber: unit.serialNumber,
+                peers: (bridgesBySerial.get(unit.serialNumber) || [])
+                    .filter(half => half.network !== network)
+            }));
+        return {
+            network,
+            interface: tree ? tree.interface : null,
+            treeReadAt: tree ? tree.updatedAt : null,
+            unitCount: units.length,
+            unitTypes: countUnitTypes(units),
+            applications: countApplicationGroups(units),
+            bridges,
+            interfaceState: reading ? reading.interfaceState : null,
+            state: reading ? reading.state : null,
+            online: reading ? reading.online : null,
+            since: reading ? reading.since : null,
+            lastChecked: reading ? reading.lastChecked : null,
+            history: getInterfaceHistory(network)
+        };
+    });
+}
+
+module.exports = {
+    buildNetworkTopology
+};
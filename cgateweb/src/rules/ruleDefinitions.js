@@ -0,0 +1,274 @@
+// @ts-check
+'use strict';
+
+const path = require('path');
+const yaml = require('js-yaml');
+const CBusCommand = require('../cbusCommand');
+const { describeCbusAddressRangeError, parseDurationMs } = require('../utils');
+const { parseTimeSpec, parseWeekdays } = require('../timeOfDay');
+const {
+    MQTT_TOPIC_PREFIX_WRITE,
+    MQTT_CMD_TYPE_SWITCH,
+    MQTT_CMD_TYPE_RAMP,
+    MQTT_CMD_TYPE_TRIGGER,
+    MQTT_STATE_ON,
+    MQTT_STATE_OFF
+} = require('../constants');
+
+/**
+ * Parsing and validation for the rules file (rules_file).
+ *
+ * The file is YAML or JSON (by extension) holding a `rules` list. Each rule
+ * has one trigger, optional conditions that must all hold when it fires, and
+ * one or more actions:
+ *
+ *   rules:
+ *     - name: Hall light on motion after dark
+ *       trigger: { type: group, address: 254/56/40, state: "on" }
+ *       conditions:
+ *         - { type: time, after: sunset, before: sunrise }
+ *       actions:
+ *         - { type: "on", address: 254/56/12, for: 3m }
+ *
+ * Everything is checked at load time, including building each action's MQTT
+ * write topic through CBusCommand, so a bad rule is reported once with its
+ * name instead of failing every time it fires. Invalid rules are skipped;
+ * the rest still load.
+ */
+
+const TRIGGER_TYPES = Object.freeze(['group', 'security', 'measurement']);
+const ACTION_TYPES = Object.freeze(['on', 'off', 'ramp', 'trigger']);
+const STATES = Object.freeze(['on', 'off']);
+
+// A target like 254/56/10-14 or 254/56/1,3,5 fans out to one command per
+// group. Capped so a typo such as 0-255 on the wrong application is a load
+// error rather than 256 queued commands.
+const MAX_TARGET_GROUPS = 64;
+
+/**
+ * Parse rules file contents.
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to pick YAML or JSON
+ * @returns {{rules: Array<Object>, errors: Array<string>}}
+ */
+function parseRulesFile(text, fileName) {
+    let data;
+    try {
+        data = /\.ya?ml$/i.test(path.extname(fileName)) ? yaml.load(text) : JSON.parse(text);
+    } catch (err) {
+        return { rules: [], errors: [`Could not parse ${fileName}: ${err.message}`] };
+    }
+    if (data === null || data === undefined) return { rules: [], errors: [] };
+    const list = Array.isArray(data) ? data : data.rules;
+    if (!Array.isArray(list)) {
+        return { rules: [], errors: [`${fileName} must contain a "rules" list`] };
+    }
+
+    const rules = [];
+    const errors = [];
+    const names = new Set();
+    list.forEach((raw, index) => {
+        const label = raw && typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `#${index + 1}`;
+        try {
+            const rule = parseRule(raw, label);
+            if (names.has(rule.name)) throw new Error('duplicate rule name');
+            names.add(rule.name);
+            rules.push(rule);
+        } catch (err) {
+            errors.push(`Rule "${label}": ${err.message}`);
+        }
+    });
+    return { rules, errors };
+}
+
+/**
+ * @param {*} raw
+ * @param {string} name
+ * @returns {Object}
+ */
+function parseRule(raw, name) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('must be an object');
+    const actions = Array.isArray(raw.actions) ? raw.actions : (raw.actions ? [raw.actions] : []);
+    if (actions.length === 0) throw new Error('needs at least one action');
+    const conditions = Array.isArray(raw.conditions) ? raw.conditions : (raw.conditions ? [raw.conditions] : []);
+    return {
+        name,
+        enabled: raw.enabled !== false,
+        trigger: parseTrigger(raw.trigger),
+        conditions: conditions.map(parseCondition),
+        actions: actions.map(parseAction)
+    };
+}
+
+/**
+ * @param {*} raw
+ * @returns {Object}
+ */
+function parseTrigger(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('needs a trigger');
+    if (!TRIGGER_TYPES.includes(raw.type)) {
+        throw new Error(`trigger type must be one of ${TRIGGER_TYPES.join(', ')}`);
+    }
+    if (raw.type === 'group') {
+        const trigger = { type: 'group', address: parsePattern(raw.address, ['network', 'application', 'group']) };
+        if (raw.state !== undefined) trigger.state = parseState(raw.state, 'trigger');
+        if (raw.level !== undefined) trigger.level = parseNumber(raw.level, 'trigger level', 0, 255);
+        return trigger;
+    }
+    if (raw.type === 'security') {
+        // The last part is a zone number, or "panel" for the arm/alarm state.
+        const address = parsePattern(raw.address, ['network', 'application', 'group'], { allowPanel: true });
+        if (raw.state !== undefined && typeof raw.state !== 'string') throw new Error('security trigger state must be a string');
+        return { type: 'security', address, state: raw.state !== undefined ? String(raw.state).toLowerCase() : null };
+    }
+    const trigger = { type: 'measurement', address: parsePattern(raw.address, ['network', 'application', 'device', 'channel']) };
+    if (raw.above !== undefined) trigger.above = parseNumber(raw.above, 'above');
+    if (raw.below !== undefined) trigger.below = parseNumber(raw.below, 'below');
+    return trigger;
+}
+
+/**
+ * @param {*} raw
+ * @returns {Object}
+ */
+function parseCondition(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('condition must be an object');
+    if (raw.type === 'level') {
+        const address = parseTargets(raw.address);
+        if (address.length !== 1) throw new Error('level condition takes a single group');
+        const condition = { type: 'level', address: address[0] };
+        if (raw.state !== undefined) condition.state = parseState(raw.state, 'condition');
+        if (raw.above !== undefined) condition.above = parseNumber(raw.above, 'above', 0, 100);
+        if (raw.below !== undefined) condition.below = parseNumber(raw.below, 'below', 0, 100);
+        if (condition.state === undefined && condition.above === undefined && condition.below === undefined) {
+            throw new Error('level condition needs state, above or below');
+        }
+        return condition;
+    }
+    if (raw.type === 'time') {
+        const condition = { type: 'time' };
+        if (raw.after !== undefined) condition.after = parseTime(raw.after, 'after');
+        if (raw.before !== undefined) condition.before = parseTime(raw.before, 'before');
+        if (raw.weekdays !== undefined) {
+            const days = parseWeekdays(raw.weekdays);
+            if (!days) throw new Error('weekdays must be a list of day names');
+            condition.weekdays = days;
+        }
+        if (!condition.after && !condition.before && !condition.weekdays) {
+            throw new Error('time condition needs after, before or weekdays');
+        }
+        return condition;
+    }
+    throw new Error('condition type must be level or time');
+}
+
+/**
+ * Parse one action. Also used by the scheduler, whose actions take the same
+ * shape.
+ * @param {*} raw
+ * @returns {{type: string, commands: Array<{address: string, topic: string, payload: string}>, forMs: number|null}}
+ */
+function parseAction(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('action must be an object');
+    if (!ACTION_TYPES.includes(raw.type)) throw new Error(`action type must be one of ${ACTION_TYPES.join(', ')}`);
+    const targets = parseTargets(raw.address);
+
+    let commandType;
+    let payload;
+    if (raw.type === 'on' || raw.type === 'off') {
+        commandType = MQTT_CMD_TYPE_SWITCH;
+        payload = raw.type === 'on' ? MQTT_STATE_ON : MQTT_STATE_OFF;
+    } else if (raw.type === 'ramp') {
+        commandType = MQTT_CMD_TYPE_RAMP;
+        payload = String(Math.round(parseNumber(raw.level, 'ramp level', 0, 100)));
+        if (raw.rampTime !== undefined) {
+            if (parseDurationMs(raw.rampTime) === null) throw new Error('rampTime must look like "5s" or "2m"');
+            payload += `,${raw.rampTime}`;
+        }
+    } else {
+        commandType = MQTT_CMD_TYPE_TRIGGER;
+        payload = String(parseNumber(raw.level, 'trigger level', 0, 255));
+    }
+
+    let forMs = null;
+    if (raw.for !== undefined) {
+        if (raw.type === 'off' || raw.type === 'trigger') throw new Error(`"for" does not apply to ${raw.type} actions`);
+        forMs = parseDurationMs(raw.for);
+        if (!forMs) throw new Error('"for" must be a duration such as "3m"');
+    }
+
+    const commands = targets.map((address) => {
+        const topic = `${MQTT_TOPIC_PREFIX_WRITE}/${address}/${commandType}`;
+        if (!new CBusCommand(topic, payload).isValid()) throw new Error(`invalid ${raw.type} command for ${address}`);
+        return { address, topic, payload };
+    });
+    return { type: raw.type, commands, forMs };
+}
+
+/**
+ * Parse a trigger address where any part may be "*".
+ * @param {*} value
+ * @param {Array<string>} parts - Component names, in order
+ * @param {{allowPanel?: boolean}} [options]
+ * @returns {Array<string>} One entry per part; "*" matches anything
+ */
+function parsePattern(value, parts, options = {}) {
+    const segments = typeof value === 'string' ? value.trim().split('/') : [];
+    if (segments.length !== parts.length) throw new Error(`address must look like ${parts.join('/')}`);
+    return segments.map((segment, i) => {
+        if (segment === '*') return segment;
+        if (options.allowPanel && i === parts.length - 1 && segment === 'panel') return segment;
+        const rangeError = /^\d{1,3}$/.test(segment) ? describeCbusAddressRangeError({ [parts[i]]: segment }) : `C-Bus ${parts[i]} "${segment}" is not a number`;
+        if (rangeError) throw new Error(rangeError);
+        return String(Number(segment));
+    });
+}
+
+/**
+ * Expand an action target ("254/56/10-14", "254/56/1,3,5") to group addresses.
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+function parseTargets(value) {
+    const segments = typeof value === 'string' ? value.trim().split('/') : [];
+    if (segments.length !== 3) throw new Error('address must look like network/application/group');
+    const [network, application, groupList] = segments;
+    const groups = [];
+    for (const part of groupList.split(',')) {
+        const range = /^(\d{1,3})(?:-(\d{1,3}))?$/.exec(part.trim());
+        if (!range) throw new Error(`bad group "${part}" in ${value}`);
+        const first = Number(range[1]);
+        const last = range[2] !== undefined ? Number(range[2]) : first;
+        if (last < first) throw new Error(`bad group range "${part}" in ${value}`);
+        for (let group = first; group <= last; group++) {
+            groups.push(group);
+            if (groups.length > MAX_TARGET_GROUPS) throw new Error(`${value} names more than ${MAX_TARGET_GROUPS} groups`);
+        }
+    }
+    return groups.map((group) => {
+        const rangeError = describeCbusAddressRangeError({ network, application, group: String(group) });
+        if (rangeError) throw new Error(rangeError);
+        return `${Number(network)}/${Number(application)}/${group}`;
+    });
+}
+
+function parseState(value, what) {
+    const state = typeof value === 'string' ? value.toLowerCase() : value === true ? 'on' : value === false ? 'off' : '';
+    if (!STATES.includes(state)) throw new Error(`${what} state must be "on" or "off"`);
+    return state;
+}
+
+function parseNumber(value, what, min = -Infinity, max = Infinity) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(Number.isFinite(min) ? `${what} must be a number from ${min} to ${max}` : `${what} must be a number`);
+    }
+    return value;
+}
+
+function parseTime(value, what) {
+    const spec = parseTimeSpec(value);
+    if (!spec) throw new Error(`${what} must be HH:MM, sunrise or sunset (optionally with an offset like sunset+30m)`);
+    return spec;
+}
+
+module.exports = { parseRulesFile, parseAction, parseTargets, MAX_TARGET_GROUPS };
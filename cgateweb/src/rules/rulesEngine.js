@@ -0,0 +1,277 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const { parseRulesFile } = require('./ruleDefinitions');
+const { resolveTimeSpec, isSunSpec } = require('../timeOfDay');
+const { CGATE_LEVEL_MAX, CGATE_CMD_ON } = require('../constants');
+
+/**
+ * Runs local automation rules inside the bridge, so they keep working while
+ * Home Assistant is down.
+ *
+ * Triggers come from the same places MQTT publishing does: standard C-Bus
+ * events (handleEvent, called by the bridge next to DeviceStateManager) and
+ * decoded security and measurement readings (handleReading, fed by
+ * EventPublisher's onReading). Conditions read DeviceStateManager levels and
+ * the clock. Actions are handed to routeCommand as MQTT write topics, so they
+ * take the same validation, command queue and optimistic state path as any
+ * other write.
+ *
+ * A rule's own writes come back from C-Gate as events. To stop a rule that
+ * switches a group it also triggers on from looping, events on an address a
+ * rule wrote within the last rulesEchoWindowMs are not used as triggers.
+ */
+class RulesEngine {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Rules file path (.yaml, .yml or .json)
+     * @param {import('../deviceStateManager')} options.deviceStateManager
+     * @param {(topic: string, payload: string, origin?: Object) => void} options.routeCommand - Normally MqttCommandRouter.routeMessage
+     * @param {() => ({latitude: number, longitude: number}|null)} options.getLocation - For sunrise/sunset conditions
+     * @param {number} options.echoWindowMs - See class note
+     * @param {Object} options.logger - Logger instance
+     * @param {() => number} [options.now] - Clock override (testing)
+     */
+    constructor({ file, deviceStateManager, routeCommand, getLocation, echoWindowMs, logger, now = Date.now }) {
+        this.file = file;
+        this.deviceStateManager = deviceStateManager;
+        this.routeCommand = routeCommand;
+        this.getLocation = getLocation;
+        this.echoWindowMs = echoWindowMs;
+        this.logger = logger;
+        this._now = now;
+        this.rules = [];
+        // address → timer for `for:` actions; a retrigger replaces the timer,
+        // so a PIR that keeps seeing motion keeps the light on.
+        this._offTimers = new Map();
+        // address → ms of the last rule write (echo suppression)
+        this._recentWrites = new Map();
+        // Last security state / measurement range per address, so readings
+        // re-reported unchanged (status reports, repeats) do not refire.
+        this._lastReadingState = new Map();
+        this._warnedNoLocation = false;
+    }
+
+    /**
+     * Load (or reload) the rules file. A missing or broken file leaves no rules
+     * loaded and is logged; it never stops the bridge.
+     * @returns {{loaded: number, errors: Array<string>}}
+     */
+    load() {
+        let text;
+        try {
+            text = fs.readFileSync(this.file, 'utf8');
+        } catch (err) {
+            this.rules = [];
+            if (err.code === 'ENOENT') {
+                this.logger.info(`No rules file at ${this.file}; local rules are off`);
+                return { loaded: 0, errors: [] };
+            }
+            this.logger.warn(`Could not read rules file ${this.file}: ${err.message}`);
+            return { loaded: 0, errors: [err.message] };
+        }
+        const { rules, errors } = parseRulesFile(text, this.file);
+        for (const error of errors) this.logger.warn(`Rules file ${this.file}: ${error}`);
+        this.rules = rules;
+        this._lastReadingState.clear();
+        this.logger.info(`Loaded ${rules.length} local rules from ${this.file}` + (errors.length ? ` (${errors.length} skipped)` : ''));
+        return { loaded: rules.length, errors };
+    }
+
+    /**
+     * Handle a standard C-Bus event (lighting, trigger, …).
+     * @param {import('../cbusEvent')} event
+     */
+    handleEvent(event) {
+        if (this.rules.length === 0) return;
+        const address = `${event.getNetwork()}/${event.getApplication()}/${event.getGroup()}`;
+        if (this._isEcho(address)) return;
+        const rawLevel = event.getLevel();
+        const level = rawLevel !== null
+            ? rawLevel
+            : (event.getAction() === CGATE_CMD_ON.toLowerCase() ? CGATE_LEVEL_MAX : 0);
+        const parts = [event.getNetwork(), event.getApplication(), event.getGroup()];
+
+        for (const rule of this.rules) {
+            const trigger = rule.trigger;
+            if (!rule.enabled || trigger.type !== 'group' || !matchesPattern(trigger.address, parts)) continue;
+            if (trigger.state !== undefined && (trigger.state === 'on') !== (level > 0)) continue;
+            if (trigger.level !== undefined && trigger.level !== level) continue;
+            this._fire(rule, address);
+        }
+    }
+
+    /**
+     * Handle a decoded application reading, as passed to
+     * EventPublisher#publishReading.
+     * @param {string} network
+     * @param {string} application
+     * @param {string} group - Zone, "panel", or "device/channel" for measurement
+     * @param {Object} reading
+     */
+    handleReading(network, application, group, reading) {
+        if (this.rules.length === 0 || !reading) return;
+        if (reading.kind === 'security_zone' || reading.kind === 'security_alarm') {
+            const state = reading.kind === 'security_zone' ? reading.zoneState : reading.alarmState;
+            if (!state) return;
+            this._handleSecurity([network, application, group], String(state).toLowerCase());
+        } else if (reading.kind === 'measurement' && Number.isFinite(reading.value)) {
+            this._handleMeasurement([network, application, ...group.split('/')], reading.value);
+        }
+    }
+
+    /**
+     * Cancel pending `for:` timers.
+     */
+    stop() {
+        for (const timer of this._offTimers.values()) clearTimeout(timer);
+        this._offTimers.clear();
+    }
+
+    /** @private */
+    _handleSecurity(parts, state) {
+        const key = `security:${parts.join('/')}`;
+        if (this._lastReadingState.get(key) === state) return;
+        this._lastReadingState.set(key, state);
+        for (const rule of this.rules) {
+            const trigger = rule.trigger;
+            if (!rule.enabled || trigger.type !== 'security' || !matchesPattern(trigger.address, parts)) continue;
+            if (trigger.state !== null && trigger.state !== state) continue;
+            this._fire(rule, parts.join('/'));
+        }
+    }
+
+    /** @private */
+    _handleMeasurement(parts, value) {
+        const address = parts.join('/');
+        for (const rule of this.rules) {
+            const trigger = rule.trigger;
+            if (!rule.enabled || trigger.type !== 'measurement' || !matchesPattern(trigger.address, parts)) continue;
+            const inRange = (trigger.above === undefined || value > trigger.above)
+                && (trigger.below === undefined || value < trigger.below);
+            // Edge-triggered per rule: fire on entering the range, not on
+            // every reading while inside it.
+            const key = `measurement:${rule.name}:${address}`;
+            const wasInRange = this._lastReadingState.get(key) === true;
+            this._lastReadingState.set(key, inRange);
+            if (inRange && !wasInRange) this._fire(rule, address);
+        }
+    }
+
+    /**
+     * @param {Object} rule
+     * @param {string} source - Address that triggered the rule, for the log
+     * @private
+     */
+    _fire(rule, source) {
+        if (!rule.conditions.every((condition) => this._conditionHolds(condition))) {
+            this.logger.debug(`Rule "${rule.name}" triggered by ${source}; conditions not met`);
+            return;
+        }
+        this.logger.info(`Rule "${rule.name}" fired (triggered by ${source})`);
+        for (const action of rule.actions) {
+            for (const command of action.commands) {
+                this._send(command.address, command.topic, command.payload, rule.name);
+                this._scheduleOff(command, action.forMs, rule.name);
+            }
+        }
+    }
+
+    /** @private */
+    _send(address, topic, payload, ruleName) {
+        const pending = this._offTimers.get(address);
+        if (pending) {
+            clearTimeout(pending);
+            this._offTimers.delete(address);
+        }
+        this._recentWrites.set(address, this._now());
+        try {
+            this.routeCommand(topic, payload, { source: 'rule', client: ruleName });
+        } catch (err) {
+            this.logger.error(`Rule command ${topic} failed: ${err.message}`);
+        }
+    }
+
+    /** @private */
+    _scheduleOff(command, forMs, ruleName) {
+        if (!forMs) return;
+        const offTopic = command.topic.replace(/\/[^/]+$/, '/switch');
+        const timer = setTimeout(() => {
+            this._offTimers.delete(command.address);
+            this.logger.info(`Rule "${ruleName}": turning ${command.address} off after ${forMs / 1000}s`);
+            this._recentWrites.set(command.address, this._now());
+            try {
+                this.routeCommand(offTopic, 'OFF', { source: 'rule', client: ruleName });
+            } catch (err) {
+                this.logger.error(`Rule command ${offTopic} failed: ${err.message}`);
+            }
+        }, forMs);
+        timer.unref();
+        this._offTimers.set(command.address, timer);
+    }
+
+    /** @private */
+    _isEcho(address) {
+        const written = this._recentWrites.get(address);
+        if (written === undefined) return false;
+        if (this._now() - written <= this.echoWindowMs) return true;
+        this._recentWrites.delete(address);
+        return false;
+    }
+
+    /** @private */
+    _conditionHolds(condition) {
+        if (condition.type === 'level') {
+            const [network, application, group] = condition.address.split('/');
+            const level = this.deviceStateManager.getLevel(network, application, group);
+            if (level === undefined) return false;
+            const percent = level / CGATE_LEVEL_MAX * 100;
+            if (condition.state !== undefined && (condition.state === 'on') !== (level > 0)) return false;
+            if (condition.above !== undefined && !(percent > condition.above)) return false;
+            if (condition.below !== undefined && !(percent < condition.below)) return false;
+            return true;
+        }
+        return this._timeConditionHolds(condition);
+    }
+
+    /** @private */
+    _timeConditionHolds(condition) {
+        const now = new Date(this._now());
+        if (condition.weekdays && !condition.weekdays.has(now.getDay())) return false;
+        if (!condition.after && !condition.before) return true;
+
+        const location = this.getLocation();
+        const needsLocation = (condition.after && isSunSpec(condition.after)) || (condition.before && isSunSpec(condition.before));
+        if (needsLocation && !location) {
+            if (!this._warnedNoLocation) {
+                this.logger.warn('A rule uses sunrise/sunset but no location is known; set latitude and longitude. Such conditions count as not met.');
+                this._warnedNoLocation = true;
+            }
+            return false;
+        }
+        const after = condition.after ? resolveTimeSpec(condition.after, now, location) : null;
+        const before = condition.before ? resolveTimeSpec(condition.before, now, location) : null;
+        if ((condition.after && !after) || (condition.before && !before)) return false;
+
+        if (after && before) {
+            // after > before wraps midnight: "after sunset, before sunrise".
+            return after <= before
+                ? now >= after && now < before
+                : now >= after || now < before;
+        }
+        return after ? now >= after : now < /** @type {Date} */ (before);
+    }
+}
+
+/**
+ * @param {Array<string>} pattern - Parsed address pattern ("*" = any)
+ * @param {Array<string>} parts - Concrete address parts
+ * @returns {boolean}
+ */
+function matchesPattern(pattern, parts) {
+    if (pattern.length !== parts.length) return false;
+    return pattern.every((segment, i) => segment === '*' || segment === String(parts[i]));
+}
+
+module.exports = RulesEngine;
@@ -0,0 +1,467 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseAction } = require('./rules/ruleDefinitions');
+const { parseTimeSpec, isSunSpec, resolveTimeSpec, parseWeekdays, WEEKDAYS } = require('./timeOfDay');
+const { resolveSetting } = require('./config/schema');
+const {
+    MQTT_TOPIC_STATUS,
+    MQTT_RETAINED_STATE_OPTIONS,
+    MQTT_STATE_ON,
+    MQTT_STATE_OFF,
+    entityIdFields,
+    HA_COMPONENT_SWITCH,
+    HA_DEVICE_VIA
+} = require('./constants');
+
+const FILE_VERSION = 1;
+const MAX_NAME_LENGTH = 100;
+const MAX_ACTIONS = 16;
+const MAX_ID_LENGTH = 48;
+
+// A tick that arrives much later than scheduled (clock stepped forward, host
+// suspended, event loop blocked) only looks back this far, so it does not
+// replay a backlog of missed schedules in one go.
+const MIN_CATCH_UP_MS = 60 * 1000;
+
+/**
+ * Runs timed group commands inside the bridge, so outdoor lights and blinds
+ * keep their schedule while Home Assistant is down.
+ *
+ * A schedule has a time of day (HH:MM, or sunrise/sunset with an optional
+ * offset), optional weekdays, and one or more actions in the same shape as
+ * rule actions. Schedules are edited over /api/schedules and kept in
+ * schedules_file. Each one is also published as a Home Assistant switch that
+ * enables or disables it.
+ *
+ * A periodic tick runs every schedule whose time fell since the previous
+ * tick. Times missed while the bridge was stopped are not made up.
+ */
+class Scheduler {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Schedules file (JSON)
+     * @param {(topic: string, payload: string, origin?: Object) => void} options.routeCommand - Normally MqttCommandRouter.routeMessage
+     * @param {() => ({latitude: number, longitude: number}|null)} options.getLocation - For sunrise/sunset times
+     * @param {Object} options.mqttClient - Object with publish(topic, payload, opts), for the HA switches
+     * @param {Object} options.settings - Bridge settings (ha_discovery_enabled, ha_discovery_prefix, schedulerTickMs)
+     * @param {Object} options.logger - Logger instance
+     * @param {() => number} [options.now] - Clock override (testing)
+     */
+    constructor({ file, routeCommand, getLocation, mqttClient, settings, logger, now = Date.now }) {
+        this.file = file;
+        this.routeCommand = routeCommand;
+        this.getLocation = getLocation;
+        this.mqttClient = mqttClient;
+        this.settings = settings || {};
+        this.logger = logger;
+        this._now = now;
+        // id → { definition, parsed, lastRun }
+        this._schedules = new Map();
+        this._timerId = null;
+        this._lastTick = null;
+        this._discoveryPublished = false;
+        this._warnedNoLocation = false;
+    }
+
+    /**
+     * Load schedules_file. A missing file is an empty schedule list; a broken
+     * one is logged and leaves no schedules loaded (and is not overwritten
+     * until the next edit).
+     * @returns {number} Schedules loaded
+     */
+    load() {
+        this._schedules.clear();
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.warn(`Could not read schedules file ${this.file}: ${err.message}`);
+            }
+            return 0;
+        }
+        const list = data && Array.isArray(data.schedules) ? data.schedules : [];
+        for (const raw of list) {
+            const id = raw && typeof raw.id === 'string' ? raw.id : '';
+            try {
+                if (!/^[a-z0-9_]{1,64}$/.test(id) || this._schedules.has(id)) throw new Error('bad or duplicate id');
+                this._schedules.set(id, { ...parseSchedule(raw, id), lastRun: null });
+            } catch (err) {
+                this.logger.warn(`Schedules file ${this.file}: skipping "${id || (raw && raw.name) || '?'}": ${err.message}`);
+            }
+        }
+        this.logger.info(`Loaded ${this._schedules.size} schedules from ${this.file}`);
+        return this._schedules.size;
+    }
+
+    /**
+     * Start the tick and publish the Home Assistant switches.
+     */
+    start() {
+        this.stop();
+        this._lastTick = this._now();
+        const tickMs = resolveSetting(this.settings, 'schedulerTickMs');
+        this._timerId = setInterval(() => this._tick(), tickMs);
+        this._timerId.unref();
+        this._publishAll();
+        this._discoveryPublished = true;
+    }
+
+    stop() {
+        if (this._timerId) {
+            clearInterval(this._timerId);
+            this._timerId = null;
+        }
+    }
+
+    /**
+     * Republish the retained switch configs and states, after a broker
+     * reconnect may have dropped them. No-op before start().
+     */
+    republishDiscovery() {
+        if (!this._discoveryPublished) return;
+        this._publishAll();
+    }
+
+    /**
+     * @returns {Array<Object>} Every schedule's definition plus its next and last run
+     */
+    list() {
+        const now = new Date(this._now());
+        return [...this._schedules.values()].map((entry) => this._describe(entry, now));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        const entry = this._schedules.get(id);
+        return entry ? this._describe(entry, new Date(this._now())) : null;
+    }
+
+    /**
+     * Add a schedule. The id is derived from the name.
+     * @param {*} raw - Definition without an id
+     * @returns {{schedule: Object}|{error: string, status?: number}}
+     */
+    create(raw) {
+        const baseName = raw && typeof raw.name === 'string' ? raw.name : '';
+        const id = this._uniqueId(slugify(baseName));
+        return this._put(id, raw, true);
+    }
+
+    /**
+     * Replace a schedule's definition, keeping its id.
+     * @param {string} id
+     * @param {*} raw
+     * @returns {{schedule: Object}|{error: string, status?: number}|null} null when there is no such schedule
+     */
+    update(id, raw) {
+        if (!this._schedules.has(id)) return null;
+        return this._put(id, raw, false);
+    }
+
+    /**
+     * Delete a schedule and retract its Home Assistant switch.
+     * @param {string} id
+     * @returns {{deleted: true}|{error: string, status?: number}|null} null when there is no such schedule
+     */
+    remove(id) {
+        const entry = this._schedules.get(id);
+        if (!entry) return null;
+        this._schedules.delete(id);
+        if (!this._save()) {
+            this._schedules.set(id, entry);
+            return { error: 'Could not write the schedules file', status: 500 };
+        }
+        this._retract(id);
+        this.logger.info(`Schedule "${entry.definition.name}" deleted`);
+        return { deleted: true };
+    }
+
+    /**
+     * Enable or disable a schedule (the HA switch and the web UI toggle).
+     * When the file cannot be written the schedule keeps its previous state,
+     * which is republished so the HA switch flips back.
+     * @param {string} id
+     * @param {boolean} enabled
+     * @returns {{schedule: Object}|{error: string, status?: number}|null} null when there is no such schedule
+     */
+    setEnabled(id, enabled) {
+        const entry = this._schedules.get(id);
+        if (!entry) {
+            this.logger.warn(`Enable request for unknown schedule "${id}"`);
+            return null;
+        }
+        if (entry.definition.enabled !== enabled) {
+            entry.definition.enabled = enabled;
+            if (!this._save()) {
+                entry.definition.enabled = !enabled;
+                this._publishState(id, entry);
+                return { error: 'Could not write the schedules file', status: 500 };
+            }
+            this.logger.info(`Schedule "${entry.definition.name}" ${enabled ? 'enabled' : 'disabled'}`);
+        }
+        this._publishState(id, entry);
+        return { schedule: this._describe(entry, new Date(this._now())) };
+    }
+
+    /** @private */
+    _put(id, raw, isNew) {
+        let parsedEntry;
+        try {
+            parsedEntry = parseSchedule(raw, id);
+        } catch (err) {
+            return { error: err.message };
+        }
+        const previous = this._schedules.get(id);
+        const entry = { ...parsedEntry, lastRun: previous ? previous.lastRun : null };
+        this._schedules.set(id, entry);
+        if (!this._save()) {
+            if (previous) this._schedules.set(id, previous);
+            else this._schedules.delete(id);
+            return { error: 'Could not write the schedules file', status: 500 };
+        }
+        this.logger.info(`Schedule "${entry.definition.name}" ${isNew ? 'created' : 'updated'}`);
+        if (this._discoveryPublished) this._publishSchedule(id, entry);
+        return { schedule: this._describe(entry, new Date(this._now())) };
+    }
+
+    /** @private */
+    _tick() {
+        const now = this._now();
+        const tickMs = resolveSetting(this.settings, 'schedulerTickMs');
+        const since = Math.max(this._lastTick, now - Math.max(tickMs * 2, MIN_CATCH_UP_MS));
+        this._lastTick = now;
+        if (now <= since) return;
+
+        const today = new Date(now);
+        // Yesterday too, so a window spanning midnight still sees the times
+        // that fell just before it.
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1, 12);
+        for (const [id, entry] of this._schedules) {
+            if (!entry.definition.enabled) continue;
+            for (const day of [yesterday, today]) {
+                const runAt = this._runTimeOn(entry, day);
+                if (runAt && runAt.getTime() > since && runAt.getTime() <= now) {
+                    this._run(id, entry);
+                    break;
+                }
+            }
+        }
+    }
+
+    /** @private */
+    _run(id, entry) {
+        entry.lastRun = this._now();
+        this.logger.info(`Schedule "${entry.definition.name}" running`);
+        for (const action of entry.parsed.actions) {
+            for (const command of action.commands) {
+                try {
+                    this.routeCommand(command.topic, command.payload, { source: 'schedule', client: entry.definition.name });
+                } catch (err) {
+                    this.logger.error(`Schedule "${id}" command ${command.topic} failed: ${err.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * When the schedule falls on the local day containing `day`.
+     * @returns {Date|null} null when it does not run that day or the time cannot be resolved
+     * @private
+     */
+    _runTimeOn(entry, day) {
+        const { time, weekdays } = entry.parsed;
+        if (weekdays && !weekdays.has(day.getDay())) return null;
+        const location = this.getLocation();
+        if (isSunSpec(time) && !location) {
+            if (!this._warnedNoLocation) {
+                this.logger.warn('A schedule uses sunrise/sunset but no location is known; set latitude and longitude. Such schedules do not run.');
+                this._warnedNoLocation = true;
+            }
+            return null;
+        }
+        return resolveTimeSpec(time, day, location);
+    }
+
+    /**
+     * @returns {Date|null}
+     * @private
+     */
+    _nextRun(entry, from) {
+        for (let offset = 0; offset <= 7; offset++) {
+            const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset, 12);
+            const runAt = this._runTimeOn(entry, day);
+            if (runAt && runAt > from) return runAt;
+        }
+        return null;
+    }
+
+    /** @private */
+    _describe(entry, now) {
+        const nextRun = entry.definition.enabled ? this._nextRun(entry, now) : null;
+        return {
+            ...entry.definition,
+            nextRun: nextRun ? nextRun.toISOString() : null,
+            lastRun: entry.lastRun ? new Date(entry.lastRun).toISOString() : null
+        };
+    }
+
+    /** @private */
+    _uniqueId(base) {
+        let id = base;
+        for (let n = 2; this._schedules.has(id); n++) id = `${base}_${n}`;
+        return id;
+    }
+
+    /**
+     * @returns {boolean} true if the file was written
+     * @private
+     */
+    _save() {
+        const data = {
+            version: FILE_VERSION,
+            schedules: [...this._schedules.values()].map((entry) => entry.definition)
+        };
+        const tmpFile = `${this.file}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+            fs.renameSync(tmpFile, this.file);
+            return true;
+        } catch (err) {
+            this.logger.warn(`Could not write schedules file ${this.file}: ${err.message}`);
+            return false;
+        }
+    }
+
+    /** @private */
+    _publishAll() {
+        for (const [id, entry] of this._schedules) this._publishSchedule(id, entry);
+    }
+
+    /** @private */
+    _publishSchedule(id, entry) {
+        if (this.settings.ha_discovery_enabled) {
+            const objectId = `cgateweb_schedule_${id}`;
+            const payload = {
+                name: `Schedule ${entry.definition.name}`,
+                unique_id: objectId,
+                ...entityIdFields(HA_COMPONENT_SWITCH, objectId),
+                command_topic: enableCommandTopic(id),
+                state_topic: enableStateTopic(id),
+                payload_on: MQTT_STATE_ON,
+                payload_off: MQTT_STATE_OFF,
+                icon: 'mdi:calendar-clock',
+                entity_category: 'config',
+                availability_topic: MQTT_TOPIC_STATUS,
+                payload_available: 'Online',
+                payload_not_available: 'Offline',
+                device: {
+                    identifiers: [HA_DEVICE_VIA],
+                    name: 'cgateweb Bridge',
+                    manufacturer: 'Clipsal C-Bus via cgateweb',
+                    model: 'Bridge Diagnostics'
+                }
+            };
+            this.mqttClient.publish(discoveryTopic(this.settings, id), JSON.stringify(payload), MQTT_RETAINED_STATE_OPTIONS);
+        }
+        this._publishState(id, entry);
+    }
+
+    /** @private */
+    _publishState(id, entry) {
+        this.mqttClient.publish(enableStateTopic(id), entry.definition.enabled ? MQTT_STATE_ON : MQTT_STATE_OFF, MQTT_RETAINED_STATE_OPTIONS);
+    }
+
+    /**
+     * Clear the retained config and state so the switch disappears from HA.
+     * @private
+     */
+    _retract(id) {
+        if (this.settings.ha_discovery_enabled) {
+            this.mqttClient.publish(discoveryTopic(this.settings, id), '', MQTT_RETAINED_STATE_OPTIONS);
+        }
+        this.mqttClient.publish(enableStateTopic(id), '', MQTT_RETAINED_STATE_OPTIONS);
+    }
+}
+
+/**
+ * Validate a schedule definition.
+ * @param {*} raw
+ * @param {string} id
+ * @returns {{definition: Object, parsed: {time: Object, weekdays: Set<number>|null, actions: Array<Object>}}}
+ */
+function parseSchedule(raw, id) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('schedule must be an object');
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) throw new Error(`name must be 1-${MAX_NAME_LENGTH} characters`);
+
+    const time = parseTimeSpec(raw.time);
+    if (!time) throw new Error('time must be HH:MM, sunrise or sunset (optionally with an offset like sunset-15m)');
+
+    let weekdays = null;
+    if (raw.weekdays !== undefined && raw.weekdays !== null) {
+        weekdays = parseWeekdays(raw.weekdays);
+        if (!weekdays || weekdays.size === 0) throw new Error('weekdays must be a non-empty list of day names');
+    }
+
+    const actions = Array.isArray(raw.actions) ? raw.actions : [];
+    if (actions.length === 0 || actions.length > MAX_ACTIONS) throw new Error(`needs 1-${MAX_ACTIONS} actions`);
+    const parsedActions = actions.map((action) => {
+        // Rule actions can switch off again after "for"; a timer would not
+        // survive a restart, so a schedule that needs one uses a second schedule.
+        if (action && action.for !== undefined) throw new Error('"for" is not supported on schedules; add a second schedule instead');
+        return parseAction(action);
+    });
+
+    const definition = {
+        id,
+        name,
+        enabled: raw.enabled !== false,
+        time: raw.time.trim().toLowerCase()
+    };
+    if (weekdays) definition.weekdays = WEEKDAYS.filter((_, day) => weekdays.has(day));
+    definition.actions = actions.map(copyAction);
+    return { definition, parsed: { time, weekdays, actions: parsedActions } };
+}
+
+/**
+ * Keep only the fields an action uses, so the file holds what was validated.
+ * @param {Object} action
+ * @returns {Object}
+ */
+function copyAction(action) {
+    const copy = { type: action.type, address: action.address.trim() };
+    if (action.level !== undefined) copy.level = action.level;
+    if (action.rampTime !== undefined) copy.rampTime = action.rampTime;
+    return copy;
+}
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function slugify(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, MAX_ID_LENGTH);
+    return slug || 'schedule';
+}
+
+function enableCommandTopic(id) {
+    return `cbus/write/bridge/schedule/${id}/enabled`;
+}
+
+function enableStateTopic(id) {
+    return `cbus/read/bridge/schedule/${id}/enabled`;
+}
+
+function discoveryTopic(settings, id) {
+    return `${resolveSetting(settings, 'ha_discovery_prefix')}/${HA_COMPONENT_SWITCH}/cgateweb_schedule_${id}/config`;
+}
+
+module.exports = Scheduler;
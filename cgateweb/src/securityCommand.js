@@ -86,6 +86,31 @@ function buildSecurityEmulateKeypadCommand({ cbusname, network, application, key
     return `security emulate_keypad //${cbusname}/${network}/${application} ${hexKey}`;
 }
 
+// Keys a zone isolate sequence may contain: printable ASCII without the
+// space, so a sequence is typed exactly as written on the panel's keypad.
+const SECURITY_KEY_SEQUENCE_REGEX = /^[\x21-\x7E]+$/;
+
+/**
+ * Expand a zone isolate or de-isolate key sequence (cbus_security_isolate_keys)
+ * for one zone: `{zone}` becomes the zone number and `{zone2}` the number
+ * padded to two digits, so `*1{zone2}#` for zone 7 is `*107#`.
+ *
+ * The sequence is panel-specific — the Security application has no isolate
+ * message, so isolation is typed on an emulated keypad like the disarm PIN.
+ *
+ * @param {string} template - The configured sequence.
+ * @param {string|number} zone
+ * @returns {string|null} The keys to send, or null when the sequence is
+ *   empty or contains anything but printable ASCII.
+ */
+function expandSecurityKeySequence(template, zone) {
+    if (typeof template !== 'string') return null;
+    const keys = template.trim()
+        .replace(/\{zone2\}/g, String(zone).padStart(2, '0'))
+        .replace(/\{zone\}/g, String(zone));
+    return SECURITY_KEY_SEQUENCE_REGEX.test(keys) ? keys : null;
+}
+
 /**
  * Build a `security request_zone_name` command (C-Gate manual §4.5).
  * The panel replies with a zone_name event carrying the 11-character name.
@@ -105,5 +130,6 @@ module.exports = {
     buildSecurityStatusRequest,
     buildSecurityArmCommand,
     buildSecurityEmulateKeypadCommand,
-    buildSecurityRequestZoneName
+    buildSecurityRequestZoneName,
+    expandSecurityKeySequence
 };
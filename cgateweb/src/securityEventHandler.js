@@ -221,6 +221,27 @@ class SecurityEventHandler {
         }
     }
 
+    /**
+     * Panel-state snapshot for the bridge-wide device state file.
+     * @returns {Object}
+     */
+    getPanelStateSnapshot() {
+        return this.panelState.toJSON();
+    }
+
+    /**
+     * Seed panel state from the bridge-wide device state file. Skipped when
+     * this handler keeps its own panel-state file: that one is written on
+     * every change, so it is never older than the periodic snapshot.
+     * @param {Object} data - A getPanelStateSnapshot() result
+     * @returns {boolean} true if the snapshot was applied
+     */
+    restorePanelStateSnapshot(data) {
+        if (this._panelStateFile || !data) return false;
+        this.panelState.restore(data);
+        return true;
+    }
+
     /**
      * Whether a raw event line is security-application traffic (a
      * `security <verb> ...` line, optionally `#`-comment-prefixed), regardless
@@ -0,0 +1,401 @@
+// @ts-check
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseTargets, MAX_TARGET_GROUPS } = require('./rules/ruleDefinitions');
+const { parseDurationMs } = require('./utils');
+const { resolveSetting } = require('./config/schema');
+const {
+    MQTT_TOPIC_PREFIX_WRITE,
+    MQTT_CMD_TYPE_RAMP,
+    MQTT_TOPIC_STATUS,
+    MQTT_RETAINED_STATE_OPTIONS,
+    MQTT_STATE_ON,
+    CGATE_LEVEL_MAX,
+    entityIdFields,
+    HA_COMPONENT_SCENE,
+    HA_DEVICE_VIA
+} = require('./constants');
+
+const FILE_VERSION = 1;
+const MAX_NAME_LENGTH = 100;
+const SCENE_ID_PATTERN = /^[a-z0-9_]{1,64}$/;
+// Same shape CBusCommand accepts after the comma of a ramp payload.
+const RAMP_TIME_PATTERN = /^\d+(\.\d+)?(ms|s|m|h)?$/;
+
+/**
+ * Bridge-managed scenes: a named set of groups and the levels they had when
+ * the scene was captured, restored on request. Unlike the C-Bus Scene Module
+ * (sceneCommand.js) nothing is stored on the bus, so no module is needed.
+ *
+ * Capturing reads the levels from DeviceStateManager. Groups C-Gate has not
+ * reported yet are left out and named in the result; when a scene is captured
+ * again they keep their earlier level instead. Activating sends one ramp
+ * per group through routeCommand, with the group's own ramp time, so it takes
+ * the same queue and optimistic state path as an MQTT write.
+ *
+ * Scenes are kept in scenes_file and each one is published as a Home
+ * Assistant scene entity.
+ */
+class SoftSceneManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Scenes file (JSON)
+     * @param {import('./deviceStateManager')} options.deviceStateManager
+     * @param {(topic: string, payload: string, origin?: Object) => void} options.routeCommand - Normally MqttCommandRouter.routeMessage
+     * @param {Object} options.mqttClient - Object with publish(topic, payload, opts), for the HA scene entities
+     * @param {Object} options.settings - Bridge settings (ha_discovery_enabled, ha_discovery_prefix)
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor({ file, deviceStateManager, routeCommand, mqttClient, settings, logger }) {
+        this.file = file;
+        this.deviceStateManager = deviceStateManager;
+        this.routeCommand = routeCommand;
+        this.mqttClient = mqttClient;
+        this.settings = settings || {};
+        this.logger = logger;
+        // id → { id, name, members: [{ address, level, rampTime }] }
+        this._scenes = new Map();
+        this._discoveryPublished = false;
+    }
+
+    /**
+     * Load scenes_file. A missing file is no scenes; a broken entry is
+     * skipped with a warning.
+     * @returns {number} Scenes loaded
+     */
+    load() {
+        this._scenes.clear();
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.warn(`Could not read scenes file ${this.file}: ${err.message}`);
+            }
+            return 0;
+        }
+        const list = data && Array.isArray(data.scenes) ? data.scenes : [];
+        for (const raw of list) {
+            const id = raw && typeof raw.id === 'string' ? raw.id : '';
+            try {
+                if (!SCENE_ID_PATTERN.test(id) || this._scenes.has(id)) throw new Error('bad or duplicate id');
+                this._scenes.set(id, parseScene(raw, id));
+            } catch (err) {
+                this.logger.warn(`Scenes file ${this.file}: skipping "${id || '?'}": ${err.message}`);
+            }
+        }
+        this.logger.info(`Loaded ${this._scenes.size} scenes from ${this.file}`);
+        return this._scenes.size;
+    }
+
+    /**
+     * Publish the Home Assistant scene entities.
+     */
+    start() {
+        for (const scene of this._scenes.values()) this._publishDiscovery(scene);
+        this._discoveryPublished = true;
+    }
+
+    /**
+     * Republish the retained scene configs after a broker reconnect may have
+     * dropped them. No-op before start().
+     */
+    republishDiscovery() {
+        if (!this._discoveryPublished) return;
+        this.start();
+    }
+
+    /**
+     * @returns {Array<Object>}
+     */
+    list() {
+        return [...this._scenes.values()].map(describeScene);
+    }
+
+    /**
+     * Snapshot current levels into a scene, creating it if needed.
+     *
+     * A new scene needs `name` and `groups` (addresses, ranges allowed as in
+     * rule actions). For an existing scene both are optional: without
+     * `groups` its current groups are captured again, keeping their ramp
+     * times.
+     *
+     * @param {string} id
+     * @param {{name?: string, groups?: Array<string>|string, rampTime?: string}} request
+     * @returns {{scene: Object, missing: Array<string>}|{error: string, status?: number}}
+     */
+    capture(id, request) {
+        if (!SCENE_ID_PATTERN.test(id)) return { error: 'scene id must be lowercase letters, digits and _' };
+        const req = request && typeof request === 'object' ? request : {};
+        const existing = this._scenes.get(id);
+
+        const name = req.name !== undefined ? req.name : existing && existing.name;
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+        }
+        if (req.rampTime !== undefined && !isRampTime(req.rampTime)) {
+            return { error: 'rampTime must look like "4s" or "2m"' };
+        }
+
+        let addresses;
+        if (req.groups !== undefined) {
+            try {
+                addresses = [];
+                for (const target of [].concat(req.groups)) addresses.push(...parseTargets(target));
+            } catch (err) {
+                return { error: err.message };
+            }
+            addresses = [...new Set(addresses)];
+            if (addresses.length > MAX_TARGET_GROUPS) return { error: `a scene can hold at most ${MAX_TARGET_GROUPS} groups` };
+        } else if (existing) {
+            addresses = existing.members.map((member) => member.address);
+        } else {
+            return { error: 'groups is required for a new scene' };
+        }
+
+        const previous = new Map(existing ? existing.members.map((member) => [member.address, member]) : []);
+        const members = [];
+        const missing = [];
+        for (const address of addresses) {
+            const [network, application, group] = address.split('/');
+            const earlier = previous.get(address);
+            // A group with no level yet keeps the level it was captured with
+            // before, if any; otherwise it is left out.
+            const level = this.deviceStateManager.getLevel(network, application, group)
+                ?? (earlier ? earlier.level : undefined);
+            if (level === undefined) {
+                missing.push(address);
+                continue;
+            }
+            const rampTime = req.rampTime !== undefined ? req.rampTime : (earlier ? earlier.rampTime : null);
+            members.push({ address, level, rampTime });
+        }
+        if (members.length === 0) {
+            return { error: 'None of the groups has a known level yet', status: 409 };
+        }
+
+        const scene = { id, name: name.trim(), members };
+        const result = this._store(scene);
+        if (result) return result;
+        this.logger.info(`Scene "${scene.name}" captured (${members.length} groups${missing.length ? `, ${missing.length} without a level skipped` : ''})`);
+        return { scene: describeScene(scene), missing };
+    }
+
+    /**
+     * Replace a scene's name and members, e.g. to change per-group levels or
+     * ramp times.
+     * @param {string} id
+     * @param {*} raw - { name, members: [{ address, level (0-255), rampTime }] }
+     * @returns {{scene: Object}|{error: string, status?: number}|null} null when there is no such scene
+     */
+    update(id, raw) {
+        if (!this._scenes.has(id)) return null;
+        let scene;
+        try {
+            scene = parseScene(raw, id);
+        } catch (err) {
+            return { error: err.message };
+        }
+        const result = this._store(scene);
+        if (result) return result;
+        this.logger.info(`Scene "${scene.name}" updated`);
+        return { scene: describeScene(scene) };
+    }
+
+    /**
+     * @param {string} id
+     * @returns {{deleted: true}|{error: string, status?: number}|null} null when there is no such scene
+     */
+    remove(id) {
+        const scene = this._scenes.get(id);
+        if (!scene) return null;
+        this._scenes.delete(id);
+        if (!this._save()) {
+            this._scenes.set(id, scene);
+            return { error: 'Could not write the scenes file', status: 500 };
+        }
+        if (this.settings.ha_discovery_enabled) {
+            this.mqttClient.publish(discoveryTopic(this.settings, id), '', MQTT_RETAINED_STATE_OPTIONS);
+        }
+        this.logger.info(`Scene "${scene.name}" deleted`);
+        return { deleted: true };
+    }
+
+    /**
+     * Restore a scene's levels.
+     * @param {string} id
+     * @returns {boolean} false when there is no such scene
+     */
+    activate(id) {
+        const scene = this._scenes.get(id);
+        if (!scene) {
+            this.logger.warn(`Activate request for unknown scene "${id}"`);
+            return false;
+        }
+        this.logger.info(`Activating scene "${scene.name}"`);
+        for (const member of scene.members) {
+            // Fractional percent so the router's percent-to-level rounding
+            // lands back on the captured 0-255 level exactly.
+            let payload = (member.level / CGATE_LEVEL_MAX * 100).toFixed(2);
+            if (member.rampTime) payload += `,${member.rampTime}`;
+            try {
+                this.routeCommand(`${MQTT_TOPIC_PREFIX_WRITE}/${member.address}/${MQTT_CMD_TYPE_RAMP}`, payload, { source: 'scene', client: scene.name });
+            } catch (err) {
+                this.logger.error(`Scene "${id}" command for ${member.address} failed: ${err.message}`);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Handle cbus/write/bridge/scene/{id}/{activate|capture|delete}. A
+     * capture payload is empty (capture the scene's groups again) or a JSON
+     * object as taken by capture().
+     * @param {string} id
+     * @param {string} action
+     * @param {string} payload
+     */
+    handleCommand(id, action, payload) {
+        if (action === 'activate') {
+            this.activate(id);
+            return;
+        }
+        if (action === 'delete') {
+            const result = this.remove(id);
+            if (!result) this.logger.warn(`Delete request for unknown scene "${id}"`);
+            else if ('error' in result) this.logger.warn(`Scene "${id}": ${result.error}`);
+            return;
+        }
+        let request = {};
+        const text = String(payload || '').trim();
+        if (text) {
+            try {
+                request = JSON.parse(text);
+            } catch (err) {
+                this.logger.warn(`Scene capture for "${id}" ignored: payload is not JSON (${err.message})`);
+                return;
+            }
+        }
+        const result = this.capture(id, request);
+        if ('error' in result) this.logger.warn(`Scene capture for "${id}" failed: ${result.error}`);
+    }
+
+    /**
+     * Put a scene in place and save, rolling back if the file cannot be
+     * written.
+     * @returns {{error: string, status: number}|null} null on success
+     * @private
+     */
+    _store(scene) {
+        const previous = this._scenes.get(scene.id);
+        this._scenes.set(scene.id, scene);
+        if (!this._save()) {
+            if (previous) this._scenes.set(scene.id, previous);
+            else this._scenes.delete(scene.id);
+            return { error: 'Could not write the scenes file', status: 500 };
+        }
+        if (this._discoveryPublished) this._publishDiscovery(scene);
+        return null;
+    }
+
+    /**
+     * @returns {boolean} true if the file was written
+     * @private
+     */
+    _save() {
+        const data = { version: FILE_VERSION, scenes: [...this._scenes.values()] };
+        const tmpFile = `${this.file}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+            fs.renameSync(tmpFile, this.file);
+            return true;
+        } catch (err) {
+            this.logger.warn(`Could not write scenes file ${this.file}: ${err.message}`);
+            return false;
+        }
+    }
+
+    /** @private */
+    _publishDiscovery(scene) {
+        if (!this.settings.ha_discovery_enabled) return;
+        const objectId = `cgateweb_softscene_${scene.id}`;
+        const payload = {
+            name: scene.name,
+            unique_id: objectId,
+            ...entityIdFields(HA_COMPONENT_SCENE, objectId),
+            command_topic: `${MQTT_TOPIC_PREFIX_WRITE}/bridge/scene/${scene.id}/activate`,
+            payload_on: MQTT_STATE_ON,
+            retain: false,
+            availability_topic: MQTT_TOPIC_STATUS,
+            payload_available: 'Online',
+            payload_not_available: 'Offline',
+            device: {
+                identifiers: [HA_DEVICE_VIA],
+                name: 'cgateweb Bridge',
+                manufacturer: 'Clipsal C-Bus via cgateweb',
+                model: 'Bridge Diagnostics'
+            }
+        };
+        this.mqttClient.publish(discoveryTopic(this.settings, scene.id), JSON.stringify(payload), MQTT_RETAINED_STATE_OPTIONS);
+    }
+}
+
+/**
+ * Validate a stored or edited scene.
+ * @param {*} raw
+ * @param {string} id
+ * @returns {{id: string, name: string, members: Array<{address: string, level: number, rampTime: string|null}>}}
+ */
+function parseScene(raw, id) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('scene must be an object');
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) throw new Error(`name must be 1-${MAX_NAME_LENGTH} characters`);
+    if (!Array.isArray(raw.members) || raw.members.length === 0) throw new Error('members must be a non-empty list');
+    if (raw.members.length > MAX_TARGET_GROUPS) throw new Error(`a scene can hold at most ${MAX_TARGET_GROUPS} groups`);
+
+    const seen = new Set();
+    const members = raw.members.map((member) => {
+        if (!member || typeof member !== 'object') throw new Error('each member must be an object');
+        const targets = parseTargets(member.address);
+        if (targets.length !== 1) throw new Error(`member address ${member.address} must be a single group`);
+        const address = targets[0];
+        if (seen.has(address)) throw new Error(`${address} is listed twice`);
+        seen.add(address);
+        const level = member.level;
+        if (!Number.isInteger(level) || level < 0 || level > CGATE_LEVEL_MAX) {
+            throw new Error(`level for ${address} must be an integer from 0 to ${CGATE_LEVEL_MAX}`);
+        }
+        const rampTime = member.rampTime === undefined || member.rampTime === null ? null : member.rampTime;
+        if (rampTime !== null && !isRampTime(rampTime)) throw new Error(`rampTime for ${address} must look like "4s" or "2m"`);
+        return { address, level, rampTime };
+    });
+    return { id, name, members };
+}
+
+function isRampTime(value) {
+    return typeof value === 'string' && RAMP_TIME_PATTERN.test(value) && parseDurationMs(value) !== null;
+}
+
+/**
+ * @param {{id: string, name: string, members: Array<Object>}} scene
+ * @returns {Object}
+ */
+function describeScene(scene) {
+    return {
+        id: scene.id,
+        name: scene.name,
+        members: scene.members.map((member) => ({
+            ...member,
+            levelPercent: Math.round(member.level / CGATE_LEVEL_MAX * 100)
+        }))
+    };
+}
+
+function discoveryTopic(settings, id) {
+    return `${resolveSetting(settings, 'ha_discovery_prefix')}/${HA_COMPONENT_SCENE}/cgateweb_softscene_${id}/config`;
+}
+
+module.exports = SoftSceneManager;
@@ -0,0 +1,68 @@
+// @ts-check
+'use strict';
+
+/**
+ * Local sunrise/sunset calculation, so time-of-day logic in the bridge keeps
+ * working without Home Assistant's sun integration.
+ *
+ * NOAA solar position algorithm (the "General Solar Position Calculations"
+ * sheet), using the standard -0.833° zenith for the upper limb plus
+ * refraction. Accurate to about a minute at non-polar latitudes, which is all
+ * a lighting schedule needs.
+ */
+
+const DEG = Math.PI / 180;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const SUN_ALTITUDE_DEG = -0.833;
+
+/**
+ * Sunrise and sunset for the calendar day containing `date`, where the day is
+ * the local day at the given longitude (solar noon anchors the calculation).
+ *
+ * @param {Date} date - Any instant within the wanted day
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @returns {{sunrise: Date|null, sunset: Date|null}} null for both during polar day or night
+ */
+function getSunTimes(date, latitude, longitude) {
+    // Day number relative to J2000, taken at local solar noon so the result
+    // belongs to the right calendar day whatever the time zone.
+    const noonUtcMs = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12) - (longitude / 15) * 3600 * 1000;
+    const julianDay = noonUtcMs / MS_PER_DAY + 2440587.5;
+    const centuries = (julianDay - 2451545) / 36525;
+
+    const meanLongitude = (280.46646 + centuries * (36000.76983 + centuries * 0.0003032)) % 360;
+    const meanAnomaly = 357.52911 + centuries * (35999.05029 - 0.0001537 * centuries);
+    const eccentricity = 0.016708634 - centuries * (0.000042037 + 0.0000001267 * centuries);
+    const center = Math.sin(meanAnomaly * DEG) * (1.914602 - centuries * (0.004817 + 0.000014 * centuries))
+        + Math.sin(2 * meanAnomaly * DEG) * (0.019993 - 0.000101 * centuries)
+        + Math.sin(3 * meanAnomaly * DEG) * 0.000289;
+    const apparentLongitude = meanLongitude + center - 0.00569 - 0.00478 * Math.sin((125.04 - 1934.136 * centuries) * DEG);
+    const meanObliquity = 23 + (26 + (21.448 - centuries * (46.815 + centuries * (0.00059 - centuries * 0.001813))) / 60) / 60;
+    const obliquity = meanObliquity + 0.00256 * Math.cos((125.04 - 1934.136 * centuries) * DEG);
+    const declination = Math.asin(Math.sin(obliquity * DEG) * Math.sin(apparentLongitude * DEG));
+
+    const y = Math.tan(obliquity / 2 * DEG) ** 2;
+    const equationOfTimeMin = 4 / DEG * (y * Math.sin(2 * meanLongitude * DEG)
+        - 2 * eccentricity * Math.sin(meanAnomaly * DEG)
+        + 4 * eccentricity * y * Math.sin(meanAnomaly * DEG) * Math.cos(2 * meanLongitude * DEG)
+        - 0.5 * y * y * Math.sin(4 * meanLongitude * DEG)
+        - 1.25 * eccentricity * eccentricity * Math.sin(2 * meanAnomaly * DEG));
+
+    const cosHourAngle = (Math.sin(SUN_ALTITUDE_DEG * DEG) - Math.sin(latitude * DEG) * Math.sin(declination))
+        / (Math.cos(latitude * DEG) * Math.cos(declination));
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+        return { sunrise: null, sunset: null };
+    }
+    const hourAngleDeg = Math.acos(cosHourAngle) / DEG;
+
+    // Solar noon in minutes after 00:00 UTC of the UTC day holding noonUtcMs.
+    const utcMidnightMs = Math.floor(noonUtcMs / MS_PER_DAY) * MS_PER_DAY;
+    const solarNoonMin = 720 - 4 * longitude - equationOfTimeMin;
+    return {
+        sunrise: new Date(utcMidnightMs + (solarNoonMin - 4 * hourAngleDeg) * 60000),
+        sunset: new Date(utcMidnightMs + (solarNoonMin + 4 * hourAngleDeg) * 60000)
+    };
+}
+
+module.exports = { getSunTimes };
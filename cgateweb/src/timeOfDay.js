@@ -0,0 +1,96 @@
+// @ts-check
+'use strict';
+
+const { getSunTimes } = require('./sunTimes');
+const { parseDurationMs } = require('./utils');
+
+/**
+ * Time-of-day specs shared by bridge-side automation: a wall-clock time
+ * ("22:30") or a sun event with an optional offset ("sunset", "sunrise-30m",
+ * "sunset+1h"). Wall-clock times are in the process's local time zone, which is
+ * the add-on's configured Home Assistant time zone.
+ */
+
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const SUN_PATTERN = /^(sunrise|sunset)(?:([+-])(.+))?$/;
+
+const WEEKDAYS = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
+
+/**
+ * @typedef {{kind: 'clock', minutes: number}|{kind: 'sunrise'|'sunset', offsetMs: number}} TimeSpec
+ */
+
+/**
+ * Parse a time-of-day spec.
+ * @param {string} value
+ * @returns {TimeSpec|null} null when the value is not a time spec
+ */
+function parseTimeSpec(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim().toLowerCase();
+    const clock = CLOCK_PATTERN.exec(text);
+    if (clock) {
+        return { kind: 'clock', minutes: Number(clock[1]) * 60 + Number(clock[2]) };
+    }
+    const sun = SUN_PATTERN.exec(text.replace(/\s+/g, ''));
+    if (!sun) return null;
+    let offsetMs = 0;
+    if (sun[2]) {
+        const parsed = parseDurationMs(sun[3]);
+        if (parsed === null) return null;
+        offsetMs = sun[2] === '-' ? -parsed : parsed;
+    }
+    return { kind: /** @type {'sunrise'|'sunset'} */ (sun[1]), offsetMs };
+}
+
+/**
+ * Whether a spec needs a location to resolve.
+ * @param {TimeSpec} spec
+ * @returns {boolean}
+ */
+function isSunSpec(spec) {
+    return spec.kind === 'sunrise' || spec.kind === 'sunset';
+}
+
+/**
+ * The instant a spec falls on for the local day containing `date`.
+ * @param {TimeSpec} spec
+ * @param {Date} date
+ * @param {{latitude: number, longitude: number}|null} location - needed for sun specs
+ * @returns {Date|null} null for a sun spec without a location, or on a day the sun does not rise or set
+ */
+function resolveTimeSpec(spec, date, location) {
+    if (spec.kind === 'clock') {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(),
+            Math.floor(spec.minutes / 60), spec.minutes % 60);
+    }
+    if (!location) return null;
+    const sun = getSunTimes(date, location.latitude, location.longitude);
+    const base = spec.kind === 'sunrise' ? sun.sunrise : sun.sunset;
+    return base ? new Date(base.getTime() + spec.offsetMs) : null;
+}
+
+/**
+ * Normalise a list of weekday names ("mon", "Tuesday", …) to day numbers as
+ * Date#getDay returns them.
+ * @param {Array<string>} names
+ * @returns {Set<number>|null} null when any name is not a weekday
+ */
+function parseWeekdays(names) {
+    if (!Array.isArray(names)) return null;
+    const days = new Set();
+    for (const name of names) {
+        const index = typeof name === 'string' ? WEEKDAYS.indexOf(name.trim().slice(0, 3).toLowerCase()) : -1;
+        if (index === -1) return null;
+        days.add(index);
+    }
+    return days;
+}
+
+module.exports = {
+    parseTimeSpec,
+    isSunSpec,
+    resolveTimeSpec,
+    parseWeekdays,
+    WEEKDAYS
+};
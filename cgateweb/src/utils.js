@@ -201,6 +201,26 @@ function redactMqttPayload(payload) {
     return payload.replace(MQTT_SECRET_FIELD, '$1"***"');
 }
 
+const DURATION_UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/;
+
+/**
+ * Parse a duration in the shape ramp times already use on MQTT ("500ms",
+ * "5s", "3m", "1.5h"). A bare number is seconds, as it is for ramp times.
+ *
+ * @param {string|number} value
+ * @returns {number|null} Milliseconds, or null when the value is not a duration.
+ */
+function parseDurationMs(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value * 1000 : null;
+    }
+    if (typeof value !== 'string') return null;
+    const match = DURATION_PATTERN.exec(value.trim());
+    if (!match) return null;
+    return Math.round(Number(match[1]) * DURATION_UNIT_MS[match[2] || 's']);
+}
+
 module.exports = {
     clampSetting,
     evictOldestFifo,
@@ -210,5 +230,6 @@ module.exports = {
     cbusLevelToTemperature,
     looksLikeTlsRecord,
     redactCgateLine,
-    redactMqttPayload
+    redactMqttPayload,
+    parseDurationMs
 };
@@ -0,0 +1,81 @@
+// @ts-check
+'use strict';
+
+/**
+ * Helpers for the label file's value_maps section: per-group maps from a
+ * C-Bus level (0-255) to a name, e.g. { "0": "Normal", "1": "Disabled" }.
+ * They name the options of Enable Control select entities and the action
+ * selectors of trigger groups (Toolkit's level labels, imported from the
+ * project file).
+ */
+
+const MAX_LEVEL = 255;
+
+/**
+ * Named levels in level order. Keys that are not a level 0-255 and blank or
+ * repeated names are dropped.
+ *
+ * @param {*} valueMap
+ * @returns {Array<{ level: number, name: string }>}
+ */
+function valueMapOptions(valueMap) {
+    if (!valueMap || typeof valueMap !== 'object') return [];
+    const names = new Set();
+    const options = [];
+    for (const [key, name] of Object.entries(valueMap)) {
+        if (!/^\d{1,3}$/.test(key) || Number(key) > MAX_LEVEL) continue;
+        if (typeof name !== 'string' || !name.trim() || names.has(name)) continue;
+        names.add(name);
+        options.push({ level: Number(key), name });
+    }
+    return options.sort((a, b) => a.level - b.level);
+}
+
+/**
+ * Every event type a trigger group can emit with action-selector events on:
+ * one per action selector, named from the group's value map or
+ * `action_<n>`.
+ *
+ * @param {*} valueMap
+ * @returns {string[]}
+ */
+function triggerEventTypes(valueMap) {
+    const names = triggerActionNames(valueMap);
+    const types = [];
+    for (let level = 0; level <= MAX_LEVEL; level++) {
+        types.push(names.get(level) || `action_${level}`);
+    }
+    return types;
+}
+
+/**
+ * The event type for one action selector; see triggerEventTypes.
+ *
+ * @param {*} valueMap
+ * @param {number} level
+ * @returns {string}
+ */
+function triggerEventType(valueMap, level) {
+    return triggerActionNames(valueMap).get(level) || `action_${level}`;
+}
+
+/**
+ * Level → name, leaving out names that would collide with a generated
+ * `action_<n>` type.
+ * @param {*} valueMap
+ * @returns {Map<number, string>}
+ */
+function triggerActionNames(valueMap) {
+    const names = new Map();
+    for (const { level, name } of valueMapOptions(valueMap)) {
+        if (/^action_\d+$/.test(name)) continue;
+        names.set(level, name);
+    }
+    return names;
+}
+
+module.exports = {
+    valueMapOptions,
+    triggerEventTypes,
+    triggerEventType
+};
@@ -45,13 +45,22 @@ class ApiAuth {
      */
     isMutatingRoute(urlPath, method) {
         if (!['PUT', 'PATCH', 'POST', 'DELETE'].includes(method)) return false;
-        return urlPath === '/api/labels' || urlPath === '/api/labels/import';
+        return urlPath === '/api/labels'
+            || urlPath === '/api/labels/import'
+            || urlPath === '/api/schedules'
+            || urlPath.startsWith('/api/schedules/')
+            || urlPath.startsWith('/api/scenes/')
+            || urlPath === '/api/discovery/orphans/retract'
+            || urlPath.startsWith('/api/groups/');
     }
 
     /**
      * Sensitive API routes that expose labels, device state, or live events.
      * Health probes stay public so Supervisor/Docker can check liveness without
      * credentials. Static UI assets also stay public; the UI's API calls are gated.
+     * /metrics carries the same data as /api/status, so it is gated too; a
+     * Prometheus scrape job sends the key as a bearer token. The command
+     * audit log names web clients and rules, so it is gated as well.
      * @param {string} urlPath
      * @param {string} method
      * @returns {boolean}
@@ -62,8 +71,18 @@ class ApiAuth {
             || urlPath === '/api/labels/export.xml'
             || urlPath === '/api/status'
             || urlPath === '/api/dashboard'
+            || urlPath === '/api/topology'
             || urlPath === '/api/areas'
-            || urlPath === '/api/events/stream';
+            || urlPath === '/api/events/stream'
+            || urlPath === '/api/ws'
+            || urlPath === '/api/schedules'
+            || urlPath === '/api/scenes'
+            || urlPath === '/api/audit'
+            || urlPath === '/api/audit.csv'
+            || urlPath === '/api/discovery/orphans'
+            || urlPath === '/api/units'
+            || urlPath === '/metrics'
+            || urlPath.startsWith('/api/groups/');
     }
 
     /**
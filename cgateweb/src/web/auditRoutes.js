@@ -0,0 +1,63 @@
+// @ts-check
+const { sendJSON, sendText } = require('./httpHelpers');
+const { toCsv } = require('../commandAuditLog');
+
+// Default and maximum rows for the JSON view; the CSV export is uncapped
+// (the log itself is bounded by size and rotation).
+const DEFAULT_AUDIT_LIMIT = 200;
+const MAX_AUDIT_LIMIT = 5000;
+
+/**
+ * Route handlers for the command audit log: a filtered JSON view for the web
+ * UI and the same filter as a CSV download.
+ */
+class AuditRoutes {
+    /**
+     * @param {Object} options
+     * @param {import('../commandAuditLog').CommandAuditLog|null} [options.commandAuditLog] - null when auditing is off
+     */
+    constructor({ commandAuditLog = null }) {
+        this.commandAuditLog = commandAuditLog;
+    }
+
+    /**
+     * GET /api/audit?origin=&result=&q=&limit=
+     */
+    async handleGetAudit(req, res) {
+        if (!this.commandAuditLog) return sendJSON(res, 503, { error: 'Command audit log not enabled (set command_audit_file)' });
+        const filter = parseFilter(req);
+        const limit = Math.min(MAX_AUDIT_LIMIT, filter.limit || DEFAULT_AUDIT_LIMIT);
+        sendJSON(res, 200, { entries: await this.commandAuditLog.query({ ...filter, limit }) });
+    }
+
+    /**
+     * GET /api/audit.csv — same filters as /api/audit, every matching entry.
+     */
+    async handleGetAuditCsv(req, res) {
+        if (!this.commandAuditLog) return sendJSON(res, 503, { error: 'Command audit log not enabled (set command_audit_file)' });
+        const csv = toCsv(await this.commandAuditLog.query(parseFilter(req)));
+        res.setHeader('Content-Disposition', 'attachment; filename="cgateweb-audit.csv"');
+        sendText(res, 200, csv, 'text/csv; charset=utf-8');
+    }
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @returns {{origin?: string, result?: string, text?: string, limit?: number}}
+ */
+function parseFilter(req) {
+    const params = new URL(req.url || '/', 'http://localhost').searchParams;
+    const text = (name) => {
+        const value = params.get(name);
+        return value && value.trim() ? value.trim().slice(0, 200) : undefined;
+    };
+    const limit = parseInt(params.get('limit') || '', 10);
+    return {
+        origin: text('origin'),
+        result: text('result'),
+        text: text('q'),
+        limit: Number.isInteger(limit) && limit > 0 ? limit : undefined
+    };
+}
+
+module.exports = AuditRoutes;
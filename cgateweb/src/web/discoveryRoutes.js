@@ -0,0 +1,74 @@
+// @ts-check
+const { sendJSON, sendJSONAndClose } = require('./httpHelpers');
+const { readRequestBody, BODY_TOO_LARGE } = require('./bodyReader');
+
+/**
+ * Route handlers for what discovery learned from C-Gate's tree: the unit
+ * inventory, and leftover Home Assistant discovery configs (published before
+ * a restart, no longer published). The orphans GET is the dry run; nothing is
+ * cleared until the POST.
+ */
+class DiscoveryRoutes {
+    /**
+     * @param {Object} options
+     * @param {() => (import('../haDiscovery')|null)} options.getHaDiscovery - Live HaDiscovery accessor (null before C-Gate connects)
+     * @param {number} options.maxBodySizeBytes - Maximum request body size in bytes
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor({ getHaDiscovery, maxBodySizeBytes, logger }) {
+        this.getHaDiscovery = getHaDiscovery;
+        this.maxBodySizeBytes = maxBodySizeBytes;
+        this.logger = logger;
+    }
+
+    /**
+     * GET /api/units — every unit in each network's latest tree. Empty until
+     * a tree has been read (discovery at startup, or a gettree).
+     */
+    handleGetUnits(_req, res) {
+        const haDiscovery = this.getHaDiscovery();
+        if (!haDiscovery) return sendJSON(res, 503, { error: 'Not connected to C-Gate yet' });
+        sendJSON(res, 200, { networks: haDiscovery.getUnitInventory() });
+    }
+
+    /**
+     * GET /api/discovery/orphans
+     */
+    handleGetOrphans(_req, res) {
+        const haDiscovery = this.getHaDiscovery();
+        if (!haDiscovery || !haDiscovery.settings.ha_discovery_enabled) {
+            return sendJSON(res, 503, { error: 'HA Discovery not running' });
+        }
+        sendJSON(res, 200, haDiscovery.getOrphanReport());
+    }
+
+    /**
+     * POST /api/discovery/orphans/retract — body { topics: [...] } to clear
+     * some of the listed configs, or no body to clear them all.
+     */
+    async handleRetractOrphans(req, res) {
+        const haDiscovery = this.getHaDiscovery();
+        if (!haDiscovery || !haDiscovery.settings.ha_discovery_enabled) {
+            return sendJSON(res, 503, { error: 'HA Discovery not running' });
+        }
+        const body = await readRequestBody(req, this.maxBodySizeBytes);
+        if (body === BODY_TOO_LARGE) return sendJSONAndClose(req, res, 413, { error: 'Payload too large' });
+        let topics = null;
+        if (typeof body === 'string' && body) {
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch (err) {
+                this.logger.debug('Rejected orphan retract request with invalid JSON', { error: err.message });
+                return sendJSON(res, 400, { error: 'Invalid JSON' });
+            }
+            if (!data || !Array.isArray(data.topics) || !data.topics.every(topic => typeof topic === 'string')) {
+                return sendJSON(res, 400, { error: 'topics must be an array of topic strings' });
+            }
+            topics = data.topics;
+        }
+        sendJSON(res, 200, { retracted: haDiscovery.retractOrphanTopics(topics) });
+    }
+}
+
+module.exports = DiscoveryRoutes;
@@ -0,0 +1,194 @@
+// @ts-check
+const CBusCommand = require('../cbusCommand');
+const { sendJSON, sendJSONAndClose, describeClient } = require('./httpHelpers');
+const { readRequestBody, BODY_TOO_LARGE } = require('./bodyReader');
+const { describeCbusAddressRangeError } = require('../utils');
+const {
+    MQTT_TOPIC_PREFIX_WRITE,
+    MQTT_CMD_TYPE_SWITCH,
+    MQTT_CMD_TYPE_RAMP,
+    MQTT_STATE_ON,
+    MQTT_STATE_OFF,
+    CGATE_LEVEL_MAX
+} = require('../constants');
+
+// /api/groups/{network}/{application}/{group}. Digit runs only; the range
+// check against CBUS_ADDRESS_MAX happens in the handler so a bad address gets
+// a 400 naming the component rather than falling through to a static 404.
+const GROUP_PATH_REGEX = /^\/api\/groups\/(\d{1,3})\/(\d{1,3})\/(\d{1,3})$/;
+
+// Same ramp-time shape CBusCommand accepts after the comma ("4s", "2m",
+// "500ms"). Checked here too because CBusCommand only reads the first two
+// comma-separated parts, so a stray comma in rampTime would be ignored rather
+// than rejected.
+const RAMP_TIME_REGEX = /^\d+(\.\d+)?(ms|s|m|h)?$/;
+
+/**
+ * Route handlers for reading and controlling a single C-Bus group over HTTP.
+ *
+ * Writes are turned into the same switch/ramp topic and payload an MQTT client
+ * would publish and handed to MqttCommandRouter, so REST control gets the same
+ * validation, queueing and optimistic state publishing as MQTT control rather
+ * than a second copy of the C-Gate command building.
+ */
+class GroupRoutes {
+    /**
+     * @param {Object} options
+     * @param {Object|null} [options.deviceStateManager] - Device state manager instance
+     * @param {import('../labelLoader')|null} [options.labelLoader] - Label loader instance
+     * @param {Function|null} [options.routeCommand] - (topic, payload, origin) => void; normally MqttCommandRouter.routeMessage
+     * @param {number} options.maxBodySizeBytes - Maximum request body size in bytes
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor({ deviceStateManager = null, labelLoader = null, routeCommand = null, maxBodySizeBytes, logger }) {
+        this.deviceStateManager = deviceStateManager;
+        this.labelLoader = labelLoader;
+        this.routeCommand = routeCommand;
+        this.maxBodySizeBytes = maxBodySizeBytes;
+        this.logger = logger;
+    }
+
+    /**
+     * Parse a group address out of a request path.
+     * @param {string} urlPath
+     * @returns {{ network: string, application: string, group: string }|null}
+     */
+    static parsePath(urlPath) {
+        const match = GROUP_PATH_REGEX.exec(urlPath);
+        if (!match) return null;
+        const [, network, application, group] = match;
+        return { network, application, group };
+    }
+
+    /**
+     * GET /api/groups/{network}/{app}/{group} — last known level.
+     */
+    handleGetGroup(_req, res, address) {
+        const rangeError = describeCbusAddressRangeError(address);
+        if (rangeError) return sendJSON(res, 400, { error: rangeError });
+        if (!this.deviceStateManager) {
+            return sendJSON(res, 503, { error: 'Device state not available' });
+        }
+
+        const { network, application, group } = address;
+        const level = this.deviceStateManager.getLevel(network, application, group);
+        if (level === undefined) {
+            return sendJSON(res, 404, { error: 'No level received for this group yet' });
+        }
+        sendJSON(res, 200, this._describeGroup(address, level));
+    }
+
+    /**
+     * PUT /api/groups/{network}/{app}/{group} — switch or ramp the group.
+     *
+     * Body is one of:
+     *   { "state": "ON" | "OFF" }
+     *   { "level": 0-100, "rampTime": "4s" }   (level is a percentage, as on MQTT)
+     */
+    async handlePutGroup(req, res, address) {
+        const rangeError = describeCbusAddressRangeError(address);
+        if (rangeError) return sendJSON(res, 400, { error: rangeError });
+        if (!this.routeCommand) {
+            return sendJSON(res, 503, { error: 'Command path not available' });
+        }
+
+        const body = await readRequestBody(req, this.maxBodySizeBytes);
+        if (body === BODY_TOO_LARGE) {
+            return sendJSONAndClose(req, res, 413, { error: 'Payload too large' });
+        }
+        if (typeof body !== 'string' || !body) return sendJSON(res, 400, { error: 'Request body required' });
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (err) {
+            this.logger.debug('Rejected PUT /api/groups with invalid JSON', { error: err.message });
+            return sendJSON(res, 400, { error: 'Invalid JSON' });
+        }
+
+        const request = this._buildCommandRequest(address, data);
+        if ('error' in request) {
+            return sendJSON(res, 400, { error: request.error });
+        }
+
+        // Validate with the router's own parser before handing over: the
+        // router only logs an invalid command, and the caller here is owed a 400.
+        const command = new CBusCommand(request.topic, request.payload);
+        if (!command.isValid()) {
+            return sendJSON(res, 400, { error: 'Invalid command' });
+        }
+
+        this.routeCommand(request.topic, request.payload, { source: 'web', client: describeClient(req) });
+        sendJSON(res, 202, { queued: true, topic: request.topic, payload: request.payload });
+    }
+
+    /**
+     * Map a PUT body onto the MQTT write topic and payload it stands for.
+     * @param {{ network: string, application: string, group: string }} address
+     * @param {*} data
+     * @returns {{ topic: string, payload: string }|{ error: string }}
+     * @private
+     */
+    _buildCommandRequest(address, data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { error: 'Body must be an object' };
+        }
+        const base = `${MQTT_TOPIC_PREFIX_WRITE}/${address.network}/${address.application}/${address.group}`;
+
+        if (data.state !== undefined) {
+            if (data.level !== undefined) {
+                return { error: 'Send either "state" or "level", not both' };
+            }
+            const state = typeof data.state === 'string' ? data.state.toUpperCase() : '';
+            if (state !== MQTT_STATE_ON && state !== MQTT_STATE_OFF) {
+                return { error: 'state must be "ON" or "OFF"' };
+            }
+            return { topic: `${base}/${MQTT_CMD_TYPE_SWITCH}`, payload: state };
+        }
+
+        if (data.level !== undefined) {
+            if (typeof data.level !== 'number' || !Number.isFinite(data.level) || data.level < 0 || data.level > 100) {
+                return { error: 'level must be a number from 0 to 100' };
+            }
+            let payload = String(Math.round(data.level));
+            if (data.rampTime !== undefined) {
+                if (typeof data.rampTime !== 'string' || !RAMP_TIME_REGEX.test(data.rampTime)) {
+                    return { error: 'rampTime must look like "4s" or "2m"' };
+                }
+                payload += `,${data.rampTime}`;
+            }
+            return { topic: `${base}/${MQTT_CMD_TYPE_RAMP}`, payload };
+        }
+
+        return { error: 'Body must contain "state" or "level"' };
+    }
+
+    /**
+     * @param {{ network: string, application: string, group: string }} address
+     * @param {number} level - C-Gate level 0-255
+     * @returns {Object}
+     * @private
+     */
+    _describeGroup(address, level) {
+        const { network, application, group } = address;
+        const key = `${network}/${application}/${group}`;
+        const label = this.labelLoader ? this.labelLoader.getLabels().get(key) : undefined;
+        const lastSeen = this.deviceStateManager.getLastSeen(network, application, group);
+        return {
+            address: key,
+            network: Number(network),
+            application: Number(application),
+            group: Number(group),
+            label: label || null,
+            level,
+            levelPercent: Math.round(level / CGATE_LEVEL_MAX * 100),
+            state: level > 0 ? MQTT_STATE_ON : MQTT_STATE_OFF,
+            lastSeen: lastSeen || null,
+            // false while the level is one restored from device_state_file
+            // that C-Gate has not reported again yet
+            verified: this.deviceStateManager.isVerified(network, application, group)
+        };
+    }
+}
+
+module.exports = GroupRoutes;
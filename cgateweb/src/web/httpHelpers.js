@@ -1,7 +1,8 @@
 // @ts-check
 /**
- * Shared HTTP helpers for the web server: JSON responses, security/CORS
- * headers, and plain-object sanitization for untrusted request bodies.
+ * Shared HTTP helpers for the web server: JSON and text responses,
+ * security/CORS headers, and plain-object sanitization for untrusted request
+ * bodies.
  */
 
 /**
@@ -31,6 +32,18 @@ function sendJSONAndClose(req, res, statusCode, data) {
     });
 }
 
+/**
+ * Send a plain-text response with the given status code.
+ * @param {import('http').ServerResponse} res
+ * @param {number} statusCode
+ * @param {string} text
+ * @param {string} [contentType]
+ */
+function sendText(res, statusCode, text, contentType = 'text/plain; charset=utf-8') {
+    res.writeHead(statusCode, { 'Content-Type': contentType });
+    res.end(text);
+}
+
 /**
  * Apply the baseline security headers sent with every response.
  * Don't leak the addon's URL (which includes the HA Ingress token in the
@@ -77,6 +90,50 @@ function setCorsHeaders(req, res, allowedOrigins) {
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
 }
 
+/**
+ * Whether a WebSocket upgrade may proceed given its Origin. Upgrades are not
+ * subject to CORS, so without this any page a browser visits could open the
+ * socket and ride on ingress trust or an unauthenticated loopback setup.
+ *
+ * Allowed: no Origin (not a browser, which always sends one), an origin in
+ * the allowlist, or the page's own host. Behind Home Assistant ingress the
+ * host the browser used arrives as X-Forwarded-Host; a page cannot set that
+ * header, so trusting it does not let a cross-site request through.
+ * @param {import('http').IncomingMessage} req
+ * @param {string[]|null} allowedOrigins
+ * @returns {boolean}
+ */
+function isUpgradeOriginAllowed(req, allowedOrigins) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (allowedOrigins && allowedOrigins.includes(origin)) return true;
+    let originHost;
+    try {
+        originHost = new URL(origin).host.toLowerCase();
+    } catch {
+        return false;
+    }
+    const hosts = [req.headers.host, req.headers['x-forwarded-host']]
+        .filter((host) => typeof host === 'string')
+        .flatMap((host) => host.split(','))
+        .map((host) => host.trim().toLowerCase());
+    return hosts.includes(originHost);
+}
+
+/**
+ * Best-effort description of who sent a request, for the command audit log:
+ * the Home Assistant user Ingress names in X-Remote-User-Name, with the peer
+ * address. The header is only a hint — on the direct port a key holder can
+ * set it to anything.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+function describeClient(req) {
+    const address = String(req.socket?.remoteAddress || 'unknown');
+    const user = req.headers['x-remote-user-name'];
+    return typeof user === 'string' && user.trim() ? `${user.trim().slice(0, 64)} (${address})` : address;
+}
+
 /**
  * Keys that must never be written from untrusted input (prototype pollution).
  * @param {string} key
@@ -104,8 +161,11 @@ function sanitizePlainObject(obj) {
 module.exports = {
     sendJSON,
     sendJSONAndClose,
+    sendText,
+    describeClient,
     setSecurityHeaders,
     setCorsHeaders,
+    isUpgradeOriginAllowed,
     isUnsafeObjectKey,
     sanitizePlainObject
 };
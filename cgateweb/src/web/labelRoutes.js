@@ -73,6 +73,22 @@ function normalizeLabelPayload(data, { requireLabels = true } = {}) {
         payload[field] = nested.map;
     }
 
+    if (data.value_maps !== undefined) {
+        if (!data.value_maps || typeof data.value_maps !== 'object' || Array.isArray(data.value_maps)) {
+            return { error: 'value_maps must be an object' };
+        }
+        const valueMaps = {};
+        for (const [key, options] of Object.entries(data.value_maps)) {
+            if (isUnsafeObjectKey(key)) continue;
+            const nested = normalizeLabelMap(options);
+            if ('error' in nested) {
+                return { error: 'value_maps entries must map levels to option names' };
+            }
+            valueMaps[key] = nested.map;
+        }
+        payload.value_maps = valueMaps;
+    }
+
     if (data.exclude !== undefined) {
         if (!Array.isArray(data.exclude) || !data.exclude.every((v) => typeof v === 'string')) {
             return { error: 'exclude must be an array of strings' };
@@ -114,6 +130,7 @@ class LabelRoutes {
             ...(fullData.entity_ids && { entity_ids: fullData.entity_ids }),
             ...(fullData.exclude && { exclude: fullData.exclude }),
             ...(fullData.areas && { areas: fullData.areas }),
+            ...(fullData.value_maps && { value_maps: fullData.value_maps }),
             ...(this.triggerAppId && { trigger_app_id: this.triggerAppId })
         });
     }
@@ -151,6 +168,7 @@ class LabelRoutes {
             if (normalized.payload.type_overrides) fileData.type_overrides = normalized.payload.type_overrides;
             if (normalized.payload.entity_ids) fileData.entity_ids = normalized.payload.entity_ids;
             if (normalized.payload.areas) fileData.areas = normalized.payload.areas;
+            if (normalized.payload.value_maps) fileData.value_maps = normalized.payload.value_maps;
             if (normalized.payload.exclude) fileData.exclude = normalized.payload.exclude;
 
             this.labelLoader.save(fileData);
@@ -284,15 +302,28 @@ class LabelRoutes {
                 }
             }
 
-            this.labelLoader.save({
+            // Level labels from the project (trigger action selector names)
+            // replace the same groups' value maps; maps for other groups,
+            // written by hand, are kept.
+            const importedValueMaps = result.valueMaps || {};
+            const valueMapCount = Object.keys(importedValueMaps).length;
+            const fileData = {
                 version: 1,
                 source: filename,
                 generated: new Date().toISOString(),
                 labels: finalLabels
-            });
+            };
+            if (valueMapCount > 0) {
+                fileData.value_maps = {
+                    ...Object.fromEntries(this.labelLoader.getValueMaps()),
+                    ...importedValueMaps
+                };
+            }
+            this.labelLoader.save(fileData);
 
             sendJSON(res, 200, {
                 imported: Object.keys(result.labels).length,
+                value_maps_imported: valueMapCount,
                 total: Object.keys(finalLabels).length,
                 networks: result.networks,
                 stats: result.stats,
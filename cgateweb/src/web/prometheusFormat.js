@@ -0,0 +1,149 @@
+// @ts-check
+/**
+ * Renders the bridge status snapshot (CgateWebBridge#_getBridgeStatus, the
+ * same object behind /api/status) in the Prometheus text exposition format
+ * for GET /metrics. Counters are process-lifetime totals, so rates come from
+ * rate()/increase() on the Prometheus side.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value per the exposition format.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * @param {Object<string, *>|undefined} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    if (!labels) return '';
+    const parts = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * @param {*} value
+ * @returns {number}
+ */
+function toNumber(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * Collects metric families in order; each family's HELP/TYPE is written once
+ * before its samples.
+ */
+class MetricsWriter {
+    constructor() {
+        /** @type {Array<string>} */
+        this.lines = [];
+    }
+
+    /**
+     * @param {string} name
+     * @param {'gauge'|'counter'} type
+     * @param {string} help
+     * @param {Array<{labels?: Object<string, *>, value: *}>} samples - Empty samples emit nothing
+     */
+    family(name, type, help, samples) {
+        if (samples.length === 0) return;
+        this.lines.push(`# HELP ${name} ${help}`);
+        this.lines.push(`# TYPE ${name} ${type}`);
+        for (const sample of samples) {
+            this.lines.push(`${name}${formatLabels(sample.labels)} ${toNumber(sample.value)}`);
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {'gauge'|'counter'} type
+     * @param {string} help
+     * @param {*} value
+     */
+    single(name, type, help, value) {
+        this.family(name, type, help, [{ value }]);
+    }
+
+    toString() {
+        return this.lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * @param {Object} status - Bridge status snapshot
+ * @returns {string} Prometheus text exposition
+ */
+function formatPrometheusMetrics(status) {
+    const w = new MetricsWriter();
+    const connections = status.connections || {};
+    const pool = connections.commandPool || {};
+    const metrics = status.metrics || {};
+    const queue = metrics.commandQueue || {};
+    const publisher = metrics.publisher || null;
+    const discovery = status.discovery || null;
+
+    w.family('cgateweb_info', 'gauge', 'Bridge version.', [{ labels: { version: status.version || 'unknown' }, value: 1 }]);
+    w.single('cgateweb_uptime_seconds', 'gauge', 'Process uptime in seconds.', status.uptime);
+    w.single('cgateweb_ready', 'gauge', 'Whether MQTT, the event connection and at least one command connection are up.', status.ready);
+
+    w.single('cgateweb_mqtt_connected', 'gauge', 'Whether the MQTT broker connection is up.', connections.mqtt);
+    w.single('cgateweb_event_connection_connected', 'gauge', 'Whether the C-Gate event connection is up.', connections.event);
+    w.single('cgateweb_command_pool_connections', 'gauge', 'C-Gate command connections in the pool.', pool.totalConnections);
+    w.single('cgateweb_command_pool_healthy_connections', 'gauge', 'Healthy C-Gate command connections.', pool.healthyConnections);
+    w.single('cgateweb_command_pool_pending_reconnects', 'gauge', 'Command connections waiting to reconnect.', pool.pendingReconnects);
+    w.family('cgateweb_reconnects_total', 'counter', 'Reconnections since the bridge started.', [
+        { labels: { connection: 'mqtt' }, value: connections.mqttReconnectCount },
+        { labels: { connection: 'cgate_event' }, value: connections.eventReconnectCount },
+        { labels: { connection: 'cgate_command' }, value: pool.reconnectCount }
+    ]);
+
+    w.single('cgateweb_command_queue_depth', 'gauge', 'Commands waiting in the C-Gate command queue.', queue.depth);
+    w.family('cgateweb_command_queue_priority_depth', 'gauge', 'Commands waiting in the C-Gate command queue by priority.',
+        Object.entries(queue.byPriority || {}).map(([priority, value]) => ({ labels: { priority }, value })));
+    w.single('cgateweb_command_queue_max_size', 'gauge', 'Command queue capacity.', queue.maxSize);
+    w.single('cgateweb_command_queue_dropped_total', 'counter', 'Commands dropped because the queue was full.', queue.dropped);
+
+    if (publisher) {
+        w.family('cgateweb_events_total', 'counter', 'C-Bus events published, by network and application.',
+            (publisher.eventsByApplication || []).map(({ network, application, count }) => ({ labels: { network, application }, value: count })));
+        w.single('cgateweb_mqtt_publish_attempts_total', 'counter', 'State publishes requested by the event publisher.', publisher.publishAttempts);
+        w.single('cgateweb_mqtt_published_total', 'counter', 'State publishes sent to MQTT.', publisher.published);
+        w.single('cgateweb_mqtt_publish_dedup_dropped_total', 'counter', 'State publishes skipped as duplicates within the dedup window.', publisher.dedupDropped);
+        w.single('cgateweb_mqtt_publish_coalesced_total', 'counter', 'State publishes merged by coalescing.', publisher.coalesced);
+        w.family('cgateweb_topic_cache_lookups_total', 'counter', 'Topic cache lookups by result.', [
+            { labels: { result: 'hit' }, value: publisher.topicCacheHit },
+            { labels: { result: 'miss' }, value: publisher.topicCacheMiss }
+        ]);
+    }
+
+    if (discovery) {
+        w.single('cgateweb_discovery_entities', 'gauge', 'Entities published by the last HA discovery run.', discovery.count);
+        const trees = discovery.treeDurations || [];
+        w.family('cgateweb_tree_discovery_duration_seconds', 'gauge', 'Time from TREEXML request to published discovery, last successful run per network.',
+            trees.map(({ network, durationMs }) => ({ labels: { network }, value: durationMs / 1000 })));
+        w.family('cgateweb_tree_discovery_last_completed_timestamp_seconds', 'gauge', 'When discovery last completed per network (Unix time).',
+            trees.map(({ network, completedAt }) => ({ labels: { network }, value: completedAt / 1000 })));
+    }
+
+    // Networks whose interface state has not been read yet have no verdict
+    // and are left out rather than reported as offline.
+    w.family('cgateweb_cni_online', 'gauge', 'Whether the C-Bus network interface is running, per network.',
+        (status.cbusNetworks || [])
+            .filter(({ online }) => typeof online === 'boolean')
+            .map(({ network, online }) => ({ labels: { network }, value: online })));
+
+    return w.toString();
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    formatPrometheusMetrics
+};
@@ -0,0 +1,128 @@
+// @ts-check
+const { sendJSON, sendJSONAndClose } = require('./httpHelpers');
+const { readRequestBody, BODY_TOO_LARGE } = require('./bodyReader');
+
+// /api/scenes/{id} and /api/scenes/{id}/{capture|activate}. Same id shape
+// as the MQTT scene topics.
+const SCENE_PATH_REGEX = /^\/api\/scenes\/([a-z0-9_]{1,64})$/;
+const SCENE_ACTION_PATH_REGEX = /^\/api\/scenes\/([a-z0-9_]{1,64})\/(capture|activate)$/;
+
+/**
+ * Route handlers for bridge-managed scenes. Capture and activate do the same
+ * as the cbus/write/bridge/scene/{id}/... MQTT topics, with the result
+ * returned to the caller instead of only logged.
+ */
+class SceneRoutes {
+    /**
+     * @param {Object} options
+     * @param {import('../softSceneManager')|null} [options.softSceneManager] - null when software scenes are off
+     * @param {number} options.maxBodySizeBytes - Maximum request body size in bytes
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor({ softSceneManager = null, maxBodySizeBytes, logger }) {
+        this.softSceneManager = softSceneManager;
+        this.maxBodySizeBytes = maxBodySizeBytes;
+        this.logger = logger;
+    }
+
+    /**
+     * @param {string} urlPath
+     * @returns {{ id: string }|null}
+     */
+    static parsePath(urlPath) {
+        const match = SCENE_PATH_REGEX.exec(urlPath);
+        return match ? { id: match[1] } : null;
+    }
+
+    /**
+     * @param {string} urlPath
+     * @returns {{ id: string, action: string }|null}
+     */
+    static parseActionPath(urlPath) {
+        const match = SCENE_ACTION_PATH_REGEX.exec(urlPath);
+        return match ? { id: match[1], action: match[2] } : null;
+    }
+
+    /**
+     * GET /api/scenes
+     */
+    handleGetScenes(_req, res) {
+        if (!this.softSceneManager) return sendJSON(res, 503, { error: 'Software scenes not enabled (set scenes_file)' });
+        sendJSON(res, 200, { scenes: this.softSceneManager.list() });
+    }
+
+    /**
+     * PUT /api/scenes/{id} — replace a scene's name and members.
+     */
+    async handlePutScene(req, res, { id }) {
+        if (!this.softSceneManager) return sendJSON(res, 503, { error: 'Software scenes not enabled (set scenes_file)' });
+        const data = await this._readJson(req, res, false);
+        if (data === undefined) return;
+        this._sendResult(res, this.softSceneManager.update(id, data), 200);
+    }
+
+    /**
+     * DELETE /api/scenes/{id}
+     */
+    handleDeleteScene(_req, res, { id }) {
+        if (!this.softSceneManager) return sendJSON(res, 503, { error: 'Software scenes not enabled (set scenes_file)' });
+        this._sendResult(res, this.softSceneManager.remove(id), 200);
+    }
+
+    /**
+     * POST /api/scenes/{id}/capture — body { name, groups, rampTime }, all
+     * optional when capturing an existing scene again.
+     * POST /api/scenes/{id}/activate — no body.
+     */
+    async handlePostSceneAction(req, res, { id, action }) {
+        if (!this.softSceneManager) return sendJSON(res, 503, { error: 'Software scenes not enabled (set scenes_file)' });
+        if (action === 'activate') {
+            if (!this.softSceneManager.activate(id)) return sendJSON(res, 404, { error: 'No such scene' });
+            return sendJSON(res, 202, { queued: true });
+        }
+        const data = await this._readJson(req, res, true);
+        if (data === undefined) return;
+        this._sendResult(res, this.softSceneManager.capture(id, data), 200);
+    }
+
+    /**
+     * @param {import('http').ServerResponse} res
+     * @param {Object|null} result - Manager result; null means no such scene
+     * @param {number} okStatus
+     * @private
+     */
+    _sendResult(res, result, okStatus) {
+        if (!result) return sendJSON(res, 404, { error: 'No such scene' });
+        if ('error' in result) return sendJSON(res, result.status || 400, { error: result.error });
+        sendJSON(res, okStatus, result);
+    }
+
+    /**
+     * Read and parse a JSON request body, answering the request itself on
+     * failure.
+     * @param {boolean} allowEmpty - Treat an empty body as {}
+     * @returns {Promise<*>} The parsed body, or undefined when a response was sent
+     * @private
+     */
+    async _readJson(req, res, allowEmpty) {
+        const body = await readRequestBody(req, this.maxBodySizeBytes);
+        if (body === BODY_TOO_LARGE) {
+            sendJSONAndClose(req, res, 413, { error: 'Payload too large' });
+            return undefined;
+        }
+        if (typeof body !== 'string' || !body) {
+            if (allowEmpty) return {};
+            sendJSON(res, 400, { error: 'Request body required' });
+            return undefined;
+        }
+        try {
+            return JSON.parse(body);
+        } catch (err) {
+            this.logger.debug('Rejected scene request with invalid JSON', { error: err.message });
+            sendJSON(res, 400, { error: 'Invalid JSON' });
+            return undefined;
+        }
+    }
+}
+
+module.exports = SceneRoutes;
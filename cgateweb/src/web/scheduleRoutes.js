@@ -0,0 +1,114 @@
+// @ts-check
+const { sendJSON, sendJSONAndClose } = require('./httpHelpers');
+const { readRequestBody, BODY_TOO_LARGE } = require('./bodyReader');
+
+// /api/schedules/{id}. Ids are the lowercase slugs Scheduler generates.
+const SCHEDULE_PATH_REGEX = /^\/api\/schedules\/([a-z0-9_]{1,64})$/;
+
+/**
+ * Route handlers for the bridge-side scheduler: list, create, replace and
+ * delete schedules. Validation is the scheduler's own, so a schedule saved
+ * here is exactly what the file loader accepts.
+ */
+class ScheduleRoutes {
+    /**
+     * @param {Object} options
+     * @param {import('../scheduler')|null} [options.scheduler] - Scheduler instance; null when schedules are off
+     * @param {number} options.maxBodySizeBytes - Maximum request body size in bytes
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor({ scheduler = null, maxBodySizeBytes, logger }) {
+        this.scheduler = scheduler;
+        this.maxBodySizeBytes = maxBodySizeBytes;
+        this.logger = logger;
+    }
+
+    /**
+     * Parse a schedule id out of a request path.
+     * @param {string} urlPath
+     * @returns {{ id: string }|null}
+     */
+    static parsePath(urlPath) {
+        const match = SCHEDULE_PATH_REGEX.exec(urlPath);
+        return match ? { id: match[1] } : null;
+    }
+
+    /**
+     * GET /api/schedules
+     */
+    handleGetSchedules(_req, res) {
+        if (!this.scheduler) return sendJSON(res, 503, { error: 'Scheduler not enabled (set schedules_file)' });
+        sendJSON(res, 200, {
+            schedules: this.scheduler.list(),
+            // Sun-based schedules do not run until a location is known.
+            locationKnown: this.scheduler.getLocation() !== null
+        });
+    }
+
+    /**
+     * POST /api/schedules — create a schedule; the id is derived from its name.
+     */
+    async handlePostSchedule(req, res) {
+        if (!this.scheduler) return sendJSON(res, 503, { error: 'Scheduler not enabled (set schedules_file)' });
+        const data = await this._readJson(req, res);
+        if (data === undefined) return;
+        this._sendResult(res, this.scheduler.create(data), 201);
+    }
+
+    /**
+     * PUT /api/schedules/{id} — replace a schedule.
+     */
+    async handlePutSchedule(req, res, { id }) {
+        if (!this.scheduler) return sendJSON(res, 503, { error: 'Scheduler not enabled (set schedules_file)' });
+        const data = await this._readJson(req, res);
+        if (data === undefined) return;
+        this._sendResult(res, this.scheduler.update(id, data), 200);
+    }
+
+    /**
+     * DELETE /api/schedules/{id}
+     */
+    handleDeleteSchedule(_req, res, { id }) {
+        if (!this.scheduler) return sendJSON(res, 503, { error: 'Scheduler not enabled (set schedules_file)' });
+        this._sendResult(res, this.scheduler.remove(id), 200);
+    }
+
+    /**
+     * @param {import('http').ServerResponse} res
+     * @param {Object|null} result - Scheduler result; null means no such schedule
+     * @param {number} okStatus
+     * @private
+     */
+    _sendResult(res, result, okStatus) {
+        if (!result) return sendJSON(res, 404, { error: 'No such schedule' });
+        if ('error' in result) return sendJSON(res, result.status || 400, { error: result.error });
+        sendJSON(res, okStatus, result);
+    }
+
+    /**
+     * Read and parse a JSON request body, answering the request itself on
+     * failure.
+     * @returns {Promise<*>} The parsed body, or undefined when a response was sent
+     * @private
+     */
+    async _readJson(req, res) {
+        const body = await readRequestBody(req, this.maxBodySizeBytes);
+        if (body === BODY_TOO_LARGE) {
+            sendJSONAndClose(req, res, 413, { error: 'Payload too large' });
+            return undefined;
+        }
+        if (typeof body !== 'string' || !body) {
+            sendJSON(res, 400, { error: 'Request body required' });
+            return undefined;
+        }
+        try {
+            return JSON.parse(body);
+        } catch (err) {
+            this.logger.debug('Rejected schedule request with invalid JSON', { error: err.message });
+            sendJSON(res, 400, { error: 'Invalid JSON' });
+            return undefined;
+        }
+    }
+}
+
+module.exports = ScheduleRoutes;
@@ -1,16 +1,19 @@
 // @ts-check
 const http = require('http');
-const { sendJSON } = require('./httpHelpers');
+const { sendJSON, sendText } = require('./httpHelpers');
+const { CONTENT_TYPE: PROMETHEUS_CONTENT_TYPE, formatPrometheusMetrics } = require('./prometheusFormat');
 const { supervisorRequest } = require('../supervisorHttp');
 const { resolveSetting } = require('../config/schema');
 
 /**
- * Route handlers for bridge status, dashboard, HA areas, and health probes.
+ * Route handlers for bridge status, dashboard, network topology, HA areas,
+ * health probes and Prometheus metrics.
  */
 class StatusRoutes {
     /**
      * @param {Object} options
      * @param {Function} options.getStatus - Function returning bridge status info
+     * @param {Function} [options.getTopology] - Function returning the C-Bus network topology
      * @param {import('../labelLoader')} options.labelLoader - Label loader instance
      * @param {Object|null} [options.deviceStateManager] - Device state manager instance
      * @param {Object|null} [options.eventStream] - Event stream instance
@@ -23,6 +26,7 @@ class StatusRoutes {
      */
     constructor({
         getStatus,
+        getTopology = () => [],
         labelLoader,
         deviceStateManager = null,
         eventStream = null,
@@ -34,6 +38,7 @@ class StatusRoutes {
         httpModule = http
     }) {
         this.getStatus = getStatus;
+        this.getTopology = getTopology;
         this.labelLoader = labelLoader;
         this.deviceStateManager = deviceStateManager;
         this.eventStream = eventStream;
@@ -83,7 +88,10 @@ class StatusRoutes {
                     address,
                     level: level !== undefined ? level : null,
                     label: labels[address] || null,
-                    lastSeen
+                    lastSeen,
+                    verified: this.deviceStateManager.isVerified
+                        ? this.deviceStateManager.isVerified(...address.split('/'))
+                        : true
                 });
             }
             devices.sort((a, b) => b.lastSeen - a.lastSeen);
@@ -234,6 +242,21 @@ class StatusRoutes {
             lifecycle: status.lifecycle || { state: 'unknown' }
         });
     }
+
+    /**
+     * GET /api/topology — each C-Bus network's interface, units, groups,
+     * bridges and interface state history.
+     */
+    handleGetTopology(_req, res) {
+        sendJSON(res, 200, { networks: this.getTopology() });
+    }
+
+    /**
+     * GET /metrics — the /api/status counters in Prometheus text format.
+     */
+    handleGetMetrics(_req, res) {
+        sendText(res, 200, formatPrometheusMetrics(this.getStatus()), PROMETHEUS_CONTENT_TYPE);
+    }
 }
 
 module.exports = StatusRoutes;
@@ -0,0 +1,536 @@
+// @ts-check
+const crypto = require('crypto');
+const CBusCommand = require('../cbusCommand');
+const { redactMqttPayload } = require('../utils');
+const { describeClient } = require('./httpHelpers');
+const {
+    MQTT_TOPIC_PREFIX_WRITE,
+    MQTT_CMD_TYPE_SWITCH,
+    MQTT_CMD_TYPE_RAMP,
+    MQTT_CMD_TYPE_TRIGGER
+} = require('../constants');
+
+// RFC 6455 §1.3: appended to Sec-WebSocket-Key before hashing for the accept header.
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// Close codes (RFC 6455 §7.4.1) the handler sends.
+const CLOSE_NORMAL = 1000;
+const CLOSE_GOING_AWAY = 1001;
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_UNSUPPORTED_DATA = 1003;
+const CLOSE_MESSAGE_TOO_BIG = 1009;
+
+// RFC 6455 §5.5: the payload limit for close, ping and pong frames.
+const MAX_CONTROL_PAYLOAD_BYTES = 125;
+
+// Command frames are limited to the write types a dashboard needs. Everything
+// else the router understands (HVAC, security, scene record...) stays on MQTT,
+// where it has its own opt-in gates, rather than being reachable from a socket
+// by default.
+const WEBSOCKET_COMMAND_TYPES = new Set([
+    MQTT_CMD_TYPE_SWITCH,
+    MQTT_CMD_TYPE_RAMP,
+    MQTT_CMD_TYPE_TRIGGER
+]);
+
+// Upper bound on subscribe patterns per connection, so one client cannot make
+// every event fan-out walk an arbitrarily long list.
+const MAX_SUBSCRIPTION_PATTERNS = 256;
+
+// "net/app/group" where any segment may be '*'.
+const ADDRESS_PATTERN_REGEX = /^(\d{1,3}|\*)\/(\d{1,3}|\*)\/(\d{1,3}|\*)$/;
+const ADDRESS_REGEX = /^(\d{1,3})\/(\d{1,3})\/(\d{1,3})$/;
+
+/**
+ * Encode one unmasked server-to-client frame.
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN + opcode
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Whether an event-log entry matches any of the subscribe patterns.
+ * @param {{ network?: *, app?: *, group?: * }} entry
+ * @param {Array<[string, string, string]>|null} patterns - null means everything
+ * @returns {boolean}
+ */
+function entryMatches(entry, patterns) {
+    if (!patterns) return true;
+    const parts = [String(entry.network), String(entry.app), String(entry.group)];
+    return patterns.some((pattern) => pattern.every((segment, i) => segment === '*' || Number(segment) === Number(parts[i])));
+}
+
+/**
+ * Bidirectional WebSocket endpoint at /api/ws.
+ *
+ * Streams the same event-log entries as the SSE endpoint, optionally filtered
+ * by address, and accepts switch/ramp/trigger command frames. Commands become
+ * the MQTT topic and payload they stand for and go to MqttCommandRouter, the
+ * same way the REST group routes do.
+ *
+ * Hand-rolled RFC 6455 rather than a dependency: the server only needs text
+ * frames, ping/pong and close, and the add-on image ships no WebSocket
+ * library. Extensions and subprotocols are not negotiated.
+ *
+ * Client → server frames (JSON text):
+ *   { "type": "subscribe", "addresses": ["254/56/*", "254/202/1"] }  ([] or omitted = everything)
+ *   { "type": "command", "id": 1, "command": "ramp", "address": "254/56/5", "payload": "50,4s" }
+ *   { "type": "ping" }
+ *
+ * Server → client frames:
+ *   { "type": "event", "event": { ...event-log entry } }
+ *   { "type": "subscribed", "addresses": [...] }
+ *   { "type": "ack", "id": 1 }  /  { "type": "error", "id": 1, "error": "..." }
+ *   { "type": "pong" }
+ */
+class WebSocketHandler {
+    /**
+     * @param {Object} options
+     * @param {Object|null} [options.eventStream] - Event stream instance (subscribe/unsubscribe/getRecent)
+     * @param {Function|null} [options.routeCommand] - (topic, payload, origin) => void; normally MqttCommandRouter.routeMessage
+     * @param {number} [options.maxConnections=32] - Maximum concurrent WebSocket clients
+     * @param {number} [options.maxFrameBytes=65536] - Largest client message accepted
+     * @param {number} [options.pingIntervalMs=30000] - Server ping interval; a client silent for two intervals is dropped
+     * @param {number} [options.maxBufferedBytes=1048576] - Unsent bytes a client may fall behind by before it is dropped
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor({ eventStream = null, routeCommand = null, maxConnections = 32, maxFrameBytes = 65536, pingIntervalMs = 30000, maxBufferedBytes = 1024 * 1024, logger }) {
+        this.eventStream = eventStream;
+        this.routeCommand = routeCommand;
+        this.maxConnections = maxConnections;
+        this.maxFrameBytes = maxFrameBytes;
+        this.pingIntervalMs = pingIntervalMs;
+        this.maxBufferedBytes = maxBufferedBytes;
+        this.logger = logger;
+        // Live connections, tracked for the cap and so closeAll() can release
+        // event-log listeners and timers on shutdown (see SseHandler).
+        this._connections = new Set();
+    }
+
+    /**
+     * Reject an upgrade with a plain HTTP response on the raw socket. There is
+     * no ServerResponse for an upgrade request, so sendJSON cannot be used.
+     * @param {import('stream').Duplex} socket
+     * @param {number} statusCode
+     * @param {string} message
+     */
+    static rejectUpgrade(socket, statusCode, message) {
+        const body = JSON.stringify({ error: message });
+        try {
+            socket.end(
+                `HTTP/1.1 ${statusCode} ${message}\r\n`
+                + 'Content-Type: application/json; charset=utf-8\r\n'
+                + `Content-Length: ${Buffer.byteLength(body)}\r\n`
+                + 'Connection: close\r\n\r\n'
+                + body
+            );
+        } catch { /* already closed */ }
+    }
+
+    /**
+     * Complete the opening handshake and start serving the connection. Auth
+     * and rate limiting have already been applied by the web server.
+     * @param {import('http').IncomingMessage} req
+     * @param {import('stream').Duplex} socket
+     * @param {Buffer} head - Bytes already read past the request headers
+     * @param {Object} [options]
+     * @param {Function} [options.isCommandLimited] - () => boolean; charged once per command frame
+     */
+    handleUpgrade(req, socket, head, { isCommandLimited = () => false } = {}) {
+        const key = req.headers['sec-websocket-key'];
+        const upgrade = String(req.headers.upgrade || '').toLowerCase();
+        if (req.method !== 'GET' || upgrade !== 'websocket' || typeof key !== 'string' || !key
+            || req.headers['sec-websocket-version'] !== '13') {
+            return WebSocketHandler.rejectUpgrade(socket, 400, 'Bad Request');
+        }
+        if (this._connections.size >= this.maxConnections) {
+            return WebSocketHandler.rejectUpgrade(socket, 503, 'Service Unavailable');
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write(
+            'HTTP/1.1 101 Switching Protocols\r\n'
+            + 'Upgrade: websocket\r\n'
+            + 'Connection: Upgrade\r\n'
+            + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+        );
+
+        const connection = {
+            socket,
+            buffer: Buffer.alloc(0),
+            fragments: /** @type {Buffer[]} */ ([]),
+            fragmentBytes: 0,
+            patterns: /** @type {Array<[string, string, string]>|null} */ (null),
+            listener: null,
+            pingInterval: null,
+            lastSeen: Date.now(),
+            closing: false,
+            isCommandLimited,
+            client: describeClient(req)
+        };
+        this._connections.add(connection);
+
+        socket.on('data', (chunk) => this._onData(connection, chunk));
+        socket.on('close', () => this._cleanup(connection));
+        socket.on('error', () => this._cleanup(connection));
+        socket.on('end', () => this._cleanup(connection));
+
+        // Replay recent events first, as the SSE endpoint does.
+        if (this.eventStream) {
+            for (const entry of this.eventStream.getRecent()) {
+                if (!this._sendJSON(connection, { type: 'event', event: entry })) return;
+            }
+            connection.listener = (entry) => {
+                if (entryMatches(entry, connection.patterns)) {
+                    this._sendJSON(connection, { type: 'event', event: entry });
+                }
+            };
+            this.eventStream.subscribe(connection.listener);
+        }
+
+        connection.pingInterval = setInterval(() => {
+            if (Date.now() - connection.lastSeen > this.pingIntervalMs * 2) {
+                this._close(connection, CLOSE_GOING_AWAY, 'ping timeout');
+                return;
+            }
+            this._send(connection, OPCODE_PING, Buffer.alloc(0));
+        }, this.pingIntervalMs);
+        connection.pingInterval.unref();
+
+        if (head && head.length > 0) this._onData(connection, head);
+    }
+
+    /**
+     * Close every live connection and release its listener and timer. Called
+     * on server shutdown; safe to call with no clients.
+     */
+    closeAll() {
+        for (const connection of [...this._connections]) {
+            this._close(connection, CLOSE_GOING_AWAY, 'server shutting down');
+            this._cleanup(connection);
+            try {
+                connection.socket.destroy();
+            } catch { /* already closed */ }
+        }
+    }
+
+    /**
+     * @returns {number} Live connection count
+     */
+    getConnectionCount() {
+        return this._connections.size;
+    }
+
+    /**
+     * Parse as many complete frames as the buffer holds.
+     * @private
+     */
+    _onData(connection, chunk) {
+        connection.lastSeen = Date.now();
+        connection.buffer = connection.buffer.length ? Buffer.concat([connection.buffer, chunk]) : chunk;
+
+        while (!connection.closing) {
+            const frame = this._readFrame(connection);
+            if (!frame) return;
+            this._onFrame(connection, frame);
+        }
+    }
+
+    /**
+     * Take one frame off the front of the connection buffer.
+     * @returns {{ fin: boolean, opcode: number, payload: Buffer }|null} null until a whole frame has arrived
+     * @private
+     */
+    _readFrame(connection) {
+        const buf = connection.buffer;
+        if (buf.length < 2) return null;
+
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0F;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7F;
+        let offset = 2;
+
+        if (buf[0] & 0x70) {
+            this._close(connection, CLOSE_PROTOCOL_ERROR, 'unexpected reserved bits');
+            return null;
+        }
+        // RFC 6455 §5.1: every client frame is masked.
+        if (!masked) {
+            this._close(connection, CLOSE_PROTOCOL_ERROR, 'client frames must be masked');
+            return null;
+        }
+
+        if (length === 126) {
+            if (buf.length < offset + 2) return null;
+            length = buf.readUInt16BE(offset);
+            offset += 2;
+        } else if (length === 127) {
+            if (buf.length < offset + 8) return null;
+            const bigLength = buf.readBigUInt64BE(offset);
+            if (bigLength > BigInt(this.maxFrameBytes)) {
+                this._close(connection, CLOSE_MESSAGE_TOO_BIG, 'message too big');
+                return null;
+            }
+            length = Number(bigLength);
+            offset += 8;
+        }
+        if (length > this.maxFrameBytes) {
+            this._close(connection, CLOSE_MESSAGE_TOO_BIG, 'message too big');
+            return null;
+        }
+
+        if (buf.length < offset + 4 + length) return null;
+        const mask = buf.subarray(offset, offset + 4);
+        offset += 4;
+        const payload = Buffer.from(buf.subarray(offset, offset + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i & 3];
+        }
+        connection.buffer = buf.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * @private
+     */
+    _onFrame(connection, { fin, opcode, payload }) {
+        // RFC 6455 §5.5: control frames are never fragmented and carry at
+        // most 125 bytes, so a ping cannot make us echo back a large pong.
+        if ((opcode & 0x8) && (!fin || payload.length > MAX_CONTROL_PAYLOAD_BYTES)) {
+            this._close(connection, CLOSE_PROTOCOL_ERROR, 'invalid control frame');
+            return;
+        }
+        switch (opcode) {
+            case OPCODE_PING:
+                this._send(connection, OPCODE_PONG, payload);
+                return;
+            case OPCODE_PONG:
+                return;
+            case OPCODE_CLOSE:
+                this._close(connection, CLOSE_NORMAL, '');
+                return;
+            case OPCODE_BINARY:
+                this._close(connection, CLOSE_UNSUPPORTED_DATA, 'text frames only');
+                return;
+            case OPCODE_TEXT:
+            case OPCODE_CONTINUATION:
+                break;
+            default:
+                this._close(connection, CLOSE_PROTOCOL_ERROR, 'unknown opcode');
+                return;
+        }
+
+        if (opcode === OPCODE_TEXT && connection.fragments.length > 0) {
+            this._close(connection, CLOSE_PROTOCOL_ERROR, 'expected continuation frame');
+            return;
+        }
+        if (opcode === OPCODE_CONTINUATION && connection.fragments.length === 0) {
+            this._close(connection, CLOSE_PROTOCOL_ERROR, 'unexpected continuation frame');
+            return;
+        }
+
+        connection.fragments.push(payload);
+        connection.fragmentBytes += payload.length;
+        if (connection.fragmentBytes > this.maxFrameBytes) {
+            this._close(connection, CLOSE_MESSAGE_TOO_BIG, 'message too big');
+            return;
+        }
+        if (!fin) return;
+
+        const message = Buffer.concat(connection.fragments).toString('utf8');
+        connection.fragments = [];
+        connection.fragmentBytes = 0;
+        this._onMessage(connection, message);
+    }
+
+    /**
+     * @param {Object} connection
+     * @param {string} message
+     * @private
+     */
+    _onMessage(connection, message) {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch {
+            this._sendJSON(connection, { type: 'error', error: 'Invalid JSON' });
+            return;
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            this._sendJSON(connection, { type: 'error', error: 'Message must be an object' });
+            return;
+        }
+
+        switch (data.type) {
+            case 'subscribe':
+                this._handleSubscribe(connection, data);
+                break;
+            case 'command':
+                this._handleCommand(connection, data);
+                break;
+            case 'ping':
+                this._sendJSON(connection, { type: 'pong' });
+                break;
+            default:
+                this._sendJSON(connection, { type: 'error', error: 'Unknown message type' });
+        }
+    }
+
+    /**
+     * Replace the connection's address filter and replay matching recent events.
+     * @private
+     */
+    _handleSubscribe(connection, data) {
+        const addresses = data.addresses === undefined ? [] : data.addresses;
+        if (!Array.isArray(addresses) || addresses.length > MAX_SUBSCRIPTION_PATTERNS
+            || !addresses.every((a) => typeof a === 'string' && ADDRESS_PATTERN_REGEX.test(a))) {
+            this._sendJSON(connection, {
+                type: 'error',
+                error: `addresses must be up to ${MAX_SUBSCRIPTION_PATTERNS} "network/app/group" strings ('*' matches any)`
+            });
+            return;
+        }
+
+        connection.patterns = addresses.length === 0
+            ? null
+            : addresses.map((a) => /** @type {[string, string, string]} */ (a.split('/')));
+        this._sendJSON(connection, { type: 'subscribed', addresses });
+
+        if (this.eventStream) {
+            for (const entry of this.eventStream.getRecent()) {
+                if (entryMatches(entry, connection.patterns)) {
+                    this._sendJSON(connection, { type: 'event', event: entry });
+                }
+            }
+        }
+    }
+
+    /**
+     * Turn a command frame into its MQTT write topic and hand it to the router.
+     * @private
+     */
+    _handleCommand(connection, data) {
+        const id = data.id === undefined ? null : data.id;
+        const fail = (error) => this._sendJSON(connection, { type: 'error', id, error });
+
+        if (!this.routeCommand) return fail('Command path not available');
+        if (connection.isCommandLimited()) return fail('Too many requests');
+        if (!WEBSOCKET_COMMAND_TYPES.has(data.command)) {
+            return fail(`command must be one of: ${[...WEBSOCKET_COMMAND_TYPES].join(', ')}`);
+        }
+        if (typeof data.address !== 'string' || !ADDRESS_REGEX.test(data.address)) {
+            return fail('address must be "network/app/group"');
+        }
+        if (typeof data.payload !== 'string' && typeof data.payload !== 'number') {
+            return fail('payload must be a string or number');
+        }
+
+        const topic = `${MQTT_TOPIC_PREFIX_WRITE}/${data.address}/${data.command}`;
+        const payload = String(data.payload);
+        // CBusCommand also range-checks the address, so an out-of-range group
+        // fails here with the same rules MQTT gets.
+        const command = new CBusCommand(topic, payload);
+        if (!command.isValid()) {
+            this.logger.debug(`Rejected WebSocket command: ${topic} -> ${redactMqttPayload(payload)}`);
+            return fail('Invalid command');
+        }
+
+        this.routeCommand(topic, payload, { source: 'websocket', client: connection.client });
+        this._sendJSON(connection, { type: 'ack', id });
+    }
+
+    /**
+     * @returns {boolean} false when the socket is gone
+     * @private
+     */
+    _sendJSON(connection, data) {
+        return this._send(connection, OPCODE_TEXT, Buffer.from(JSON.stringify(data), 'utf8'));
+    }
+
+    /**
+     * Writes race the client going away, as on the SSE stream (#44); treat any
+     * failure as a disconnect. A client that stops reading would otherwise
+     * have every event buffered for it without limit, so once its unsent
+     * backlog passes maxBufferedBytes it is dropped; it can reconnect and is
+     * replayed the recent events.
+     * @returns {boolean} false when the socket is gone
+     * @private
+     */
+    _send(connection, opcode, payload) {
+        const { socket } = connection;
+        if (connection.closing || socket.destroyed || !socket.writable) {
+            this._cleanup(connection);
+            return false;
+        }
+        if (socket.writableLength > this.maxBufferedBytes) {
+            this.logger.warn(`Dropping WebSocket client ${connection.client}: ${socket.writableLength} bytes unsent`);
+            connection.closing = true;
+            socket.destroy();
+            this._cleanup(connection);
+            return false;
+        }
+        try {
+            socket.write(encodeFrame(opcode, payload));
+            return true;
+        } catch {
+            this._cleanup(connection);
+            return false;
+        }
+    }
+
+    /**
+     * Send a close frame and end the socket.
+     * @private
+     */
+    _close(connection, code, reason) {
+        if (connection.closing) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2, 'utf8');
+        this._send(connection, OPCODE_CLOSE, payload);
+        connection.closing = true;
+        try {
+            connection.socket.end();
+        } catch { /* already closed */ }
+        this._cleanup(connection);
+    }
+
+    /**
+     * @private
+     */
+    _cleanup(connection) {
+        if (!this._connections.delete(connection)) return; // already cleaned up
+        clearInterval(connection.pingInterval);
+        if (this.eventStream && connection.listener) {
+            this.eventStream.unsubscribe(connection.listener);
+        }
+    }
+}
+
+module.exports = WebSocketHandler;
@@ -5,9 +5,15 @@ const ApiAuth = require('./web/apiAuth');
 const RateLimiter = require('./web/rateLimiter');
 const LabelRoutes = require('./web/labelRoutes');
 const StatusRoutes = require('./web/statusRoutes');
+const GroupRoutes = require('./web/groupRoutes');
+const ScheduleRoutes = require('./web/scheduleRoutes');
+const SceneRoutes = require('./web/sceneRoutes');
+const AuditRoutes = require('./web/auditRoutes');
+const DiscoveryRoutes = require('./web/discoveryRoutes');
 const SseHandler = require('./web/sseHandler');
+const WebSocketHandler = require('./web/webSocketHandler');
 const StaticFileServer = require('./web/staticFiles');
-const { sendJSON, setSecurityHeaders, setCorsHeaders } = require('./web/httpHelpers');
+const { sendJSON, setSecurityHeaders, setCorsHeaders, isUpgradeOriginAllowed } = require('./web/httpHelpers');
 const { resolveSetting } = require('./config/schema');
 
 const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
@@ -46,12 +52,58 @@ const ROUTES = new Map([
     ['GET /api/labels/export.xml', (server, req, res) => server._labelRoutes.handleExportLabelsXml(req, res)],
     ['GET /api/status', (server, req, res) => server._statusRoutes.handleGetStatus(req, res)],
     ['GET /api/dashboard', (server, req, res) => server._statusRoutes.handleGetDashboard(req, res)],
+    ['GET /api/topology', (server, req, res) => server._statusRoutes.handleGetTopology(req, res)],
     ['GET /api/areas', (server, req, res) => server._statusRoutes.handleGetAreas(req, res)],
     ['GET /healthz', (server, req, res) => server._statusRoutes.handleHealth(req, res)],
     ['GET /readyz', (server, req, res) => server._statusRoutes.handleReady(req, res)],
+    ['GET /metrics', (server, req, res) => server._statusRoutes.handleGetMetrics(req, res)],
     ['GET /api/events/stream', (server, req, res) => server._sseHandler.handle(req, res)],
+    ['GET /api/schedules', (server, req, res) => server._scheduleRoutes.handleGetSchedules(req, res)],
+    ['POST /api/schedules', (server, req, res) => server._scheduleRoutes.handlePostSchedule(req, res)],
+    ['GET /api/scenes', (server, req, res) => server._sceneRoutes.handleGetScenes(req, res)],
+    ['GET /api/audit', (server, req, res) => server._auditRoutes.handleGetAudit(req, res)],
+    ['GET /api/audit.csv', (server, req, res) => server._auditRoutes.handleGetAuditCsv(req, res)],
+    ['GET /api/units', (server, req, res) => server._discoveryRoutes.handleGetUnits(req, res)],
+    ['GET /api/discovery/orphans', (server, req, res) => server._discoveryRoutes.handleGetOrphans(req, res)],
+    ['POST /api/discovery/orphans/retract', (server, req, res) => server._discoveryRoutes.handleRetractOrphans(req, res)],
 ]);
 
+// The one path served over an HTTP upgrade rather than a request/response.
+const WEBSOCKET_PATH = '/api/ws';
+
+// Routes with a C-Bus address, schedule id or scene id in the path, which the exact-match table above
+// cannot express. Tried only after an exact lookup misses; `parse` returns the
+// path parameters or null, and the handler gets them as a third argument.
+const PARAM_ROUTES = [
+    {
+        parse: GroupRoutes.parsePath,
+        handlers: new Map([
+            ['GET', (server, req, res, params) => server._groupRoutes.handleGetGroup(req, res, params)],
+            ['PUT', (server, req, res, params) => server._groupRoutes.handlePutGroup(req, res, params)],
+        ])
+    },
+    {
+        parse: ScheduleRoutes.parsePath,
+        handlers: new Map([
+            ['PUT', (server, req, res, params) => server._scheduleRoutes.handlePutSchedule(req, res, params)],
+            ['DELETE', (server, req, res, params) => server._scheduleRoutes.handleDeleteSchedule(req, res, params)],
+        ])
+    },
+    {
+        parse: SceneRoutes.parsePath,
+        handlers: new Map([
+            ['PUT', (server, req, res, params) => server._sceneRoutes.handlePutScene(req, res, params)],
+            ['DELETE', (server, req, res, params) => server._sceneRoutes.handleDeleteScene(req, res, params)],
+        ])
+    },
+    {
+        parse: SceneRoutes.parseActionPath,
+        handlers: new Map([
+            ['POST', (server, req, res, params) => server._sceneRoutes.handlePostSceneAction(req, res, params)],
+        ])
+    }
+];
+
 /**
  * Coerce a numeric option to a positive finite number, falling back to the
  * default for anything else (absent, null, a string, NaN, zero, negative).
@@ -109,6 +161,7 @@ class WebServer {
      * @param {string} [options.basePath] - Base path prefix for ingress (e.g., '/api/hassio_ingress/abc'); in add-on mode discovered from the Supervisor API and applied later via setBasePath()
      * @param {import('./labelLoader')} [options.labelLoader] - Label loader instance
      * @param {Function} [options.getStatus] - Function returning bridge status info
+     * @param {Function} [options.getTopology] - Function returning the C-Bus network topology for /api/topology
  * @param {string|null} [options.apiKey] - API key required for mutating endpoints
  * @param {boolean} [options.allowUnauthenticatedMutations=false] - Allow mutating requests without API key
  * @param {string[]|string|null} [options.allowedOrigins] - CORS allowlist (empty disables cross-origin access)
@@ -119,6 +172,11 @@ class WebServer {
  * @param {number} [options.webRateLimitWindowMs] - Alias for rateLimitWindowMs (bridge settings)
  * @param {string|null} [options.triggerAppId] - C-Bus app ID configured as trigger groups (e.g. '202')
  * @param {Object} [options.deviceStateManager] - DeviceStateManager instance for device status endpoints
+ * @param {Function|null} [options.routeCommand] - (topic, payload, origin) => void for group writes from /api/groups and the WebSocket; normally MqttCommandRouter.routeMessage (null refuses them)
+ * @param {import('./scheduler')|null} [options.scheduler] - Scheduler instance for /api/schedules (null when schedules are off)
+ * @param {import('./softSceneManager')|null} [options.softSceneManager] - Scene manager for /api/scenes (null when software scenes are off)
+ * @param {import('./commandAuditLog').CommandAuditLog|null} [options.commandAuditLog] - Audit log for /api/audit (null when auditing is off)
+ * @param {Function} [options.getHaDiscovery] - Live HaDiscovery accessor for /api/units and /api/discovery/orphans
  * @param {Object} [options.eventStream] - Event stream interface ({ subscribe, unsubscribe, getRecent }) for the SSE endpoint
  * @param {number} [options.maxBodySizeBytes] - Maximum request body size in bytes
  * @param {number} [options.activeDeviceWindowMs] - Window in ms for considering a device active
@@ -127,6 +185,10 @@ class WebServer {
  * @param {number} [options.maxDashboardDevices] - Maximum device rows on GET /api/dashboard
  * @param {number} [options.maxSseConnections] - Maximum concurrent SSE connections
  * @param {number} [options._sseKeepaliveMs] - SSE keep-alive interval in ms (internal)
+ * @param {number} [options.maxWebSocketConnections] - Maximum concurrent WebSocket connections
+ * @param {number} [options.webSocketPingIntervalMs] - WebSocket ping interval in ms
+ * @param {number} [options.webSocketMaxMessageBytes] - Largest WebSocket message accepted from a client
+ * @param {number} [options.webSocketMaxBufferedBytes] - Unsent bytes allowed to queue for one WebSocket client before it is dropped
      */
     constructor(options = {}) {
         this.port = listenPort(options.port, resolveSetting({}, 'web_port'));
@@ -136,7 +198,13 @@ class WebServer {
         this.triggerAppId = options.triggerAppId || null;
         this.eventStream = options.eventStream || null;
         this.getStatus = options.getStatus || (() => ({}));
+        this.getTopology = options.getTopology || (() => []);
         this.deviceStateManager = options.deviceStateManager || null;
+        this.routeCommand = options.routeCommand || null;
+        this.scheduler = options.scheduler || null;
+        this.softSceneManager = options.softSceneManager || null;
+        this.commandAuditLog = options.commandAuditLog || null;
+        this.getHaDiscovery = options.getHaDiscovery || (() => null);
         this.allowUnauthenticatedMutations = options.allowUnauthenticatedMutations === true;
         this.allowedOrigins = Array.isArray(options.allowedOrigins)
             ? options.allowedOrigins
@@ -198,6 +266,7 @@ class WebServer {
         });
         this._statusRoutes = new StatusRoutes({
             getStatus: this.getStatus,
+            getTopology: this.getTopology,
             labelLoader: this.labelLoader,
             deviceStateManager: this.deviceStateManager,
             eventStream: this.eventStream,
@@ -207,6 +276,29 @@ class WebServer {
             maxDashboardDevices: this.maxDashboardDevices,
             logger: this.logger
         });
+        this._groupRoutes = new GroupRoutes({
+            deviceStateManager: this.deviceStateManager,
+            labelLoader: this.labelLoader,
+            routeCommand: this.routeCommand,
+            maxBodySizeBytes: this.maxBodySizeBytes,
+            logger: this.logger
+        });
+        this._scheduleRoutes = new ScheduleRoutes({
+            scheduler: this.scheduler,
+            maxBodySizeBytes: this.maxBodySizeBytes,
+            logger: this.logger
+        });
+        this._sceneRoutes = new SceneRoutes({
+            softSceneManager: this.softSceneManager,
+            maxBodySizeBytes: this.maxBodySizeBytes,
+            logger: this.logger
+        });
+        this._auditRoutes = new AuditRoutes({ commandAuditLog: this.commandAuditLog });
+        this._discoveryRoutes = new DiscoveryRoutes({
+            getHaDiscovery: this.getHaDiscovery,
+            maxBodySizeBytes: this.maxBodySizeBytes,
+            logger: this.logger
+        });
         this._sseHandler = new SseHandler({
             eventStream: this.eventStream,
             keepaliveMs: positiveNumber(options._sseKeepaliveMs, resolveSetting({}, 'webSseKeepaliveMs')),
@@ -214,6 +306,15 @@ class WebServer {
                 ? options.maxSseConnections
                 : resolveSetting({}, 'web_max_sse_connections')
         });
+        this._webSocketHandler = new WebSocketHandler({
+            eventStream: this.eventStream,
+            routeCommand: this.routeCommand,
+            maxConnections: positiveNumber(options.maxWebSocketConnections, resolveSetting({}, 'web_max_websocket_connections')),
+            pingIntervalMs: positiveNumber(options.webSocketPingIntervalMs, resolveSetting({}, 'webWebSocketPingIntervalMs')),
+            maxFrameBytes: positiveNumber(options.webSocketMaxMessageBytes, resolveSetting({}, 'webWebSocketMaxMessageBytes')),
+            maxBufferedBytes: positiveNumber(options.webSocketMaxBufferedBytes, resolveSetting({}, 'webWebSocketMaxBufferedBytes')),
+            logger: this.logger
+        });
         this._staticFiles = new StaticFileServer({ logger: this.logger });
 
         if (typeof options.apiKey === 'string' && this.apiKey === null) {
@@ -233,6 +334,7 @@ class WebServer {
     start() {
         this._startPromise = new Promise((resolve, reject) => {
             this._server = http.createServer((req, res) => this._handleRequest(req, res));
+            this._server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
 
             this._server.on('error', (err) => {
                 this.logger.error(`Web server error: ${err.message}`);
@@ -265,6 +367,9 @@ class WebServer {
                     // sever live connections first (closeAllConnections is
                     // available on the ^20.19.0 engines floor).
                     this._sseHandler.closeAll();
+                    // Upgraded sockets are detached from the HTTP server, so
+                    // closeAllConnections below does not reach them.
+                    this._webSocketHandler.closeAll();
                     this._server.closeAllConnections();
                     this._server.close(() => {
                         this.logger.info('Web server stopped');
@@ -290,6 +395,49 @@ class WebServer {
         }
     }
 
+    /**
+     * HTTP upgrade requests. Only the WebSocket endpoint accepts them, and it
+     * goes through the same auth and rate-limit checks as the SSE stream
+     * before the handshake completes; command frames are then charged to the
+     * mutation limiter one by one. Cross-site upgrades are refused first,
+     * since CORS does not apply to them (see isUpgradeOriginAllowed).
+     * @param {import('http').IncomingMessage} req
+     * @param {import('stream').Duplex} socket
+     * @param {Buffer} head
+     */
+    _handleUpgrade(req, socket, head) {
+        try {
+            let urlPath = req.url.split('?')[0];
+            if (this.basePath && urlPath.startsWith(this.basePath)) {
+                urlPath = urlPath.slice(this.basePath.length) || '/';
+            }
+            if (urlPath !== WEBSOCKET_PATH) {
+                return WebSocketHandler.rejectUpgrade(socket, 404, 'Not Found');
+            }
+            if (!isUpgradeOriginAllowed(req, this.allowedOrigins)) {
+                this.logger.warn(`Refused WebSocket upgrade from origin ${String(req.headers.origin).slice(0, 200)}`);
+                return WebSocketHandler.rejectUpgrade(socket, 403, 'Forbidden');
+            }
+
+            if (this._apiAuth.requiresAuth(urlPath, req.method) && !this._apiAuth.isAuthorized(req)) {
+                if (this._authFailureLimiter.isLimited(req)) {
+                    return WebSocketHandler.rejectUpgrade(socket, 429, 'Too Many Requests');
+                }
+                return WebSocketHandler.rejectUpgrade(socket, 401, 'Unauthorized');
+            }
+            if (this._apiAuth.isSensitiveReadRoute(urlPath, req.method) && this._readRateLimiter.isLimited(req)) {
+                return WebSocketHandler.rejectUpgrade(socket, 429, 'Too Many Requests');
+            }
+
+            this._webSocketHandler.handleUpgrade(req, socket, head, {
+                isCommandLimited: () => this._rateLimiter.isLimited(req)
+            });
+        } catch (err) {
+            this.logger.error(`WebSocket upgrade error: ${err.message}`);
+            socket.destroy();
+        }
+    }
+
     async _handleRequest(req, res) {
         try {
             // Strip ingress base path
@@ -330,6 +478,14 @@ class WebServer {
                 return await route(this, req, res);
             }
 
+            for (const { parse, handlers } of PARAM_ROUTES) {
+                const params = parse(urlPath);
+                if (!params) continue;
+                const handler = handlers.get(req.method);
+                if (!handler) return sendJSON(res, 405, { error: 'Method not allowed' });
+                return await handler(this, req, res, params);
+            }
+
             // Static files
             return this._staticFiles.serve(urlPath, res);
         } catch (err) {
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CommandAuditLog, toCsv } = require('../src/commandAuditLog');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('CommandAuditLog', () => {
+    let dir;
+    let file;
+    let now;
+
+    function createLog(options = {}) {
+        return new CommandAuditLog({
+            file,
+            maxBytes: 1024 * 1024,
+            maxFiles: 2,
+            resultTimeoutMs: 5000,
+            logger,
+            now: () => now,
+            ...options
+        });
+    }
+
+    const readLines = (name) => fs.readFileSync(name, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cgateweb-audit-'));
+        file = path.join(dir, 'audit', 'commands.jsonl');
+        now = Date.UTC(2026, 9, 19, 7, 30);
+        logger.warn.mockClear();
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('redaction', () => {
+        it('never writes an alarm PIN from the payload or the command', () => {
+            const log = createLog();
+            log.record({
+                command: 'security emulate_keypad //HOME/254/208 31323334\n',
+                topic: 'cbus/write/254/208/panel/disarm',
+                payload: '{"action":"DISARM","code":"1234"}'
+            });
+            log.stop();
+
+            const text = fs.readFileSync(file, 'utf8');
+            expect(text).not.toContain('1234');
+            expect(text).not.toContain('31323334');
+            const [entry] = readLines(file);
+            expect(entry.payload).toBe('{"action":"DISARM","code":"***"}');
+            expect(entry.command).toBe('security emulate_keypad //HOME/254/208 ***');
+        });
+
+        it('redacts an error response quoting the command', () => {
+            const log = createLog();
+            log.record({ command: 'security emulate_keypad //HOME/254/208 31323334\n' });
+            log.markSent('security emulate_keypad //HOME/254/208 31323334\n');
+            log.handleResponse('401', 'Bad object or device ID: //HOME/254/208 security emulate_keypad //HOME/254/208 31323334');
+            const [entry] = readLines(file);
+            expect(entry.result).toBe('401');
+            expect(entry.detail).not.toContain('31323334');
+        });
+
+        it('leaves an empty arm code alone', () => {
+            const log = createLog();
+            const entry = log.record({ command: 'security arm //HOME/254/208 1\n', payload: '{"action":"ARM_AWAY","code":""}' });
+            expect(entry.payload).toBe('{"action":"ARM_AWAY","code":""}');
+            log.stop();
+        });
+
+        it('quotes CSV cells a spreadsheet would run as a formula', () => {
+            const csv = toCsv([{ time: 't', origin: 'mqtt', client: null, topic: '=HYPERLINK("x")', payload: '1,2', command: 'on', result: '200' }]);
+            expect(csv.split('\r\n')[1]).toBe('t,mqtt,,"\'=HYPERLINK(""x"")","1,2",on,200,');
+        });
+    });
+
+    describe('results', () => {
+        it('records the response that quotes the command\'s object path', () => {
+            const log = createLog();
+            log.record({ command: 'on //HOME/254/56/10\n', topic: 'cbus/write/254/56/10/switch', payload: 'ON', origin: 'rule', client: 'Porch' });
+            log.markSent('on //HOME/254/56/10\n');
+            log.handleResponse('200', 'OK: //HOME/254/56/10');
+            expect(readLines(file)).toEqual([{
+                time: '2026-10-19T07:30:00.000Z',
+                origin: 'rule',
+                client: 'Porch',
+                topic: 'cbus/write/254/56/10/switch',
+                payload: 'ON',
+                command: 'on //HOME/254/56/10',
+                result: '200'
+            }]);
+        });
+
+        it('writes "sent" when no response names the command in time', () => {
+            jest.useFakeTimers();
+            try {
+                const log = createLog();
+                log.record({ command: 'on //HOME/254/56/10\n' });
+                log.markSent('on //HOME/254/56/10\n');
+                now += 5000;
+                jest.advanceTimersByTime(5000);
+                expect(readLines(file)[0].result).toBe('sent');
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+    });
+
+    describe('rotation', () => {
+        function writeEntries(log, count) {
+            for (let i = 0; i < count; i++) {
+                now += 1000;
+                log.record({ command: `on //HOME/254/56/${i}\n` });
+                log.markSent(`on //HOME/254/56/${i}\n`);
+                log.handleResponse('200', `OK: //HOME/254/56/${i}`);
+            }
+        }
+
+        it('rotates at maxBytes and keeps maxFiles old copies', () => {
+            const log = createLog({ maxBytes: 400 });
+            writeEntries(log, 12);
+
+            const files = fs.readdirSync(path.dirname(file)).sort();
+            expect(files).toEqual(['commands.jsonl', 'commands.jsonl.1', 'commands.jsonl.2']);
+            for (const name of files) {
+                expect(fs.statSync(path.join(dir, 'audit', name)).size).toBeLessThanOrEqual(400);
+            }
+            // Newest in the live file, older ones shifted down.
+            const last = readLines(file).pop();
+            expect(last.command).toBe('on //HOME/254/56/11');
+            const [firstKept] = readLines(`${file}.2`);
+            const [firstOfPrevious] = readLines(`${file}.1`);
+            expect(firstKept.time < firstOfPrevious.time).toBe(true);
+        });
+
+        it('truncates instead of keeping copies when maxFiles is 0', () => {
+            const log = createLog({ maxBytes: 400, maxFiles: 0 });
+            writeEntries(log, 12);
+            expect(fs.readdirSync(path.dirname(file))).toEqual(['commands.jsonl']);
+        });
+
+        it('queries across the live and rotated files, newest first', async () => {
+            const log = createLog({ maxBytes: 400 });
+            writeEntries(log, 6);
+            const entries = await log.query();
+            expect(entries.map((entry) => entry.command)).toEqual(
+                [5, 4, 3, 2, 1, 0].map((group) => `on //HOME/254/56/${group}`)
+            );
+            expect(await log.query({ text: '56/3', limit: 5 })).toHaveLength(1);
+        });
+
+        it('warns once while the file cannot be written', () => {
+            file = path.join(dir, 'blocked', 'commands.jsonl');
+            fs.writeFileSync(path.join(dir, 'blocked'), '');
+            const log = createLog();
+            writeEntries(log, 3);
+            expect(logger.warn).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+const HaDiscovery = require('../src/haDiscovery');
+const { buildDefaults } = require('../src/config/schema');
+
+const NETWORK = '254';
+const MIGRATE = JSON.stringify({ migrate_discovery: true });
+
+const LIGHT_10 = 'homeassistant/light/cgateweb_254_56_10/config';
+const LIGHT_11 = 'homeassistant/light/cgateweb_254_56_11/config';
+const KITCHEN = 'homeassistant/device/cgateweb_254_56_area_kitchen/config';
+const LOUNGE = 'homeassistant/device/cgateweb_254_56_area_lounge/config';
+const UNIT_12 = 'homeassistant/device/cgateweb_254_unit_12/config';
+
+// One dimmer driving two lighting groups.
+const TREE = {
+    Network: {
+        NetworkNumber: NETWORK,
+        Unit: [{
+            UnitAddress: '12',
+            UnitType: 'DIMDN8',
+            Application: [{ ApplicationAddress: '56', Group: [{ GroupAddress: '10' }, { GroupAddress: '11' }] }]
+        }]
+    }
+};
+
+describe('HaDiscovery device-based discovery migration', () => {
+    let published;
+    let areas;
+
+    function createDiscovery(deviceMode, overrides = {}) {
+        const settings = {
+            ...buildDefaults(),
+            ha_discovery_enabled: true,
+            ha_discovery_device_mode: deviceMode,
+            ha_discovery_orphan_cleanup: 'auto',
+            ...overrides
+        };
+        const labels = new Map([['254/56/10', 'Downlight'], ['254/56/11', 'Pendant']]);
+        const discovery = new HaDiscovery(settings, (topic, payload) => published.push({ topic, payload }), () => {}, { labels, areas });
+        discovery.logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        return discovery;
+    }
+
+    function run(discovery) {
+        published = [];
+        discovery._publishDiscoveryFromTree(NETWORK, TREE);
+        return published;
+    }
+
+    /** Index of the first publish to `topic` matching `predicate`. */
+    function indexOf(messages, topic, predicate = () => true) {
+        return messages.findIndex((message) => message.topic === topic && predicate(message.payload));
+    }
+
+    const isConfig = (payload) => payload !== '' && payload !== MIGRATE;
+    const components = (messages, topic) => JSON.parse(messages[indexOf(messages, topic, isConfig)].payload).cmps;
+
+    beforeEach(() => {
+        published = [];
+        areas = new Map([['254/56/10', 'Kitchen'], ['254/56/11', 'Kitchen']]);
+    });
+
+    it('marks each per-entity config, publishes the device, then clears the old topics', () => {
+        const messages = run(createDiscovery('application'));
+        const device = indexOf(messages, KITCHEN, isConfig);
+        for (const topic of [LIGHT_10, LIGHT_11]) {
+            expect(indexOf(messages, topic, (payload) => payload === MIGRATE)).toBeLessThan(device);
+            expect(indexOf(messages, topic, (payload) => payload === '')).toBeGreaterThan(device);
+        }
+        expect(Object.keys(components(messages, KITCHEN)).sort()).toEqual(['cgateweb_254_56_10_light', 'cgateweb_254_56_11_light']);
+    });
+
+    it('releases a component from its old device before another device claims it', () => {
+        const discovery = createDiscovery('application');
+        run(discovery);
+        areas.set('254/56/10', 'Lounge');
+        const messages = run(discovery);
+
+        const marker = indexOf(messages, KITCHEN, (payload) => payload === MIGRATE);
+        expect(marker).toBeGreaterThanOrEqual(0);
+        expect(marker).toBeLessThan(indexOf(messages, LOUNGE, isConfig));
+        expect(components(messages, LOUNGE)).toHaveProperty('cgateweb_254_56_10_light.unique_id', 'cgateweb_254_56_10');
+        // The old device keeps its other group and does not remove the moved one.
+        expect(components(messages, KITCHEN)).toEqual({ cgateweb_254_56_11_light: expect.objectContaining({ name: 'Pendant' }) });
+        expect(indexOf(messages, KITCHEN, (payload) => payload === '')).toBe(-1);
+    });
+
+    it('clears an old device left empty only after the new device is published', () => {
+        const discovery = createDiscovery('application');
+        run(discovery);
+        areas.set('254/56/10', 'Lounge');
+        areas.set('254/56/11', 'Lounge');
+        const messages = run(discovery);
+
+        const marker = indexOf(messages, KITCHEN, (payload) => payload === MIGRATE);
+        const device = indexOf(messages, LOUNGE, isConfig);
+        const clear = indexOf(messages, KITCHEN, (payload) => payload === '');
+        expect(marker).toBeLessThan(device);
+        expect(device).toBeLessThan(clear);
+        expect(indexOf(messages, KITCHEN, isConfig)).toBe(-1);
+    });
+
+    it('still removes a component that left the project with { platform }', () => {
+        const discovery = createDiscovery('application');
+        run(discovery);
+        discovery.exclude = new Set(['254/56/11']);
+        const messages = run(discovery);
+        expect(indexOf(messages, KITCHEN, (payload) => payload === MIGRATE)).toBe(-1);
+        expect(components(messages, KITCHEN).cgateweb_254_56_11_light).toEqual({ platform: 'light' });
+    });
+
+    it('migrates application devices into unit devices across a restart', () => {
+        const before = createDiscovery('application');
+        run(before);
+        const record = JSON.parse(JSON.stringify(before.getTopicRecord()));
+        expect(record.devices).toEqual({
+            [KITCHEN]: { cgateweb_254_56_10_light: 'light', cgateweb_254_56_11_light: 'light' }
+        });
+
+        const after = createDiscovery('unit');
+        after.restoreTopicRecord(record);
+        const messages = run(after);
+
+        const marker = indexOf(messages, KITCHEN, (payload) => payload === MIGRATE);
+        const device = indexOf(messages, UNIT_12, isConfig);
+        expect(marker).toBeGreaterThanOrEqual(0);
+        expect(marker).toBeLessThan(device);
+        expect(indexOf(messages, KITCHEN, (payload) => payload === '')).toBeGreaterThan(device);
+        expect(Object.keys(components(messages, UNIT_12)).sort()).toEqual(['cgateweb_254_56_10_light', 'cgateweb_254_56_11_light']);
+        // Already migrated out of per-entity configs: nothing to mark there.
+        expect(indexOf(messages, LIGHT_10)).toBe(-1);
+    });
+
+    it('hands device configs back to per-entity configs when switched off', () => {
+        const before = createDiscovery('application');
+        run(before);
+        const record = JSON.parse(JSON.stringify(before.getTopicRecord()));
+
+        const after = createDiscovery('off');
+        after.restoreTopicRecord(record);
+        const messages = run(after);
+
+        const marker = indexOf(messages, KITCHEN, (payload) => payload === MIGRATE);
+        expect(marker).toBeLessThan(indexOf(messages, LIGHT_10, isConfig));
+        expect(marker).toBeLessThan(indexOf(messages, LIGHT_11, isConfig));
+        expect(indexOf(messages, KITCHEN, (payload) => payload === '')).toBeGreaterThan(indexOf(messages, LIGHT_11, isConfig));
+        expect(after.getTopicRecord().devices).toEqual({});
+    });
+});
@@ -0,0 +1,138 @@
+const HaDiscovery = require('../src/haDiscovery');
+const { buildDefaults } = require('../src/config/schema');
+
+const LIGHT_10 = 'homeassistant/light/cgateweb_254_56_10/config';
+const LIGHT_11 = 'homeassistant/light/cgateweb_254_56_11/config';
+const LIGHT_20 = 'homeassistant/light/cgateweb_254_56_20/config';
+const THERMOSTAT = 'homeassistant/climate/cgateweb_254_172_1/config';
+const OTHER_NETWORK = 'homeassistant/light/cgateweb_200_56_1/config';
+
+const SYNCED_TREE = [
+    '<Network><NetworkNumber>254</NetworkNumber>',
+    '<Unit><UnitAddress>12</UnitAddress><Type>DIMDN8</Type><Application>56, 255</Application><Groups>10,11</Groups></Unit>',
+    '</Network>'
+];
+// Unit 14 has not synced its group bindings yet, so a re-fetch is scheduled.
+const SYNCING_TREE = [
+    '<Network><NetworkNumber>254</NetworkNumber>',
+    '<Unit><UnitAddress>12</UnitAddress><Type>DIMDN8</Type><Application>56, 255</Application><Groups>10</Groups></Unit>',
+    '<Unit><UnitAddress>14</UnitAddress><Type>RELDN12</Type><Application>56, 255</Application><Groups></Groups></Unit>',
+    '</Network>'
+];
+
+describe('HaDiscovery leftover topics', () => {
+    let published;
+    let discovery;
+
+    function createDiscovery(overrides = {}) {
+        const settings = {
+            ...buildDefaults(),
+            ha_discovery_enabled: true,
+            ha_discovery_networks: ['254'],
+            ha_discovery_orphan_cleanup: 'report',
+            ...overrides
+        };
+        discovery = new HaDiscovery(settings, (topic, payload) => published.push({ topic, payload }), () => {});
+        discovery.logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        return discovery;
+    }
+
+    /** Deliver a TREEXML response for the network requested last, and wait for it to be parsed. */
+    async function receiveTree(lines) {
+        discovery.handleTreeStart('');
+        for (const line of lines) discovery.handleTreeData(line);
+        discovery.handleTreeEnd('');
+        await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    const cleared = (topic) => published.some((message) => message.topic === topic && message.payload === '');
+
+    beforeEach(() => {
+        published = [];
+    });
+
+    afterEach(() => {
+        discovery.stop();
+    });
+
+    it('reports configs from before the restart that the settled tree did not publish again', async () => {
+        createDiscovery();
+        discovery.restoreTopicRecord({ tree: [LIGHT_10, LIGHT_20], event: [] });
+        discovery.trigger();
+        expect(discovery.getOrphanReport().awaiting).toEqual(['254']);
+
+        await receiveTree(SYNCED_TREE);
+
+        expect(discovery.getOrphanReport()).toEqual({
+            mode: 'report',
+            orphans: [{ topic: LIGHT_20, network: '254', reason: 'no longer published by discovery' }],
+            awaiting: []
+        });
+        expect(cleared(LIGHT_20)).toBe(false);
+        // Kept in the record until it is dealt with.
+        expect(discovery.getTopicRecord().tree).toEqual([LIGHT_10, LIGHT_11, LIGHT_20]);
+    });
+
+    it('waits for a still-syncing tree to settle before comparing', async () => {
+        createDiscovery();
+        discovery.restoreTopicRecord({ tree: [LIGHT_11, LIGHT_20], event: [] });
+        discovery.trigger();
+
+        await receiveTree(SYNCING_TREE);
+        // Group 11 is missing only because unit 12 has not finished syncing.
+        expect(discovery.getOrphanReport().orphans).toEqual([]);
+        expect(discovery.getOrphanReport().awaiting).toEqual(['254']);
+
+        discovery.queueTreeRequest('254');
+        await receiveTree(SYNCED_TREE);
+        expect(discovery.getOrphanReport().orphans.map((orphan) => orphan.topic)).toEqual([LIGHT_20]);
+    });
+
+    it('does not treat event-driven configs as leftovers of a tree run', async () => {
+        createDiscovery();
+        discovery.restoreTopicRecord({ tree: [], event: [THERMOSTAT] });
+        discovery.trigger();
+        await receiveTree(SYNCED_TREE);
+        expect(discovery.getOrphanReport().orphans).toEqual([]);
+        expect(discovery.getTopicRecord().event).toEqual([THERMOSTAT]);
+    });
+
+    it('settles the configs of a network no longer discovered straight away, event-driven ones included', () => {
+        createDiscovery();
+        discovery.restoreTopicRecord({ tree: [OTHER_NETWORK], event: ['homeassistant/climate/cgateweb_200_172_1/config'] });
+        discovery.trigger();
+        expect(discovery.getOrphanReport().orphans).toEqual([
+            { topic: OTHER_NETWORK, network: '200', reason: 'network no longer discovered' },
+            { topic: 'homeassistant/climate/cgateweb_200_172_1/config', network: '200', reason: 'network no longer discovered' }
+        ]);
+    });
+
+    it('clears leftovers straight away with ha_discovery_orphan_cleanup auto', async () => {
+        createDiscovery({ ha_discovery_orphan_cleanup: 'auto' });
+        discovery.restoreTopicRecord({ tree: [LIGHT_20], event: [] });
+        discovery.trigger();
+        await receiveTree(SYNCED_TREE);
+        expect(cleared(LIGHT_20)).toBe(true);
+        expect(discovery.getOrphanReport().orphans).toEqual([]);
+        expect(discovery.getTopicRecord().tree).not.toContain(LIGHT_20);
+    });
+
+    it('clears only the leftovers asked for', async () => {
+        createDiscovery();
+        discovery.restoreTopicRecord({ tree: [LIGHT_20, 'homeassistant/light/cgateweb_254_56_21/config'], event: [] });
+        discovery.trigger();
+        await receiveTree(SYNCED_TREE);
+
+        expect(discovery.retractOrphanTopics([LIGHT_20, LIGHT_10])).toBe(1);
+        expect(cleared(LIGHT_20)).toBe(true);
+        expect(cleared(LIGHT_10)).toBe(false);
+        expect(discovery.getOrphanReport().orphans.map((orphan) => orphan.topic)).toEqual(['homeassistant/light/cgateweb_254_56_21/config']);
+    });
+
+    it('reports nothing without a record from before the restart', async () => {
+        createDiscovery();
+        discovery.trigger();
+        await receiveTree(SYNCED_TREE);
+        expect(discovery.getOrphanReport()).toEqual({ mode: 'report', orphans: [], awaiting: [] });
+    });
+});
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RulesEngine = require('../src/rules/rulesEngine');
+const CBusEvent = require('../src/cbusEvent');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const ECHO_WINDOW_MS = 2000;
+
+describe('RulesEngine', () => {
+    let dir;
+    let now;
+    let routeCommand;
+    let levels;
+
+    /** An engine loaded with the given rules, on a controllable clock. */
+    function createEngine(rules) {
+        const file = path.join(dir, 'rules.json');
+        fs.writeFileSync(file, JSON.stringify({ rules }));
+        const engine = new RulesEngine({
+            file,
+            deviceStateManager: { getLevel: (network, app, group) => levels.get(`${network}/${app}/${group}`) },
+            routeCommand,
+            getLocation: () => null,
+            echoWindowMs: ECHO_WINDOW_MS,
+            logger,
+            now: () => now
+        });
+        expect(engine.load().errors).toEqual([]);
+        return engine;
+    }
+
+    const event = (line) => new CBusEvent(line);
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cgateweb-rules-'));
+        now = Date.UTC(2026, 9, 19, 12, 0, 0);
+        routeCommand = jest.fn();
+        levels = new Map();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('echo suppression', () => {
+        const toggle = {
+            name: 'Follow',
+            trigger: { type: 'group', address: '254/56/*', state: 'on' },
+            actions: [{ type: 'on', address: '254/56/20' }]
+        };
+
+        it('does not trigger on an event from an address a rule just wrote', () => {
+            const engine = createEngine([toggle]);
+            engine.handleEvent(event('lighting on 254/56/10'));
+            expect(routeCommand).toHaveBeenCalledTimes(1);
+            expect(routeCommand).toHaveBeenCalledWith('cbus/write/254/56/20/switch', 'ON', { source: 'rule', client: 'Follow' });
+
+            // C-Gate echoes the rule's own write back as an event.
+            now += 100;
+            engine.handleEvent(event('lighting on 254/56/20'));
+            expect(routeCommand).toHaveBeenCalledTimes(1);
+        });
+
+        it('triggers on the same address again once the echo window has passed', () => {
+            const engine = createEngine([toggle]);
+            engine.handleEvent(event('lighting on 254/56/10'));
+            now += ECHO_WINDOW_MS + 1;
+            engine.handleEvent(event('lighting on 254/56/20'));
+            expect(routeCommand).toHaveBeenCalledTimes(2);
+        });
+
+        it('still triggers on other addresses inside the window', () => {
+            const engine = createEngine([toggle]);
+            engine.handleEvent(event('lighting on 254/56/10'));
+            now += 100;
+            engine.handleEvent(event('lighting on 254/56/11'));
+            expect(routeCommand).toHaveBeenCalledTimes(2);
+        });
+
+        it('suppresses the echo of a for: timer turning a group off', () => {
+            const engine = createEngine([
+                { name: 'Motion', trigger: { type: 'group', address: '254/56/40', state: 'on' }, actions: [{ type: 'on', address: '254/56/12', for: '1m' }] },
+                { name: 'Hall off', trigger: { type: 'group', address: '254/56/12', state: 'off' }, actions: [{ type: 'off', address: '254/56/13' }] }
+            ]);
+            engine.handleEvent(event('lighting on 254/56/40'));
+            now += 60000;
+            jest.advanceTimersByTime(60000);
+            expect(routeCommand).toHaveBeenLastCalledWith('cbus/write/254/56/12/switch', 'OFF', { source: 'rule', client: 'Motion' });
+
+            engine.handleEvent(event('lighting off 254/56/12'));
+            expect(routeCommand).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('for: timers', () => {
+        const motion = {
+            name: 'Motion',
+            trigger: { type: 'group', address: '254/56/40', state: 'on' },
+            actions: [{ type: 'ramp', address: '254/56/12', level: 60, for: '3m' }]
+        };
+
+        it('turns the group off when the duration has passed', () => {
+            const engine = createEngine([motion]);
+            engine.handleEvent(event('lighting on 254/56/40'));
+            expect(routeCommand).toHaveBeenCalledWith('cbus/write/254/56/12/ramp', '60', expect.anything());
+
+            jest.advanceTimersByTime(3 * 60000 - 1);
+            expect(routeCommand).toHaveBeenCalledTimes(1);
+            jest.advanceTimersByTime(1);
+            expect(routeCommand).toHaveBeenCalledTimes(2);
+            expect(routeCommand).toHaveBeenLastCalledWith('cbus/write/254/56/12/switch', 'OFF', { source: 'rule', client: 'Motion' });
+        });
+
+        it('restarts the timer when the rule fires again', () => {
+            const engine = createEngine([motion]);
+            engine.handleEvent(event('lighting on 254/56/40'));
+            jest.advanceTimersByTime(2 * 60000);
+            now += 2 * 60000;
+            engine.handleEvent(event('lighting on 254/56/40'));
+
+            jest.advanceTimersByTime(2 * 60000);
+            expect(routeCommand.mock.calls.filter(([, payload]) => payload === 'OFF')).toHaveLength(0);
+            jest.advanceTimersByTime(60000);
+            expect(routeCommand.mock.calls.filter(([, payload]) => payload === 'OFF')).toHaveLength(1);
+        });
+
+        it('cancels a pending off when another rule writes the group', () => {
+            const engine = createEngine([
+                motion,
+                { name: 'Scene', trigger: { type: 'group', address: '254/56/50', state: 'on' }, actions: [{ type: 'on', address: '254/56/12' }] }
+            ]);
+            engine.handleEvent(event('lighting on 254/56/40'));
+            engine.handleEvent(event('lighting on 254/56/50'));
+            jest.advanceTimersByTime(10 * 60000);
+            expect(routeCommand.mock.calls.filter(([, payload]) => payload === 'OFF')).toHaveLength(0);
+        });
+
+        it('cancels every pending off on stop()', () => {
+            const engine = createEngine([motion]);
+            engine.handleEvent(event('lighting on 254/56/40'));
+            engine.stop();
+            jest.advanceTimersByTime(10 * 60000);
+            expect(routeCommand).toHaveBeenCalledTimes(1);
+        });
+
+        it('does not fire when a condition does not hold', () => {
+            const engine = createEngine([{ ...motion, conditions: [{ type: 'level', address: '254/56/1', state: 'on' }] }]);
+            levels.set('254/56/1', 0);
+            engine.handleEvent(event('lighting on 254/56/40'));
+            expect(routeCommand).not.toHaveBeenCalled();
+
+            levels.set('254/56/1', 255);
+            engine.handleEvent(event('lighting on 254/56/40'));
+            expect(routeCommand).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    it('rejects for: on actions it does not apply to', () => {
+        const file = path.join(dir, 'rules.json');
+        fs.writeFileSync(file, JSON.stringify({
+            rules: [{ name: 'Bad', trigger: { type: 'group', address: '254/56/40' }, actions: [{ type: 'off', address: '254/56/12', for: '3m' }] }]
+        }));
+        const engine = new RulesEngine({ file, deviceStateManager: null, routeCommand, getLocation: () => null, echoWindowMs: ECHO_WINDOW_MS, logger });
+        const { loaded, errors } = engine.load();
+        expect(loaded).toBe(0);
+        expect(errors.join()).toContain('"for" does not apply to off actions');
+    });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../src/scheduler');
+const { getSunTimes } = require('../src/sunTimes');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const TICK_MS = 15000;
+
+describe('Scheduler', () => {
+    let dir;
+    let routeCommand;
+    let location;
+
+    function createScheduler(tickMs = TICK_MS) {
+        return new Scheduler({
+            file: path.join(dir, 'schedules.json'),
+            routeCommand,
+            getLocation: () => location,
+            mqttClient: { publish: jest.fn() },
+            settings: { ha_discovery_enabled: false, schedulerTickMs: tickMs },
+            logger
+        });
+    }
+
+    function addSchedule(scheduler, definition) {
+        const result = scheduler.create({ name: 'Porch', actions: [{ type: 'on', address: '254/56/12' }], ...definition });
+        expect(result.error).toBeUndefined();
+        return result.schedule;
+    }
+
+    beforeEach(() => {
+        // Local times, so the tests hold in any TZ. Monday 19 October 2026.
+        jest.useFakeTimers({ now: new Date(2026, 9, 19, 12, 0) });
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cgateweb-schedules-'));
+        routeCommand = jest.fn();
+        location = LONDON;
+        logger.warn.mockClear();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('next run', () => {
+        it('is later today when the time has not passed', () => {
+            const schedule = addSchedule(createScheduler(), { time: '22:30' });
+            expect(schedule.nextRun).toBe(new Date(2026, 9, 19, 22, 30).toISOString());
+        });
+
+        it('is tomorrow when the time has passed', () => {
+            const schedule = addSchedule(createScheduler(), { time: '07:00' });
+            expect(schedule.nextRun).toBe(new Date(2026, 9, 20, 7, 0).toISOString());
+        });
+
+        it('skips to the next listed weekday', () => {
+            const schedule = addSchedule(createScheduler(), { time: '07:00', weekdays: ['mon', 'thu'] });
+            expect(schedule.nextRun).toBe(new Date(2026, 9, 22, 7, 0).toISOString());
+        });
+
+        it('is a week ahead for a one-day schedule whose time passed today', () => {
+            const schedule = addSchedule(createScheduler(), { time: '07:00', weekdays: ['monday'] });
+            expect(schedule.nextRun).toBe(new Date(2026, 9, 26, 7, 0).toISOString());
+        });
+
+        it('follows sunset with an offset', () => {
+            const schedule = addSchedule(createScheduler(), { time: 'sunset-15m' });
+            const { sunset } = getSunTimes(new Date(2026, 9, 19, 12), LONDON.latitude, LONDON.longitude);
+            expect(schedule.nextRun).toBe(new Date(sunset.getTime() - 15 * 60000).toISOString());
+        });
+
+        it('is tomorrow\'s sunrise once today\'s has passed', () => {
+            const schedule = addSchedule(createScheduler(), { time: 'sunrise' });
+            const { sunrise } = getSunTimes(new Date(2026, 9, 20, 12), LONDON.latitude, LONDON.longitude);
+            expect(schedule.nextRun).toBe(sunrise.toISOString());
+        });
+
+        it('is null for a sun schedule without a location, with one warning', () => {
+            location = null;
+            const scheduler = createScheduler();
+            expect(addSchedule(scheduler, { time: 'sunset' }).nextRun).toBeNull();
+            expect(scheduler.list()[0].nextRun).toBeNull();
+            expect(logger.warn).toHaveBeenCalledTimes(1);
+        });
+
+        it('is null while disabled', () => {
+            expect(addSchedule(createScheduler(), { time: '22:30', enabled: false }).nextRun).toBeNull();
+        });
+    });
+
+    describe('tick', () => {
+        it('runs a schedule once, on the first tick after its time', () => {
+            const scheduler = createScheduler();
+            addSchedule(scheduler, { time: '12:05' });
+            scheduler.start();
+
+            jest.advanceTimersByTime(5 * 60000 - TICK_MS);
+            expect(routeCommand).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(TICK_MS);
+            expect(routeCommand).toHaveBeenCalledWith('cbus/write/254/56/12/switch', 'ON', { source: 'schedule', client: 'Porch' });
+
+            jest.advanceTimersByTime(10 * 60000);
+            expect(routeCommand).toHaveBeenCalledTimes(1);
+            expect(scheduler.list()[0].lastRun).toBe(new Date(2026, 9, 19, 12, 5).toISOString());
+            scheduler.stop();
+        });
+
+        it('runs a schedule just before midnight from a tick just after it', () => {
+            const scheduler = createScheduler(60000);
+            addSchedule(scheduler, { time: '23:59' });
+            jest.setSystemTime(new Date(2026, 9, 19, 23, 58, 30));
+            scheduler.start();
+            // The next tick lands at 00:00:25, on the following day.
+            jest.setSystemTime(new Date(2026, 9, 19, 23, 59, 25));
+            jest.advanceTimersByTime(60000);
+            expect(routeCommand).toHaveBeenCalledTimes(1);
+            scheduler.stop();
+        });
+
+        it('does not make up a time missed during a long gap between ticks', () => {
+            const scheduler = createScheduler();
+            addSchedule(scheduler, { time: '12:05' });
+            scheduler.start();
+            // The clock jumps ahead without the timer firing (host suspended).
+            jest.setSystemTime(new Date(2026, 9, 19, 13, 0));
+            jest.advanceTimersByTime(TICK_MS);
+            expect(routeCommand).not.toHaveBeenCalled();
+            scheduler.stop();
+        });
+
+        it('skips disabled schedules and days not listed', () => {
+            const scheduler = createScheduler();
+            addSchedule(scheduler, { name: 'Off', time: '12:05', enabled: false });
+            addSchedule(scheduler, { name: 'Tuesdays', time: '12:05', weekdays: ['tue'] });
+            scheduler.start();
+            jest.advanceTimersByTime(10 * 60000);
+            expect(routeCommand).not.toHaveBeenCalled();
+            scheduler.stop();
+        });
+    });
+});
@@ -0,0 +1,64 @@
+const { getSunTimes } = require('../src/sunTimes');
+const { parseTimeSpec, resolveTimeSpec } = require('../src/timeOfDay');
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const SYDNEY = { latitude: -33.8688, longitude: 151.2093 };
+const TROMSO = { latitude: 69.6492, longitude: 18.9553 };
+
+// Published times are rounded to the minute; the NOAA method is good to about one.
+const TOLERANCE_MS = 2 * 60 * 1000;
+
+function expectNear(actual, expectedIso) {
+    expect(actual).toBeInstanceOf(Date);
+    expect(Math.abs(actual.getTime() - Date.parse(expectedIso))).toBeLessThanOrEqual(TOLERANCE_MS);
+}
+
+describe('getSunTimes', () => {
+    it('matches published times for London at the June solstice', () => {
+        const { sunrise, sunset } = getSunTimes(new Date(2026, 5, 21, 12), LONDON.latitude, LONDON.longitude);
+        expectNear(sunrise, '2026-06-21T03:43:00Z');
+        expectNear(sunset, '2026-06-21T20:21:00Z');
+    });
+
+    it('matches published times for London at the December solstice', () => {
+        const { sunrise, sunset } = getSunTimes(new Date(2026, 11, 21, 12), LONDON.latitude, LONDON.longitude);
+        expectNear(sunrise, '2026-12-21T08:04:00Z');
+        expectNear(sunset, '2026-12-21T15:54:00Z');
+    });
+
+    it('returns the local day east of Greenwich, where sunrise is the previous UTC day', () => {
+        const { sunrise, sunset } = getSunTimes(new Date(2026, 11, 21, 12), SYDNEY.latitude, SYDNEY.longitude);
+        expectNear(sunrise, '2026-12-20T18:41:00Z');
+        expectNear(sunset, '2026-12-21T09:05:00Z');
+    });
+
+    it('returns nulls during the midnight sun and the polar night', () => {
+        expect(getSunTimes(new Date(2026, 5, 21, 12), TROMSO.latitude, TROMSO.longitude)).toEqual({ sunrise: null, sunset: null });
+        expect(getSunTimes(new Date(2026, 11, 21, 12), TROMSO.latitude, TROMSO.longitude)).toEqual({ sunrise: null, sunset: null });
+    });
+});
+
+describe('time-of-day specs', () => {
+    it('parses clock times and sun events with offsets', () => {
+        expect(parseTimeSpec('7:05')).toEqual({ kind: 'clock', minutes: 425 });
+        expect(parseTimeSpec(' Sunset - 30m ')).toEqual({ kind: 'sunset', offsetMs: -30 * 60000 });
+        expect(parseTimeSpec('sunrise+1h')).toEqual({ kind: 'sunrise', offsetMs: 3600000 });
+        expect(parseTimeSpec('24:00')).toBeNull();
+        expect(parseTimeSpec('sunset+soon')).toBeNull();
+    });
+
+    it('resolves a clock time on the local day given', () => {
+        expect(resolveTimeSpec(parseTimeSpec('22:30'), new Date(2026, 9, 19, 8), null)).toEqual(new Date(2026, 9, 19, 22, 30));
+    });
+
+    it('resolves a sun event with its offset', () => {
+        const day = new Date(2026, 5, 21, 12);
+        const { sunset } = getSunTimes(day, LONDON.latitude, LONDON.longitude);
+        expect(resolveTimeSpec(parseTimeSpec('sunset-30m'), day, LONDON).getTime()).toBe(sunset.getTime() - 30 * 60000);
+    });
+
+    it('cannot resolve a sun event without a location, or on a day without one', () => {
+        expect(resolveTimeSpec(parseTimeSpec('sunset'), new Date(2026, 5, 21, 12), null)).toBeNull();
+        expect(resolveTimeSpec(parseTimeSpec('sunrise'), new Date(2026, 5, 21, 12), TROMSO)).toBeNull();
+    });
+});
@@ -0,0 +1,190 @@
+const { EventEmitter } = require('events');
+const WebSocketHandler = require('../src/web/webSocketHandler');
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+/** A Duplex stand-in that records what the handler writes. */
+function createSocket() {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.writable = true;
+    socket.destroyed = false;
+    socket.writableLength = 0;
+    socket.write = jest.fn((data) => socket.written.push(Buffer.isBuffer(data) ? data : Buffer.from(data)));
+    socket.end = jest.fn(() => { socket.writable = false; });
+    socket.destroy = jest.fn(() => { socket.destroyed = true; });
+    return socket;
+}
+
+/** A masked client frame, as RFC 6455 §5.2 lays it out. */
+function clientFrame(opcode, payload, { fin = true, masked = true, rsv = 0 } = {}) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    header[0] = (fin ? 0x80 : 0) | rsv | opcode;
+    if (!masked) return Buffer.concat([header, data]);
+    header[1] |= 0x80;
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    const body = Buffer.from(data);
+    for (let i = 0; i < body.length; i++) body[i] ^= mask[i & 3];
+    return Buffer.concat([header, mask, body]);
+}
+
+/** Decode the unmasked server frames written after the handshake. */
+function serverFrames(socket) {
+    const frames = [];
+    let buf = Buffer.concat(socket.written.slice(1));
+    while (buf.length >= 2) {
+        let length = buf[1] & 0x7F;
+        let offset = 2;
+        if (length === 126) {
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        }
+        frames.push({ opcode: buf[0] & 0x0F, payload: buf.subarray(offset, offset + length) });
+        buf = buf.subarray(offset + length);
+    }
+    return frames;
+}
+
+function closeCode(socket) {
+    const close = serverFrames(socket).find(frame => frame.opcode === 0x8);
+    return close ? close.payload.readUInt16BE(0) : null;
+}
+
+function upgrade(handler, socket) {
+    handler.handleUpgrade({
+        method: 'GET',
+        headers: {
+            upgrade: 'websocket',
+            'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==',
+            'sec-websocket-version': '13'
+        },
+        socket: { remoteAddress: '127.0.0.1' }
+    }, socket, Buffer.alloc(0));
+}
+
+describe('WebSocketHandler frame parsing', () => {
+    let handler;
+    let socket;
+    let routeCommand;
+
+    beforeEach(() => {
+        routeCommand = jest.fn();
+        handler = new WebSocketHandler({ routeCommand, maxFrameBytes: 1024, logger });
+        socket = createSocket();
+        upgrade(handler, socket);
+    });
+
+    afterEach(() => {
+        handler.closeAll();
+    });
+
+    it('answers the handshake with the RFC 6455 accept key', () => {
+        expect(socket.written[0].toString()).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    });
+
+    it('parses a masked text frame split across chunks', () => {
+        const frame = clientFrame(0x1, JSON.stringify({ type: 'ping' }));
+        socket.emit('data', frame.subarray(0, 3));
+        socket.emit('data', frame.subarray(3));
+        const [reply] = serverFrames(socket);
+        expect(JSON.parse(reply.payload.toString())).toEqual({ type: 'pong' });
+    });
+
+    it('parses several frames arriving in one chunk', () => {
+        socket.emit('data', Buffer.concat([
+            clientFrame(0x1, JSON.stringify({ type: 'ping' })),
+            clientFrame(0x1, JSON.stringify({ type: 'ping' }))
+        ]));
+        expect(serverFrames(socket)).toHaveLength(2);
+    });
+
+    it('reads a 16-bit extended payload length', () => {
+        const message = JSON.stringify({ type: 'ping', padding: 'x'.repeat(300) });
+        socket.emit('data', clientFrame(0x1, message));
+        expect(JSON.parse(serverFrames(socket)[0].payload.toString())).toEqual({ type: 'pong' });
+    });
+
+    it('reassembles a fragmented message', () => {
+        const message = JSON.stringify({ type: 'command', id: 7, command: 'switch', address: '254/56/10', payload: 'ON' });
+        socket.emit('data', clientFrame(0x1, message.slice(0, 10), { fin: false }));
+        socket.emit('data', clientFrame(0x0, message.slice(10)));
+        expect(routeCommand).toHaveBeenCalledWith('cbus/write/254/56/10/switch', 'ON', { source: 'websocket', client: '127.0.0.1' });
+        expect(JSON.parse(serverFrames(socket)[0].payload.toString())).toEqual({ type: 'ack', id: 7 });
+    });
+
+    it('answers a ping with a pong carrying the same payload', () => {
+        socket.emit('data', clientFrame(0x9, 'hello'));
+        const [pong] = serverFrames(socket);
+        expect(pong.opcode).toBe(0xA);
+        expect(pong.payload.toString()).toBe('hello');
+    });
+
+    it('accepts a control frame between the fragments of a message', () => {
+        socket.emit('data', clientFrame(0x1, '{"type":', { fin: false }));
+        socket.emit('data', clientFrame(0x9, ''));
+        socket.emit('data', clientFrame(0x0, '"ping"}'));
+        expect(serverFrames(socket).map(frame => frame.opcode)).toEqual([0xA, 0x1]);
+    });
+
+    it.each([
+        ['an unmasked frame', clientFrame(0x1, '{}', { masked: false })],
+        ['reserved bits', clientFrame(0x1, '{}', { rsv: 0x40 })],
+        ['an unknown opcode', clientFrame(0x3, '')],
+        ['a fragmented ping', clientFrame(0x9, 'x', { fin: false })],
+        ['a ping over 125 bytes', clientFrame(0x9, 'x'.repeat(126))],
+        ['a fragmented close', clientFrame(0x8, '', { fin: false })],
+        ['a continuation with no message started', clientFrame(0x0, '{}')]
+    ])('closes with 1002 on %s', (_, frame) => {
+        socket.emit('data', frame);
+        expect(closeCode(socket)).toBe(1002);
+        expect(socket.end).toHaveBeenCalled();
+        expect(handler.getConnectionCount()).toBe(0);
+    });
+
+    it('closes with 1002 when a new message starts before the last one finished', () => {
+        socket.emit('data', clientFrame(0x1, '{', { fin: false }));
+        socket.emit('data', clientFrame(0x1, '{}'));
+        expect(closeCode(socket)).toBe(1002);
+    });
+
+    it('closes with 1003 on a binary frame', () => {
+        socket.emit('data', clientFrame(0x2, Buffer.from([1, 2, 3])));
+        expect(closeCode(socket)).toBe(1003);
+    });
+
+    it('closes with 1009 on a frame over maxFrameBytes', () => {
+        socket.emit('data', clientFrame(0x1, 'x'.repeat(2000)).subarray(0, 8));
+        expect(closeCode(socket)).toBe(1009);
+    });
+
+    it('closes with 1009 when fragments add up to more than maxFrameBytes', () => {
+        socket.emit('data', clientFrame(0x1, 'x'.repeat(600), { fin: false }));
+        socket.emit('data', clientFrame(0x0, 'x'.repeat(600), { fin: false }));
+        expect(closeCode(socket)).toBe(1009);
+    });
+
+    it('stops parsing once the connection is closing', () => {
+        socket.emit('data', Buffer.concat([
+            clientFrame(0x2, Buffer.from([1])),
+            clientFrame(0x1, JSON.stringify({ type: 'ping' }))
+        ]));
+        expect(serverFrames(socket).map(frame => frame.opcode)).toEqual([0x8]);
+    });
+
+    it('replies to a close frame with a normal close', () => {
+        socket.emit('data', clientFrame(0x8, Buffer.from([0x03, 0xE8])));
+        expect(closeCode(socket)).toBe(1000);
+    });
+});